@@ -31,6 +31,9 @@
 // classHighlighter (from @lezer/highlight) maps Lezer syntax
 // tokens to stable .tok-* CSS classes. All token colors are
 // defined in style.css — no JS theme objects needed.
+//
+// vt-pbf shares nothing with the editor, so its map entry has
+// no * prefix and esm.sh bundles its dependencies with it.
 
 import { basicSetup } from 'codemirror';
 import { EditorView, keymap } from '@codemirror/view';
@@ -39,6 +42,7 @@ import { sql as cmSql, StandardSQL } from '@codemirror/lang-sql';
 import { syntaxHighlighting } from '@codemirror/language';
 import { classHighlighter } from '@lezer/highlight';
 import * as duckdb from 'https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@1.29.0/+esm';
+import vtpbf from 'vt-pbf';
 
 /* ============================================================
    STATE
@@ -55,17 +59,38 @@ let idb = null;
 
 // Table registry: [{ name, rowCount, colCount, columns: [] }]
 let loadedTablesMeta = [];
-let queryHistory = [];
+let queryHistory = [];          // newest first: [{ id, sql, status, rowCount, elapsed, timestamp, tables, favorite, message }]
 
 // Current result set
-let currentRows = [];
+// Current result, kept columnar: Arrow record batches + the first row index of each.
+// Rows are read through getCell() / columnValues() instead of being copied into objects.
+let currentResult = { batches: [], offsets: [], numRows: 0, cache: new Map() };
 let currentCols = [];
-let currentGeomCol = null;
+let currentSql = '';         // SQL behind currentResult as written (pushed-down filters included, no cap)
+let currentRunSql = '';      // what actually ran for it: currentSql with the safety cap
+let resultTable = null;      // currentResult copied into DuckDB on first use — see ensureResultTable()
+let currentGeomCol = null;   // primary geometry column (first detected)
+let currentGeomCols = [];    // every geometry column, converted to GeoJSON text
+let currentColTypes = {};    // col → Arrow type id, picks each column's filter widget
+
+// One map layer group per geometry column of the current result:
+// [{ col, prefix, visible, style, hidden: [], range }]. The active group's
+// live state is held in styleSettings / hiddenCategories / legendFilterRange.
+let resultLayers = [];
+let activeLayerIdx = 0;
 
 // Table interaction state
 let selectedIds = new Set();
-let filterValues = {};
+let filterValues = {};        // col → { op, a, b } — see TYPED COLUMN FILTERS
 let sortState = { col: null, dir: null };
+// Filter scope: false → filters / sort work on the fetched rows; true → they are
+// pushed into the SQL (WHERE / ORDER BY around the query) and re-run in DuckDB
+let filterPushdown = false;
+let resultBaseSql = '';      // editor SQL behind the current result, before pushdown / cap
+let resultCapped = false;    // the safety cap cut the current result short
+let refinePending = false;   // a filter changed while a pushdown re-run was in flight
+let runPending = false;      // Run was asked for while a query was in flight — it starts next
+let tableIds = [];           // filtered + sorted row ids behind the (virtual) table body
 
 // Basemap state
 let currentBasemap = 'light';
@@ -74,11 +99,26 @@ let currentBasemap = 'light';
 let currentTheme = 'dark';
 
 // Last rendered map data — needed to re-add layers after basemap switch
-let lastMapData = null; // { points, lines, polygons, geojsonFC }
+// tiled: drawn from on-demand vector tiles (geojsonFC etc. stay empty, tileUrl is set)
+let lastMapData = null; // { groups: [{ prefix, col, geojsonFC, pts, lns, pols, tileUrl }], mapped, tiled, bounds }
+
+// Live features carry only __id plus the columns paint / filter expressions read
+let mapPropCols = new Set();
 
 // Whether a style has been applied (so we can re-apply after basemap switch)
 let styleApplied = false;
 
+// In-flight query — { cancelled, reason: 'stopped' | 'timeout', timer }
+let activeQuery = null;
+
+// Decoded #state= hash from a shared link, applied by the first matching runQuery()
+let pendingShareState = null; // { sql, style, hidden, range, basemap, camera }
+
+// Query results frozen onto the map as named layers (index 0 draws on top):
+// [{ id, name, sql, visible, groups: [{ col, prefix, geojsonFC, style, legend, layers, visible }] }]
+let pinnedLayers = [];
+let pinSeq = 0;
+
 
 /* ============================================================
    BASEMAP DEFINITIONS
@@ -96,6 +136,8 @@ const BASEMAPS = {
         attribution: '© Esri © DigitalGlobe © GeoEye'
       }
     },
+    // Raster basemaps carry no glyphs of their own — borrow the vector basemaps' font server for labels
+    glyphs: 'https://tiles.openfreemap.org/fonts/{fontstack}/{range}.pbf',
     layers: [{ id: 'esri-satellite', type: 'raster', source: 'esri', minzoom: 0, maxzoom: 19 }]
   },
   topo: {
@@ -108,6 +150,7 @@ const BASEMAPS = {
         attribution: '© OpenTopoMap © OpenStreetMap contributors'
       }
     },
+    glyphs: 'https://tiles.openfreemap.org/fonts/{fontstack}/{range}.pbf',
     layers: [{ id: 'otm-topo', type: 'raster', source: 'otm', minzoom: 0, maxzoom: 17 }]
   }
 };
@@ -117,25 +160,32 @@ const BASEMAPS = {
    ============================================================ */
 async function openIDB() {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open('SpatialSQLExplorer', 1);
+    const req = indexedDB.open('SpatialSQLExplorer', 3);
     req.onupgradeneeded = e => {
       const d = e.target.result;
       if (!d.objectStoreNames.contains('tables'))
         d.createObjectStore('tables', { keyPath: 'name' });
       if (!d.objectStoreNames.contains('state'))
         d.createObjectStore('state', { keyPath: 'key' });
+      // v2: one record per query (was a 20-entry list under state/'history')
+      if (!d.objectStoreNames.contains('history'))
+        d.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+      // v3: pinned-layer features, one record per pin (state/'pinnedLayers' keeps metadata only)
+      if (!d.objectStoreNames.contains('pinFeatures'))
+        d.createObjectStore('pinFeatures', { keyPath: 'id' });
     };
     req.onsuccess = e => resolve(e.target.result);
     req.onerror = e => reject(e.target.error);
   });
 }
 
+// Resolves to the record's key — the generated one for auto-increment stores
 async function idbPut(store, value) {
   if (!idb) return;
   return new Promise((res, rej) => {
     const tx = idb.transaction(store, 'readwrite');
     const r = tx.objectStore(store).put(value);
-    r.onsuccess = () => res();
+    r.onsuccess = () => res(r.result);
     r.onerror = e => rej(e.target.error);
   });
 }
@@ -170,6 +220,17 @@ async function idbDelete(store, key) {
   });
 }
 
+
+async function idbClear(store) {
+  if (!idb) return;
+  return new Promise((res, rej) => {
+    const tx = idb.transaction(store, 'readwrite');
+    const r = tx.objectStore(store).clear();
+    r.onsuccess = () => res();
+    r.onerror = e => rej(e.target.error);
+  });
+}
+
 /* ============================================================
    INITIALIZATION
    ============================================================ */
@@ -177,11 +238,20 @@ async function init() {
   updateInitLog('Opening session store…');
   try { idb = await openIDB(); } catch (e) { console.warn('IDB unavailable:', e); }
 
+  // A shared link carries its own basemap + camera, so decode it before the map exists
+  pendingShareState = await readShareStateFromURL();
+  if (pendingShareState?.basemap && BASEMAPS[pendingShareState.basemap]) {
+    currentBasemap = pendingShareState.basemap;
+    document.querySelectorAll('.basemap-pill').forEach(b => {
+      b.classList.toggle('active', b.dataset.basemap === currentBasemap);
+    });
+  }
+
   // ── Parallel init: start map + editor immediately; DuckDB loads alongside ──
   // Map tiles and the CodeMirror editor don't need DuckDB at all.
   // Starting them concurrently shaves 3-5s off perceived startup time.
   updateInitLog('Initializing map and editor…');
-  initMap();
+  initMap(pendingShareState?.camera);
   initEditor();
   setupBasemapSwitcher();
 
@@ -196,6 +266,7 @@ async function init() {
     await db.instantiate(bundle.mainModule, bundle.pthreadWorker);
     URL.revokeObjectURL(workerUrl);
     conn = await db.connect();
+    await conn.query(`CREATE SCHEMA IF NOT EXISTS ${RESULT_SCHEMA}`);
     updateInitLog('DuckDB ready. Loading spatial extension…');
 
     try {
@@ -212,24 +283,29 @@ async function init() {
       updateInitLog('Spatial extension unavailable — geometry queries limited.');
     }
 
-    // Strip any stale #state= hash from the URL bar
+    // The hash has been decoded into pendingShareState — drop it from the URL bar
+    // so a reload falls back to the saved session instead of re-applying the link
     if (location.hash) history.replaceState(null, '', location.pathname + location.search);
 
     // Restore session tables first — tables must exist before any query runs
     const { restored, lastSql } = await restoreSession();
+    await restorePinnedLayers();
 
-    if (!restored) {
+    if (!restored && !pendingShareState) {
       updateInitLog('Loading demo data…');
       await loadDemoData();
     }
 
-    // Decide which SQL to run: lastSql > first table > demo default
-    const sqlToRun = lastSql
+    // Decide which SQL to run: shared link > lastSql > first table > demo default
+    const sqlToRun = pendingShareState?.sql
+      || lastSql
       || (loadedTablesMeta.length ? `SELECT * FROM "${loadedTablesMeta[0].name}" LIMIT 100` : null);
 
     if (sqlToRun) {
       editorView.dispatch({ changes: { from: 0, to: editorView.state.doc.length, insert: sqlToRun } });
-      await runQuery();
+      const missing = pendingShareState ? findMissingTables(sqlToRun) : [];
+      if (missing.length) showMissingTablesPrompt(missing);
+      else await runQuery();
     }
 
     document.getElementById('init-overlay').classList.add('hidden');
@@ -251,6 +327,17 @@ function updateInitLog(msg) {
    ============================================================ */
 async function restoreSession() {
   if (!idb) return { restored: false, lastSql: null };
+  const tplRec = await idbGet('state', 'popupTemplates');
+  if (tplRec?.value) popupTemplates = tplRec.value;
+  const paletteRec = await idbGet('state', 'customPalettes');
+  if (paletteRec?.value) customPalettes = paletteRec.value;
+  await loadHistory();
+  const presetRec = await idbGet('state', 'stylePresets');
+  if (presetRec?.value) {
+    ({ presets: stylePresets = [], last: lastStyled = null, auto: autoApplyStyle = true } = presetRec.value);
+    document.getElementById('preset-auto').checked = autoApplyStyle;
+  }
+
   const tables = await idbGetAll('tables');
   if (!tables?.length) return { restored: false, lastSql: null };
 
@@ -258,18 +345,15 @@ async function restoreSession() {
 
   for (const t of tables) {
     try {
-      if (t.format === 'parquet') await registerParquet(t.data, t.name, false);
-      else if (t.format === 'csv' || t.format === 'tsv') await registerCSV(t.data, t.name, t.format, false);
-      else await registerGeoJSON(t.data, t.name, false);
+      const crsOpts = t.crsOpts || {};
+      if (t.format === 'parquet') await registerParquet(t.data, t.name, false, crsOpts);
+      else if (t.format === 'csv' || t.format === 'tsv') await registerCSV(t.data, t.name, t.format, false, crsOpts, t.geometry ?? null);
+      else if (t.format === 'shapefile') await registerShapefile(t.data, t.name, false, crsOpts);
+      else if (t.format === 'gpkg') await registerGeoPackage(t.data, t.name, t.layer, false, crsOpts);
+      else await registerGeoJSON(t.data, t.name, false, crsOpts);
     } catch (e) { console.warn(`Failed to restore "${t.name}":`, e); }
   }
 
-  const histRec = await idbGet('state', 'history');
-  if (histRec?.value) {
-    queryHistory = histRec.value.map(h => ({ ...h, timestamp: new Date(h.timestamp) }));
-    renderHistory();
-  }
-
   const lastRec = await idbGet('state', 'lastQuery');
   return { restored: true, lastSql: lastRec?.value || null };
 }
@@ -277,11 +361,14 @@ async function restoreSession() {
 /* ============================================================
    MAP INITIALIZATION
    ============================================================ */
-function initMap() {
+function initMap(camera = null) {
   map = new maplibregl.Map({
     container: 'map',
-    style: BASEMAPS.light,
-    center: [0, 20], zoom: 1.5,
+    style: BASEMAPS[currentBasemap],
+    center: camera?.center || [0, 20],
+    zoom: camera?.zoom ?? 1.5,
+    bearing: camera?.bearing || 0,
+    pitch: camera?.pitch || 0,
     attributionControl: false,
     preserveDrawingBuffer: true   // required for PNG export
   });
@@ -315,25 +402,41 @@ function initMap() {
   map.on('mousemove', e => {
     const el = document.getElementById('map-coords');
     if (el) el.textContent = `${e.lngLat.lat.toFixed(4)}, ${e.lngLat.lng.toFixed(4)}`;
+    if (drawMode || lassoActive) { hideHoverTooltip(); return; } // crosshair while drawing
+    const layers = [...queryLayerIds(), ...pinnedLayerIds()];
+    const feature = layers.length ? map.queryRenderedFeatures(e.point, { layers })[0] : null;
+    const displays = feature ? [] : pointDisplayLayerIds(['clusters', 'hexbins']);
+    const aggregate = displays.length && map.queryRenderedFeatures(e.point, { layers: displays }).length;
+    map.getCanvas().style.cursor = feature || aggregate ? 'pointer' : '';
+    showHoverTooltip(feature, e.lngLat);
   });
-
-  ['query-points', 'query-polygons', 'query-lines'].forEach(layerId => {
-    map.on('click', layerId, e => {
-      if (!e.features?.length) return;
-      const props = e.features[0].properties;
-      selectFeatureFromMap(props.__id);
-      const html = Object.entries(props)
-        .filter(([k]) => k !== '__id')
-        .map(([k, v]) => `<div class="popup-row"><span class="popup-key">${k}</span><span class="popup-val">${v}</span></div>`)
-        .join('');
-      const coords = e.features[0].geometry.type === 'Point'
-        ? e.features[0].geometry.coordinates.slice()
-        : [e.lngLat.lng, e.lngLat.lat];
-      new maplibregl.Popup({ offset: 10, className: 'geo-popup' })
-        .setLngLat(coords).setHTML(`<div class="popup-content">${html}</div>`).addTo(map);
-    });
-    map.on('mouseenter', layerId, () => { map.getCanvas().style.cursor = 'pointer'; });
-    map.on('mouseleave', layerId, () => { map.getCanvas().style.cursor = ''; });
+  map.on('mouseout', hideHoverTooltip);
+  map.on('moveend', refreshHexbins);
+  hoverPopup = null;
+
+  setupDrawTools();
+  setupAreaSelection();
+
+  // One handler for every result layer group — queryRenderedFeatures lists the
+  // topmost feature first, so overlapping groups (polygon + centroid) give one popup
+  map.on('click', e => {
+    if (drawMode) return; // clicks place vertices while drawing
+    if (handlePointDisplayClick(e)) return;
+    const layers = [...queryLayerIds(), ...pinnedLayerIds()];
+    if (!layers.length) return;
+    const feature = map.queryRenderedFeatures(e.point, { layers })[0];
+    if (!feature) return;
+    // Pinned rows aren't in the table — only live result features select
+    const live = feature.layer.id.startsWith('query');
+    const props = live ? getRowProps(feature.properties.__id) : feature.properties;
+    if (live) selectFeatureFromMap(feature.properties.__id);
+    const rows = popupRows(props, live ? currentPopupTemplate() : null, 'popup');
+    const coords = feature.geometry.type === 'Point'
+      ? feature.geometry.coordinates.slice()
+      : [e.lngLat.lng, e.lngLat.lat];
+    hideHoverTooltip();
+    new maplibregl.Popup({ offset: 10, className: 'geo-popup' })
+      .setLngLat(coords).setDOMContent(popupContent(rows)).addTo(map);
   });
 }
 
@@ -487,53 +590,413 @@ function setEditorAndRun(tableName) {
 /* ============================================================
    DATA REGISTRATION — GeoJSON
    ============================================================ */
-async function registerGeoJSON(text, tableName, persist = true) {
+async function registerGeoJSON(text, tableName, persist = true, crsOpts = readCrsOptions()) {
   await db.registerFileText(`${tableName}.geojson`, text);
   await conn.query(`DROP TABLE IF EXISTS "${tableName}"`);
+  let viaGdal = true;
   try {
     await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM ST_Read('${tableName}.geojson')`);
   } catch (e) {
     console.warn('ST_Read fallback:', e.message);
     await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM read_json_auto('${tableName}.geojson')`);
+    viaGdal = false;
   }
-  await finaliseRegistration(tableName);
-  if (persist) await idbPut('tables', { name: tableName, data: text, format: 'geojson' });
+  // GDAL reports the `crs` member, or WGS84 when it is absent (RFC 7946)
+  const detected = viaGdal ? (await readLayerMeta(`${tableName}.geojson`).catch(() => []))[0]?.crs : null;
+  await finaliseRegistration(tableName, await resolveTableCrs(tableName, detected, crsOpts, persist));
+  if (persist) await idbPut('tables', { name: tableName, data: text, format: 'geojson', crsOpts });
 }
 
 /* ============================================================
    DATA REGISTRATION — CSV / TSV
    ============================================================ */
-async function registerCSV(text, tableName, ext = 'csv', persist = true) {
+// geometry: { kind: 'point', x, y } | { kind: 'wkt', col } | null — undefined means
+// detect coordinate columns and ask (fresh import); restores pass the saved choice
+async function registerCSV(text, tableName, ext = 'csv', persist = true, crsOpts = readCrsOptions(), geometry) {
   const fname = `${tableName}.${ext}`;
   await db.registerFileText(fname, text);
   await conn.query(`DROP TABLE IF EXISTS "${tableName}"`);
   const sep = ext === 'tsv' ? `sep='\\t', ` : '';
   await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM read_csv_auto('${fname}', ${sep}header=true)`);
-  await finaliseRegistration(tableName);
-  if (persist) await idbPut('tables', { name: tableName, data: text, format: ext });
+
+  if (geometry === undefined) {
+    const found = await detectCoordinateColumns(tableName);
+    geometry = found && confirm(describeGeometrySpec(tableName, found)) ? found : null;
+  }
+  if (geometry) {
+    try { await addGeometryColumn(tableName, geometry); }
+    catch (e) {
+      showError(`Could not build geometry for "${tableName}": ${e.message}`);
+      geometry = null;
+    }
+  }
+
+  await finaliseRegistration(tableName, await resolveTableCrs(tableName, null, crsOpts, persist));
+  if (persist) await idbPut('tables', { name: tableName, data: text, format: ext, crsOpts, geometry });
+}
+
+// Common coordinate column pairs, most specific first: [y, x]
+const COORD_PAIRS = [
+  ['latitude', 'longitude'], ['lat', 'lon'], ['lat', 'lng'], ['lat', 'long'],
+  ['point_y', 'point_x'], ['y_coord', 'x_coord'], ['ycoord', 'xcoord'], ['y', 'x'],
+];
+const WKT_COLUMNS = ['geometry', 'geom', 'wkt', 'the_geom', 'wkt_geom', 'shape'];
+const WKT_RE = /^\s*(SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i;
+
+// Look for a WKT text column, then a numeric lat/lon-style pair
+async function detectCoordinateColumns(tableName) {
+  const cols = (await conn.query(`DESCRIBE "${tableName}"`)).toArray()
+    .map(r => ({ name: r.column_name, type: String(r.column_type) }));
+  const byLower = new Map(cols.map(c => [c.name.toLowerCase(), c]));
+
+  for (const w of WKT_COLUMNS) {
+    const c = byLower.get(w);
+    if (!c || c.type !== 'VARCHAR') continue;
+    const res = await conn.query(`SELECT ${sqlIdent(c.name)} AS v FROM "${tableName}" WHERE ${sqlIdent(c.name)} IS NOT NULL LIMIT 1`);
+    const sample = res.toArray()[0]?.v;
+    if (sample && WKT_RE.test(sample)) return { kind: 'wkt', col: c.name };
+  }
+
+  const numeric = c => c && /^(DOUBLE|FLOAT|REAL|DECIMAL|INTEGER|BIGINT|SMALLINT|HUGEINT)/.test(c.type);
+  for (const [y, x] of COORD_PAIRS) {
+    const yc = byLower.get(y), xc = byLower.get(x);
+    if (numeric(yc) && numeric(xc)) return { kind: 'point', x: xc.name, y: yc.name };
+  }
+  return null;
+}
+
+function describeGeometrySpec(tableName, spec) {
+  return spec.kind === 'wkt'
+    ? `"${tableName}" has a WKT column "${spec.col}". Convert it to a GEOMETRY column so the table maps?`
+    : `"${tableName}" has coordinate columns "${spec.y}" / "${spec.x}". Add a point GEOMETRY column built from them so the table maps?`;
+}
+
+async function addGeometryColumn(tableName, spec) {
+  if (spec.kind === 'wkt') {
+    const col = sqlIdent(spec.col);
+    // Convert in place so the column keeps its name; strip any EWKT SRID prefix first
+    await conn.query(`CREATE OR REPLACE TABLE "${tableName}" AS
+      SELECT * REPLACE (ST_GeomFromText(regexp_replace(${col}, '^\\s*SRID=\\d+;\\s*', '')) AS ${col})
+      FROM "${tableName}"`);
+    return;
+  }
+  const cols = (await conn.query(`SELECT * FROM "${tableName}" LIMIT 0`)).schema.fields.map(f => f.name);
+  const name = cols.includes('geometry') ? 'geom' : 'geometry';
+  const x = sqlIdent(spec.x), y = sqlIdent(spec.y);
+  await conn.query(`CREATE OR REPLACE TABLE "${tableName}" AS
+    SELECT *, CASE WHEN ${x} IS NOT NULL AND ${y} IS NOT NULL THEN ST_Point(${x}, ${y}) END AS "${name}"
+    FROM "${tableName}"`);
 }
 
 /* ============================================================
    DATA REGISTRATION — Parquet
    ============================================================ */
-async function registerParquet(buffer, tableName, persist = true) {
+async function registerParquet(buffer, tableName, persist = true, crsOpts = readCrsOptions()) {
   const uint8 = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-  await db.registerFileBuffer(`${tableName}.parquet`, uint8);
+  const fname = `${tableName}.parquet`;
+  // registerFileBuffer transfers the buffer to the worker — hand it a copy, keep ours for IndexedDB
+  await db.registerFileBuffer(fname, uint8.slice());
   await conn.query(`DROP TABLE IF EXISTS "${tableName}"`);
-  await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM read_parquet('${tableName}.parquet')`);
-  await finaliseRegistration(tableName);
-  if (persist) await idbPut('tables', { name: tableName, data: uint8, format: 'parquet' });
+  await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM read_parquet('${fname}')`);
+
+  // GeoParquet: decode the geometry columns named in the `geo` metadata and take its CRS
+  const geo = await readGeoParquetMeta(fname);
+  const primary = geo?.columns?.[geo.primary_column];
+  if (geo) await decodeGeoParquetColumns(tableName, geo);
+  const detected = primary ? geoParquetCrs(primary) : null;
+
+  const crsInfo = await resolveTableCrs(tableName, detected, crsOpts, persist);
+  await finaliseRegistration(tableName, {
+    ...crsInfo,
+    ...(geo && { geoParquet: { primaryColumn: geo.primary_column, encoding: primary?.encoding || 'WKB' } }),
+  });
+  if (persist) await idbPut('tables', { name: tableName, data: uint8, format: 'parquet', crsOpts });
+}
+
+// Parsed `geo` key-value metadata of a GeoParquet file, or null for plain Parquet
+async function readGeoParquetMeta(fname) {
+  try {
+    const res = await conn.query(
+      `SELECT decode(value) AS v FROM parquet_kv_metadata('${fname}') WHERE decode(key) = 'geo'`);
+    const row = res.toArray()[0];
+    return row ? JSON.parse(row.v) : null;
+  } catch (e) {
+    console.warn('GeoParquet metadata unreadable:', e.message);
+    return null;
+  }
+}
+
+// The CRS is PROJJSON; a missing crs key means OGC:CRS84, an explicit null means unknown
+function geoParquetCrs(column) {
+  if (!('crs' in column)) return 'OGC:CRS84';
+  const crs = column.crs;
+  if (!crs) return null;
+  if (typeof crs === 'string') return crs;
+  if (crs.id?.authority && crs.id?.code) return `${crs.id.authority}:${crs.id.code}`;
+  return crs.name || null;
+}
+
+// Turn GeoParquet geometry columns still held as raw WKB (or GeoArrow points) into GEOMETRY
+async function decodeGeoParquetColumns(tableName, geo) {
+  const types = new Map((await conn.query(`DESCRIBE "${tableName}"`)).toArray()
+    .map(r => [r.column_name, String(r.column_type)]));
+  const replace = [];
+  Object.entries(geo.columns || {}).forEach(([col, spec]) => {
+    const type = types.get(col);
+    if (!type || type.startsWith('GEOMETRY')) return; // already decoded by the spatial extension
+    const encoding = String(spec.encoding || 'WKB').toLowerCase();
+    const c = sqlIdent(col);
+    if (encoding === 'wkb') replace.push(`ST_GeomFromWKB(${c}) AS ${c}`);
+    else if (encoding === 'point') replace.push(`ST_Point(${c}.x, ${c}.y) AS ${c}`);
+    else console.warn(`GeoParquet column "${col}": ${spec.encoding} encoding is not supported, left as-is`);
+  });
+  if (replace.length)
+    await conn.query(`CREATE OR REPLACE TABLE "${tableName}" AS SELECT * REPLACE (${replace.join(', ')}) FROM "${tableName}"`);
+}
+
+/* ============================================================
+   DATA REGISTRATION — Shapefile (zipped) / GeoPackage
+   ============================================================ */
+// files: { shp, shx, dbf, prj?, cpg? } — GDAL opens the sidecars next to the .shp,
+// so they are registered under one base name
+async function registerShapefile(files, tableName, persist = true, crsOpts = readCrsOptions()) {
+  const names = [];
+  for (const [ext, data] of Object.entries(files)) {
+    // registerFileBuffer transfers the buffer to the worker — hand it a copy, keep ours for IndexedDB
+    await db.registerFileBuffer(`${tableName}.${ext}`, data.slice());
+    names.push(`${tableName}.${ext}`);
+  }
+  try {
+    await conn.query(`DROP TABLE IF EXISTS "${tableName}"`);
+    await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM ST_Read('${tableName}.shp')`);
+    // CRS comes from the .prj sidecar
+    const [layer] = await readLayerMeta(`${tableName}.shp`);
+    await finaliseRegistration(tableName, await resolveTableCrs(tableName, layer?.crs, crsOpts, persist));
+  } finally {
+    for (const n of names) await db.dropFile(n);
+  }
+  if (persist) await idbPut('tables', { name: tableName, data: files, format: 'shapefile', crsOpts });
+}
+
+async function registerGeoPackage(buffer, tableName, layer, persist = true, crsOpts = readCrsOptions()) {
+  const uint8 = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const fname = `${tableName}.gpkg`;
+  await db.registerFileBuffer(fname, uint8.slice());
+  try {
+    await conn.query(`DROP TABLE IF EXISTS "${tableName}"`);
+    await conn.query(`CREATE TABLE "${tableName}" AS SELECT * FROM ST_Read('${fname}', layer=${sqlString(layer)})`);
+    const meta = (await readLayerMeta(fname)).find(l => l.name === layer);
+    await finaliseRegistration(tableName, await resolveTableCrs(tableName, meta?.crs, crsOpts, persist));
+  } finally {
+    await db.dropFile(fname);
+  }
+  if (persist) await idbPut('tables', { name: tableName, data: uint8, format: 'gpkg', layer, crsOpts });
+}
+
+// Layers of a registered GDAL source: [{ name, featureCount, crs }] — crs as 'AUTH:CODE' when known
+async function readLayerMeta(fname) {
+  const res = await conn.query(`
+    SELECT l.name AS name, l.feature_count AS n,
+           l.geometry_fields[1].crs.auth_name AS auth, l.geometry_fields[1].crs.auth_code AS code,
+           l.geometry_fields[1].crs.name AS crs_name
+    FROM (SELECT unnest(layers) AS l FROM ST_Read_Meta('${fname}'))`);
+  return res.toArray().map(r => ({
+    name: r.name,
+    featureCount: Number(r.n),
+    crs: r.auth && r.code ? `${r.auth}:${r.code}` : (r.crs_name || null),
+  }));
+}
+
+// Import the shapefiles inside a .zip; returns the created table names
+async function importZippedShapefile(file, tableName) {
+  const entries = (await unzipEntries(await file.arrayBuffer()))
+    .filter(e => !e.name.startsWith('__MACOSX/'));
+
+  // Group sidecars by their path without extension: roads.shp + roads.dbf + …
+  const groups = new Map();
+  entries.forEach(e => {
+    const m = /^(.*)\.(shp|shx|dbf|prj|cpg)$/i.exec(e.name);
+    if (!m) return;
+    if (!groups.has(m[1])) groups.set(m[1], {});
+    groups.get(m[1])[m[2].toLowerCase()] = e.data;
+  });
+  const layers = [...groups].filter(([, f]) => f.shp && f.shx && f.dbf)
+    .map(([path, files]) => ({
+      name: path.split('/').pop(),
+      files,
+      // Record count sits at bytes 4–7 of the .dbf header
+      featureCount: files.dbf.length >= 8 ? new DataView(files.dbf.buffer, files.dbf.byteOffset).getUint32(4, true) : null,
+    }));
+  if (!layers.length) throw new Error('No shapefile (.shp + .shx + .dbf) found in the archive');
+
+  const chosen = layers.length === 1 ? layers : await chooseLayers(file.name, layers);
+  const tables = [];
+  for (const l of chosen) {
+    const name = chosen.length === 1 && layers.length === 1 ? tableName : toTableName(l.name);
+    updateInitLog(`Loading ${l.name}…`);
+    await registerShapefile(l.files, name);
+    tables.push(name);
+  }
+  return tables;
+}
+
+async function importGeoPackage(file, tableName) {
+  const uint8 = new Uint8Array(await file.arrayBuffer());
+  const fname = `${tableName}.gpkg`;
+  await db.registerFileBuffer(fname, uint8.slice());
+  let layers;
+  try { layers = await readLayerMeta(fname); } finally { await db.dropFile(fname); }
+  if (!layers.length) throw new Error('The GeoPackage has no layers');
+
+  const chosen = layers.length === 1 ? layers : await chooseLayers(file.name, layers);
+  const tables = [];
+  for (const l of chosen) {
+    const name = layers.length === 1 ? tableName : toTableName(l.name);
+    updateInitLog(`Loading ${l.name}…`);
+    await registerGeoPackage(uint8, name, l.name);
+    tables.push(name);
+  }
+  return tables;
+}
+
+// Minimal .zip reader (stored + deflate entries) — DecompressionStream does the inflating
+async function unzipEntries(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end-of-central-directory record sits in the last 22 bytes + up to 64 KB of comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a valid .zip archive');
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt .zip central directory');
+    const method = view.getUint16(p + 10, true);
+    const compSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const localOff = view.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+    if (name.endsWith('/')) continue;
+
+    // The local header repeats name + extra field with its own lengths
+    const start = localOff + 30 + view.getUint16(localOff + 26, true) + view.getUint16(localOff + 28, true);
+    const raw = bytes.subarray(start, start + compSize);
+    if (method === 0) entries.push({ name, data: raw.slice() });
+    else if (method === 8) {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      entries.push({ name, data: new Uint8Array(await new Response(stream).arrayBuffer()) });
+    } else throw new Error(`Unsupported .zip compression (method ${method}) for ${name}`);
+  }
+  return entries;
+}
+
+// Modal checklist for multi-layer sources; resolves with the chosen layers ([] on cancel).
+// Files dropped together are handled concurrently, so choosers queue up one at a time.
+let layerChooserQueue = Promise.resolve();
+function chooseLayers(sourceName, layers) {
+  const run = layerChooserQueue.then(() => showLayerChooser(sourceName, layers));
+  layerChooserQueue = run;
+  return run;
+}
+
+function showLayerChooser(sourceName, layers) {
+  const modal = document.getElementById('layer-chooser');
+  const list = document.getElementById('layer-chooser-list');
+  document.getElementById('layer-chooser-title').textContent = `${sourceName} · ${layers.length} layers`;
+  list.innerHTML = '';
+  const boxes = layers.map(l => {
+    const row = document.createElement('label');
+    row.className = 'layer-chooser-row';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox'; cb.checked = true;
+    const name = document.createElement('span');
+    name.className = 'layer-chooser-name';
+    name.textContent = l.name;
+    const meta = document.createElement('span');
+    meta.className = 'layer-chooser-meta';
+    meta.textContent = [l.featureCount != null ? `${l.featureCount.toLocaleString()} features` : '', l.crs || '']
+      .filter(Boolean).join(' · ');
+    row.append(cb, name, meta);
+    list.appendChild(row);
+    return cb;
+  });
+  modal.style.display = 'flex';
+
+  return new Promise(resolve => {
+    const done = chosen => {
+      modal.style.display = 'none';
+      resolve(chosen);
+    };
+    document.getElementById('layer-chooser-ok').onclick = () => done(layers.filter((_, i) => boxes[i].checked));
+    document.getElementById('layer-chooser-cancel').onclick = () => done([]);
+  });
+}
+
+/* ============================================================
+   REGISTRATION — CRS detection / reprojection
+   ============================================================ */
+// Import options from the Load Data panel; saved with each table so a restore repeats them
+function readCrsOptions() {
+  return {
+    reproject: !!document.getElementById('import-reproject')?.checked,
+    sourceCrs: document.getElementById('import-source-crs')?.value.trim() || null,
+  };
+}
+
+function isWgs84(crs) {
+  return /^(EPSG:4326|OGC:CRS84|CRS84|WGS 84)$/i.test(String(crs).trim());
+}
+
+async function geometryColumnsOf(tableName) {
+  const res = await conn.query(`DESCRIBE "${tableName}"`);
+  return res.toArray().filter(r => String(r.column_type).startsWith('GEOMETRY')).map(r => r.column_name);
+}
+
+// Settle a freshly created table's CRS: reproject its geometry columns to
+// EPSG:4326 when asked, otherwise flag coordinates that can't be lon/lat.
+// Returns the CRS fields merged into the table's loadedTablesMeta entry.
+async function resolveTableCrs(tableName, detected, crsOpts = {}, warn = true) {
+  const crs = crsOpts.sourceCrs || detected || null;
+  const geomCols = await geometryColumnsOf(tableName);
+  if (!geomCols.length) return { crs };
+
+  if (crsOpts.reproject && crs && !isWgs84(crs)) {
+    const sets = geomCols.map(c => `${sqlIdent(c)} = ST_Transform(${sqlIdent(c)}, ${sqlString(crs)}, 'EPSG:4326', true)`);
+    await conn.query(`UPDATE "${tableName}" SET ${sets.join(', ')}`);
+    return { crs, reprojected: true };
+  }
+
+  const res = await conn.query(`SELECT ${geomCols.map((c, i) => `
+    min(ST_XMin(${sqlIdent(c)})) AS xmin${i}, max(ST_XMax(${sqlIdent(c)})) AS xmax${i},
+    min(ST_YMin(${sqlIdent(c)})) AS ymin${i}, max(ST_YMax(${sqlIdent(c)})) AS ymax${i}`).join(',')}
+    FROM "${tableName}"`);
+  const b = res.toArray()[0];
+  const outOfBounds = geomCols.some((_, i) =>
+    b[`xmin${i}`] < -180 || b[`xmax${i}`] > 180 || b[`ymin${i}`] < -90 || b[`ymax${i}`] > 90);
+
+  if (outOfBounds && warn) {
+    const hint = crs && !isWgs84(crs)
+      ? `It is in ${crs} — re-import it with "Reproject to EPSG:4326" checked.`
+      : 'It is probably projected — re-import it with "Reproject to EPSG:4326" checked and its source CRS entered.';
+    showToast(`⚠ "${tableName}" has coordinates outside longitude/latitude bounds and will render in the wrong place. ${hint}`);
+  }
+  return { crs, outOfBounds };
 }
 
 /* ============================================================
    REGISTRATION — Shared finalisation
    ============================================================ */
-async function finaliseRegistration(tableName) {
+async function finaliseRegistration(tableName, extra = {}) {
   const countRes = await conn.query(`SELECT COUNT(*) AS n FROM "${tableName}"`);
   const rowCount = Number(countRes.toArray()[0].n);
   const schemaRes = await conn.query(`SELECT * FROM "${tableName}" LIMIT 0`);
   const columns = schemaRes.schema.fields.map(f => f.name);
-  const meta = { name: tableName, rowCount, colCount: columns.length, columns };
+  const meta = { name: tableName, rowCount, colCount: columns.length, columns, ...extra };
   const idx = loadedTablesMeta.findIndex(t => t.name === tableName);
   if (idx >= 0) loadedTablesMeta[idx] = meta; else loadedTablesMeta.push(meta);
   renderTableRegistry();
@@ -556,15 +1019,19 @@ function renderTableRegistry() {
   loadedTablesMeta.forEach(t => {
     const row = document.createElement('div');
     row.className = 'registry-row';
-    row.innerHTML = `
+    row.innerHTML = html`
       <div class="registry-info">
         <span class="registry-name">${t.name}</span>
-        <span class="registry-meta">${t.rowCount.toLocaleString()} rows · ${t.colCount} cols</span>
+        <span class="registry-meta"></span>
       </div>
       <div class="registry-actions">
         <button class="reg-btn reg-query" title="Query this table">▶</button>
         <button class="reg-btn reg-delete" title="Remove table">✕</button>
       </div>`;
+    const crs = t.reprojected ? `${t.crs} → EPSG:4326` : t.crs;
+    row.querySelector('.registry-meta').textContent =
+      `${t.rowCount.toLocaleString()} rows · ${t.colCount} cols${crs ? ` · ${crs}` : ''}${t.outOfBounds ? ' · ⚠ not lon/lat' : ''}`;
+    if (t.outOfBounds) row.querySelector('.registry-meta').classList.add('registry-warn');
     row.querySelector('.reg-query').addEventListener('click', () => setEditorAndRun(t.name));
     row.querySelector('.reg-delete').addEventListener('click', async () => {
       try {
@@ -602,28 +1069,39 @@ function setupFileUpload() {
 
 async function handleFile(file) {
   const ext = file.name.split('.').pop().toLowerCase();
-  const supported = ['geojson', 'json', 'csv', 'tsv', 'parquet'];
+  const supported = ['geojson', 'json', 'csv', 'tsv', 'parquet', 'zip', 'gpkg'];
   if (!supported.includes(ext)) {
     showError(`Unsupported: .${ext}  —  Supported: ${supported.join(', ')}`);
     return;
   }
-  const tableName = file.name
-    .replace(/\.[^.]+$/, '')
-    .replace(/[^a-zA-Z0-9_]/g, '_')
-    .replace(/^(\d)/, '_$1');
+  const tableName = toTableName(file.name.replace(/\.[^.]+$/, ''));
 
   try {
     updateInitLog(`Loading ${file.name}…`);
+    let tables = [tableName];
     if (ext === 'parquet') {
       await registerParquet(await file.arrayBuffer(), tableName);
     } else if (ext === 'csv' || ext === 'tsv') {
       await registerCSV(await file.text(), tableName, ext);
+    } else if (ext === 'zip') {
+      tables = await importZippedShapefile(file, tableName);
+    } else if (ext === 'gpkg') {
+      tables = await importGeoPackage(file, tableName);
     } else {
       const text = await file.text();
       JSON.parse(text);
       await registerGeoJSON(text, tableName);
     }
-    setEditorAndRun(tableName);
+    // Layer chooser cancelled — nothing was imported
+    if (!tables.length) { updateInitLog('Ready.'); return; }
+
+    // A shared link waiting on this file runs as soon as its last table arrives
+    if (pendingShareState && !findMissingTables(pendingShareState.sql).length) {
+      editorView.dispatch({ changes: { from: 0, to: editorView.state.doc.length, insert: pendingShareState.sql } });
+      runQuery();
+    } else {
+      setEditorAndRun(tables[0]);
+    }
     updateInitLog('Ready.');
   } catch (err) {
     showError(`Failed to load ${file.name}: ${err.message}`);
@@ -631,130 +1109,527 @@ async function handleFile(file) {
   }
 }
 
+function toTableName(name) {
+  return name
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .replace(/^(\d)/, '_$1');
+}
+
+// Name for a table made in the app, asked for with prompt(). null when cancelled,
+// or when it matches a loaded table (case-insensitively, like DuckDB) the user keeps
+function promptTableName(message, fallback) {
+  const raw = prompt(message, fallback);
+  if (raw === null) return null;
+  const name = toTableName(raw.trim() || fallback);
+  const taken = loadedTablesMeta.find(t => t.name.toLowerCase() === name.toLowerCase());
+  if (taken && !confirm(`A table named "${taken.name}" is already loaded. Replace it?`)) return null;
+  return name;
+}
+
+function sqlString(v) {
+  return `'${String(v).replace(/'/g, "''")}'`;
+}
+
+function sqlIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
 /* ============================================================
    QUERY EXECUTION
    ============================================================ */
-async function runQuery() {
+// Tiles, hexbins, GeoParquet export and selection tables need the result inside
+// DuckDB. It is copied there from the Arrow store on first use — never by
+// re-running the SQL — so store row i is table rowid i, i.e. the row's __id.
+// RESULT_SCHEMA keeps it out of the user's tables; tileConn sees it too.
+const RESULT_SCHEMA = '__explorer';
+let resultSeq = 0;            // bumped per result; names its table
+let resultTableJob = null;    // pending / done ensureResultTable() for the current result
+let resultStreaming = false;  // batches are still arriving — the store is incomplete
+
+function ensureResultTable() {
+  resultTableJob ??= materialiseResult().catch(e => { resultTableJob = null; throw e; });
+  return resultTableJob;
+}
+
+async function materialiseResult() {
+  // Taken before any await: the result may be replaced meanwhile
+  const seq = resultSeq;
+  const { batches } = currentResult;
+  const geomCols = currentGeomCols;
+  if (resultStreaming) throw new Error('the result is still loading');
+  if (currentCols.some(c => c.toLowerCase() === 'rowid')) throw new Error('a result column named rowid hides the row ids');
+  if (!batches.length) throw new Error('the result is empty');
+  tileConn ??= await db.connect();
+  const name = `result_${seq}`;
+  const table = `${RESULT_SCHEMA}.${name}`;
+  // Arrow's Table class taken from a query result: the instance DuckDB-WASM's insert expects
+  const ArrowTable = (await tileConn.query('SELECT 1')).constructor;
+  await tileConn.insertArrowTable(new ArrowTable(batches), { schema: RESULT_SCHEMA, name, create: true });
+  // The store holds geometry as GeoJSON text
+  for (const c of geomCols) {
+    await tileConn.query(`ALTER TABLE ${table} ALTER ${sqlIdent(c)} TYPE GEOMETRY USING ST_GeomFromGeoJSON(${sqlIdent(c)})`);
+  }
+  if (seq !== resultSeq) {
+    await dropResultTable(table);
+    throw new Error('the result was replaced');
+  }
+  resultTable = table;
+  return table;
+}
+
+// The next result starts without a table; the old one goes
+function releaseResultTable() {
+  resultSeq++;
+  resultTableJob = null;
+  if (resultTable) dropResultTable(resultTable);
+  resultTable = null;
+}
+
+// On tileConn: conn may be streaming the next result
+function dropResultTable(table) {
+  return tileConn.query(`DROP TABLE IF EXISTS ${table}`).catch(e => console.warn('Drop result table:', e.message));
+}
+
+// Rows kept per result: the whole result sits in the Arrow store, plus GeoJSON
+// features (or a DuckDB copy for tiles) on the map
+const SAFETY_CAP_DEFAULT = 50000;
+const SAFETY_CAP_MAX = 5000000;
+
+// The LIMIT input, clamped to 1 … SAFETY_CAP_MAX (written back so the field shows it)
+function safetyCap() {
+  const input = document.getElementById('safety-cap-input');
+  const n = parseInt(input.value, 10);
+  const cap = Number.isFinite(n) ? Math.min(Math.max(n, 1), SAFETY_CAP_MAX) : SAFETY_CAP_DEFAULT;
+  if (String(cap) !== input.value) input.value = cap;
+  return cap;
+}
+
+// refine: re-run the current result's SQL with the table filters / sort pushed
+// down, keeping the table, style and legend as they are
+async function runQuery({ refine = false } = {}) {
   if (!conn) return;
-  const rawSql = editorView.state.doc.toString().trim();
+  if (activeQuery) {
+    // Refines queue themselves through refineQuery()
+    if (!refine) {
+      runPending = true;
+      showToast('A query is already running — this one starts when it finishes.');
+    }
+    return;
+  }
+  const rawSql = refine ? resultBaseSql : editorView.state.doc.toString().trim();
   if (!rawSql) return;
 
-  const cap = parseInt(document.getElementById('safety-cap-input').value) || 50000;
-  const cappedSql = /\bLIMIT\b/i.test(rawSql) ? rawSql : `${rawSql}\nLIMIT ${cap}`;
+  const cap = safetyCap();
+  const resultSql = refine ? pushdownSql(rawSql) : rawSql;
+  const cappedSql = refine || !/\bLIMIT\b/i.test(rawSql) ? `${resultSql}\nLIMIT ${cap}` : rawSql;
+
+  // Shared-link state only applies to the exact SQL it was created with
+  const share = !refine && pendingShareState?.sql === rawSql ? pendingShareState : null;
+
+  // Optional watchdog — 0 / empty means no timeout
+  const timeoutSec = parseFloat(document.getElementById('query-timeout-input')?.value) || 0;
+  const query = activeQuery = { cancelled: false, reason: null, timer: null };
+  if (timeoutSec > 0) query.timer = setTimeout(() => cancelQuery('timeout'), timeoutSec * 1000);
 
   setLoading(true);
   hideError();
   const t0 = performance.now();
 
-  try {
-    let result = await conn.query(cappedSql);
+  // Set once the first batch has replaced the previous result on screen
+  let begun = false;
+  let geojsonCols = [];
+
+  const begin = schema => {
+    begun = true;
+    const hasGeometry = geojsonCols.length > 0;
+    resetResultStore();
+    currentCols = schema.fields.map(f => f.name);
+    currentColTypes = Object.fromEntries(schema.fields.map(f => [f.name, f.typeId]));
+    currentSql = resultSql;
+    currentRunSql = cappedSql;
+    releaseResultTable();
+    resultStreaming = true;
+    currentGeomCols = geojsonCols;
+    currentGeomCol = geojsonCols[0] || null;
+    selectedIds = new Set();
+    // A refined result keeps its layer groups (and their styles) when the geometry columns match
+    const keepLayers = refine && resultLayers.map(l => l.col).join() === geojsonCols.join();
+    if (!keepLayers) {
+      resultLayers = geojsonCols.map((col, i) => ({
+        col, prefix: i === 0 ? 'query' : `query-g${i}`, visible: true, style: null, hidden: [], range: null,
+      }));
+      activeLayerIdx = 0;
+    }
+    if (!refine) {
+      resultBaseSql = rawSql;
+      filterValues = {};
+      sortState = { col: null, dir: null };
+    }
+    if (!keepLayers) {
+      styleSettings = { ...DEFAULT_STYLE };
+      styleApplied = false;
+      hiddenCategories = new Set();
+      legendFilterRange = null;
+      legendAllValues = [];
+      legendBreaks = [];
+      const ml = document.getElementById('map-legend');
+      if (ml) ml.style.display = 'none';
+    }
 
-    // Detect geometry (WKB binary) columns
-    const geomCols = result.schema.fields.filter(f =>
-      f.type && (f.type.toString().toLowerCase().includes('binary') || f.typeId === 12 || f.type.typeId === 12)
-    );
+    // Re-rendering the whole table would drop focus from the filter being typed in
+    if (refine) refreshTableBody(); else renderTable();
+    renderExportGeomSelect();
+    if (!keepLayers) updateStylePanel(hasGeometry);
+    if (!keepLayers && hasGeometry && !share) restoreLastStyle();
+    if (hasGeometry) beginMapResult(renderModeSetting() === 'tiles');
+    else { clearMapLayers(); lastMapData = null; }
+  };
 
-    let hasGeometry = false;
-    let geojsonColName = null;
+  // Batches stream in from the worker: keep them columnar and repaint at most every
+  // RESULT_PROGRESS_MS so the table and map fill progressively
+  let lastProgress = 0;
+  const onBatch = (batch, schema) => {
+    if (!begun) begin(schema);
+    const offset = currentResult.numRows;
+    appendResultBatch(batch);
+    // Auto mode stops building GeoJSON once the result outgrows it; tiles follow at the end
+    if (lastMapData && !lastMapData.tiled && renderModeSetting() === 'auto' && currentResult.numRows > TILE_AUTO_ROWS) {
+      beginMapResult(true);
+    }
+    if (lastMapData && !lastMapData.tiled) appendMapBatch(batch, offset);
+    const now = performance.now();
+    if (now - lastProgress > RESULT_PROGRESS_MS) {
+      lastProgress = now;
+      showResultProgress(((now - t0) / 1000).toFixed(1));
+    }
+  };
 
-    if (geomCols.length > 0) {
-      hasGeometry = true;
-      const col = geomCols[0].name;
-      try {
-        result = await conn.query(`SELECT * EXCLUDE ("${col}"), ST_AsGeoJSON("${col}") AS "${col}" FROM (${cappedSql})`);
-        geojsonColName = col;
-      } catch (e) { console.warn('ST_AsGeoJSON failed:', e.message); hasGeometry = false; }
+  try {
+    // Bind-only probe for the Arrow schema + geometry columns; statements that
+    // can't be wrapped in a SELECT (DDL, PRAGMA …) simply run as written
+    let geomCols = [];
+    try {
+      const probe = await sendQuery(`SELECT * FROM (${cappedSql}) LIMIT 0`, query);
+      geomCols = await detectGeometryColumns(probe.schema, cappedSql, query);
+    } catch (e) {
+      if (query.cancelled) throw e;
     }
 
-    // Materialise Arrow rows → plain JS objects (Arrow rows are frozen proxies)
-    const rawRows = result.toArray();
-    const cols = result.schema.fields.map(f => f.name);
-    const rows = rawRows.map((row, i) => {
-      const o = { __id: i };
-      cols.forEach(c => { o[c] = row[c]; });
-      return o;
-    });
+    let result;
+    geojsonCols = geomCols;
+    try {
+      const replace = geomCols.map(c => `ST_AsGeoJSON(${sqlIdent(c)}) AS ${sqlIdent(c)}`).join(', ');
+      result = await sendQuery(geomCols.length ? `SELECT * REPLACE (${replace}) FROM (${cappedSql})` : cappedSql, query, onBatch);
+    } catch (e) {
+      if (query.cancelled || !geomCols.length) throw e;
+      // Geometry conversion failed mid-stream — fall back to the plain result
+      console.warn('ST_AsGeoJSON failed:', e.message);
+      begun = false;
+      geojsonCols = [];
+      result = await sendQuery(cappedSql, query, onBatch);
+    }
+    if (!begun) begin(result.schema); // zero-row result: no batch arrived
+    resultStreaming = false;
+    const hasGeometry = geojsonCols.length > 0;
 
     const elapsed = ((performance.now() - t0) / 1000).toFixed(3);
-    const rowCount = rows.length;
-
-    currentRows = rows;
-    currentCols = cols;
-    currentGeomCol = geojsonColName;
-    selectedIds = new Set();
-    filterValues = {};
-    sortState = { col: null, dir: null };
-    styleSettings = { ...DEFAULT_STYLE };
-    styleApplied = false;
-    hiddenCategories = new Set();
-    legendFilterRange = null;
-    legendAllValues = [];
-    legendBreaks = [];
-    const ml = document.getElementById('map-legend');
-    if (ml) ml.style.display = 'none';
+    const rowCount = currentResult.numRows;
+    resultCapped = !/\bLIMIT\b/i.test(rawSql) && rowCount >= cap;
 
     updateOutputHeader(rowCount, elapsed, hasGeometry);
-    renderTable();
-    updateStylePanel(hasGeometry);
-
-    if (hasGeometry && geojsonColName) {
-      const mapped = updateMap();
-      updateOutputHeader(rowCount, elapsed, hasGeometry, mapped);
-      // Auto-apply default style immediately after layers are added/updated.
+    refreshTableBody();
+
+    if (hasGeometry) {
+      if (lastMapData.tiled) await drawResultTiles();
+      else flushMapData();
+      // A shared camera wins over auto-zoom
+      if (!share?.camera) fitMapToResult();
+      updateOutputHeader(rowCount, elapsed, hasGeometry, lastMapData.mapped);
+      // Auto-apply default style now that every row is in.
       // Skip only when a URL state is pending — that path applies its own style below.
-      applyStyle();
-    } else {
-      clearMapLayers();
+      if (!share) reapplyLayerStyles();
+    }
+
+    if (share) {
+      pendingShareState = null;
+      if (hasGeometry) applySharedView(share);
     }
 
-    addToHistory(rawSql, true, rowCount, elapsed);
-    await idbPut('state', { key: 'lastQuery', value: rawSql });
+    // Pushdown re-runs are table interactions, not new queries
+    if (!refine) {
+      addToHistory(rawSql, 'success', rowCount, elapsed);
+      await idbPut('state', { key: 'lastQuery', value: rawSql });
+    }
 
   } catch (err) {
-    showError(err.message);
-    addToHistory(rawSql, false, 0, ((performance.now() - t0) / 1000).toFixed(3));
+    resultStreaming = false;
+    const elapsed = ((performance.now() - t0) / 1000).toFixed(3);
+    if (query.cancelled) {
+      const why = query.reason === 'timeout' ? `Query cancelled after the ${timeoutSec}s timeout.` : 'Query cancelled.';
+      if (begun) {
+        // Keep what streamed in before the cancel
+        await finishPartialResult(elapsed);
+        showError(`${why} Showing the first ${currentResult.numRows.toLocaleString()} rows.`);
+      } else showError(why);
+      if (!refine) addToHistory(rawSql, 'cancelled', begun ? currentResult.numRows : 0, elapsed);
+      return;
+    }
+    const missingTable = /Table with name "?([^"\s!]+)"? does not exist/i.exec(err.message);
+    if (missingTable) showMissingTablesPrompt([missingTable[1]]);
+    else showError(err.message);
+    if (!refine) addToHistory(rawSql, 'error', 0, elapsed, err.message);
     console.error('Query error:', err);
   } finally {
+    clearTimeout(query.timer);
+    resultStreaming = false;
+    activeQuery = null;
+    setLoading(false);
+    startQueuedRun();
+  }
+}
+
+// A queued run replaces the result, so a queued refine of the current one is moot
+function startQueuedRun() {
+  if (runPending) { runPending = refinePending = false; runQuery(); }
+  else if (refinePending) { refinePending = false; refineQuery(); }
+}
+
+// Jobs that read the current result on conn (exports, selection tables) run as the
+// active query: Stop cancels their sendQuery steps, and runs asked for meanwhile
+// queue behind them rather than replacing the result under them
+async function runAsActiveQuery(job) {
+  const query = activeQuery = { cancelled: false, reason: null, timer: null };
+  setLoading(true);
+  try {
+    return await job(query);
+  } finally {
+    activeQuery = null;
     setLoading(false);
+    startQueuedRun();
+  }
+}
+
+// conn.send() runs the statement as a pending query that the worker advances
+// in small polling steps, so the UI stays responsive and conn.cancelSent()
+// can interrupt it between steps. With onBatch(batch, schema) each record batch
+// is handed over as it arrives (and not kept); otherwise returns a minimal
+// Arrow-table-like object.
+async function sendQuery(sql, query, onBatch = null) {
+  const reader = await conn.send(sql);
+  const batches = [];
+  for await (const batch of reader) {
+    if (query.cancelled) throw new Error('Query cancelled');
+    if (onBatch) onBatch(batch, reader.schema);
+    else batches.push(batch);
   }
+  if (query.cancelled) throw new Error('Query cancelled');
+  return {
+    schema: reader.schema,
+    toArray: () => batches.flatMap(b => b.toArray()),
+  };
+}
+
+function cancelQuery(reason = 'stopped') {
+  if (!activeQuery || activeQuery.cancelled) return;
+  activeQuery.cancelled = true;
+  activeQuery.reason = reason;
+  // Stop means stop: a queued run is dropped too (a timeout lets it start)
+  if (reason === 'stopped') runPending = false;
+  conn.cancelSent().catch(e => console.warn('cancelSent failed:', e.message));
+}
+
+// Arrow reports GEOMETRY as plain binary, so ask DuckDB for the declared types
+// (DESCRIBE only binds the query). Remaining binary columns — e.g. raw WKB from
+// a plain Parquet file — count only when ST_AsGeoJSON accepts them.
+async function detectGeometryColumns(schema, sql, query) {
+  const binary = schema.fields.filter(f =>
+    f.type && (f.type.toString().toLowerCase().includes('binary') || f.typeId === 12 || f.type.typeId === 12)
+  ).map(f => f.name);
+  if (!binary.length) return [];
+
+  let declared = [];
+  try {
+    const res = await sendQuery(`DESCRIBE SELECT * FROM (${sql})`, query);
+    declared = res.toArray()
+      .filter(r => /^(GEOMETRY|WKB_BLOB)/.test(String(r.column_type)))
+      .map(r => r.column_name);
+  } catch (e) {
+    if (query.cancelled) throw e;
+  }
+  const probed = await probeGeometryColumns(binary.filter(c => !declared.includes(c)), sql, query);
+  return binary.filter(c => declared.includes(c) || probed.includes(c));
+}
+
+// Keep only the binary columns ST_AsGeoJSON can bind (GEOMETRY / WKB), checked on an empty result
+async function probeGeometryColumns(cols, sql, query) {
+  const ok = [];
+  for (const c of cols) {
+    try {
+      await sendQuery(`SELECT ST_AsGeoJSON(${sqlIdent(c)}) FROM (${sql}) LIMIT 0`, query);
+      ok.push(c);
+    } catch (e) {
+      if (query.cancelled) throw e;
+    }
+  }
+  return ok;
 }
 
 /* ============================================================
    EXPORT — CSV
    ============================================================ */
 function exportCSV() {
-  if (!currentRows.length) return;
-  const cols = currentCols.filter(c => c !== currentGeomCol && c !== '__id');
-  const rows = getFilteredSortedRows();
+  if (!currentResult.numRows) return;
+  const cols = currentCols.filter(c => !currentGeomCols.includes(c) && c !== '__id');
+  const ids = getFilteredSortedIds();
   const esc = v => {
     const s = (v === null || v === undefined) ? '' : String(v);
     return (s.includes(',') || s.includes('"') || s.includes('\n'))
       ? `"${s.replace(/"/g, '""')}"` : s;
   };
-  const csv = [cols.map(esc).join(','), ...rows.map(r => cols.map(c => esc(r[c])).join(','))].join('\n');
+  const csv = [cols.map(esc).join(','), ...ids.map(i => cols.map(c => esc(getCell(i, c))).join(','))].join('\n');
   downloadBlob(csv, 'query_result.csv', 'text/csv');
 }
 
+/* ============================================================
+   EXPORT — GeoParquet
+   ============================================================ */
+// Written from the result's DuckDB copy so column types and geometry survive;
+// client-side filters / sort are applied by row id (__id = rowid).
+async function exportGeoParquet() {
+  if (!currentResult.numRows || !conn || activeQuery) return;
+  const rowIds = getFilteredSortedIds();
+  await runAsActiveQuery(async query => {
+    try {
+      const table = await ensureResultTable();
+      const select = rowIds.length === currentResult.numRows && !sortState.col
+        ? `SELECT * FROM ${table} ORDER BY rowid`
+        : resultRowsSql(table, rowIds);
+      const buf = await geoParquetBytes(select, 'query_result_export.parquet', query);
+      downloadBlob(buf, 'query_result.parquet', 'application/vnd.apache.parquet');
+    } catch (e) {
+      showError(query.cancelled ? 'GeoParquet export cancelled.' : `GeoParquet export failed: ${e.message}`);
+    }
+  });
+}
+
+// The rows of the result table with the given __ids, in that order
+function resultRowsSql(table, rowIds) {
+  const ids = `[${rowIds.join(',')}]`;
+  return `SELECT r.* FROM ${table} r
+       JOIN (SELECT unnest(${ids}) AS __rid, generate_subscripts(${ids}, 1) AS __pos) s ON r.rowid = s.__rid
+       ORDER BY s.__pos`;
+}
+
+// Run `select` into a GeoParquet file inside the worker and return its bytes;
+// `query` is the active query whose Stop interrupts it
+async function geoParquetBytes(select, fname, query) {
+  try {
+    const geomCols = currentGeomCols.filter(c => currentCols.includes(c));
+    let copySql = `COPY (${select}) TO '${fname}' (FORMAT parquet)`;
+    if (geomCols.length) {
+      // Write WKB plus our own `geo` metadata rather than relying on the extension's writer
+      const geo = await buildGeoParquetMeta(select, geomCols, query);
+      const wkb = geomCols.map(c => `ST_AsWKB(${sqlIdent(c)}) AS ${sqlIdent(c)}`).join(', ');
+      copySql = `COPY (SELECT * REPLACE (${wkb}) FROM (${select})) TO '${fname}'
+        (FORMAT parquet, KV_METADATA { geo: ${sqlString(JSON.stringify(geo))} })`;
+    }
+    await sendQuery(copySql, query);
+    return await db.copyFileToBuffer(fname);
+  } finally {
+    await db.dropFile(fname).catch(() => {});
+  }
+}
+
+// OGC:CRS84 as PROJJSON — what GeoParquet assumes when the crs key is absent
+const CRS84_PROJJSON = {
+  $schema: 'https://proj.org/schemas/v0.7/projjson.schema.json',
+  type: 'GeographicCRS',
+  name: 'WGS 84 (CRS84)',
+  datum: {
+    type: 'GeodeticReferenceFrame',
+    name: 'World Geodetic System 1984',
+    ellipsoid: { name: 'WGS 84', semi_major_axis: 6378137, inverse_flattening: 298.257223563 },
+  },
+  coordinate_system: {
+    subtype: 'ellipsoidal',
+    axis: [
+      { name: 'Geodetic longitude', abbreviation: 'Lon', direction: 'east', unit: 'degree' },
+      { name: 'Geodetic latitude', abbreviation: 'Lat', direction: 'north', unit: 'degree' },
+    ],
+  },
+  id: { authority: 'OGC', code: 'CRS84' },
+};
+
+// CRS of the result's geometry, from the tables its SQL reads: every geometry
+// table must agree, and ST_Transform in the SQL makes it unknown (null)
+function resultCrs() {
+  if (/\bST_Transform\s*\(/i.test(currentSql)) return null;
+  const crss = new Set(referencedTables(currentSql)
+    .map(name => loadedTablesMeta.find(t => t.name.toLowerCase() === name.toLowerCase()))
+    .filter(t => t && (t.reprojected || 'outOfBounds' in t))   // tables with geometry
+    .map(t => t.reprojected || (t.crs && isWgs84(t.crs)) ? 'OGC:CRS84' : t.crs || null));
+  return crss.size === 1 ? [...crss][0] : null;
+}
+
+// GeoParquet crs value: full PROJJSON for lon/lat; other CRSs only as their authority
+// id (the full definition needs PROJ's database); null when unknown
+function geoParquetCrsValue(crs) {
+  if (crs === 'OGC:CRS84') return CRS84_PROJJSON;
+  const m = /^([A-Za-z]+):(\d+)$/.exec(String(crs ?? '').trim());
+  return m ? { id: { authority: m[1].toUpperCase(), code: Number(m[2]) } } : null;
+}
+
+// GeoParquet 1.1 column metadata (WKB, geometry types, bbox, crs)
+async function buildGeoParquetMeta(select, geomCols, query) {
+  const GEOPARQUET_TYPES = {
+    POINT: 'Point', LINESTRING: 'LineString', POLYGON: 'Polygon', MULTIPOINT: 'MultiPoint',
+    MULTILINESTRING: 'MultiLineString', MULTIPOLYGON: 'MultiPolygon', GEOMETRYCOLLECTION: 'GeometryCollection',
+  };
+  const crs = geoParquetCrsValue(resultCrs());
+  const columns = {};
+  for (const c of geomCols) {
+    const g = sqlIdent(c);
+    const res = await sendQuery(`
+      SELECT list(DISTINCT ST_GeometryType(${g})::VARCHAR) AS types,
+             min(ST_XMin(${g})) AS xmin, min(ST_YMin(${g})) AS ymin,
+             max(ST_XMax(${g})) AS xmax, max(ST_YMax(${g})) AS ymax
+      FROM (${select})`, query);
+    const r = res.toArray()[0];
+    const types = [...(r.types?.toArray?.() ?? r.types ?? [])].filter(Boolean);
+    columns[c] = {
+      encoding: 'WKB',
+      crs,
+      geometry_types: types.map(t => GEOPARQUET_TYPES[t] || t).sort(),
+      ...(r.xmin != null && { bbox: [r.xmin, r.ymin, r.xmax, r.ymax] }),
+    };
+  }
+  return { version: '1.1.0', primary_column: geomCols[0], columns };
+}
+
 /* ============================================================
    EXPORT — GeoJSON
    ============================================================ */
 function exportGeoJSON() {
-  const rows = getFilteredSortedRows();
+  const ids = getFilteredSortedIds();
   if (!currentGeomCol) {
-    const data = rows.map(r => {
+    const data = ids.map(i => {
       const o = {};
-      currentCols.filter(c => c !== '__id').forEach(c => { o[c] = r[c]; });
+      currentCols.filter(c => c !== '__id').forEach(c => { o[c] = getCell(i, c); });
       return o;
     });
     downloadBlob(JSON.stringify(data, null, 2), 'query_result.json', 'application/json');
     return;
   }
-  const features = rows.map(r => {
+  // A Feature carries one geometry: the chosen column becomes it, other geometry columns are dropped
+  const picked = document.getElementById('export-geom-select')?.value;
+  const geomCol = currentGeomCols.includes(picked) ? picked : currentGeomCol;
+  const features = ids.map(i => {
     let geometry = null;
-    try { geometry = r[currentGeomCol] ? JSON.parse(String(r[currentGeomCol])) : null; } catch { }
+    const gv = getCell(i, geomCol);
+    try { geometry = gv ? JSON.parse(String(gv)) : null; } catch { }
     const props = {};
-    currentCols.filter(c => c !== currentGeomCol && c !== '__id').forEach(c => {
-      const v = r[c];
+    currentCols.filter(c => !currentGeomCols.includes(c) && c !== '__id').forEach(c => {
+      const v = getCell(i, c);
       props[c] = typeof v === 'bigint' ? v.toString() : v;
     });
     return { type: 'Feature', geometry, properties: props };
@@ -765,6 +1640,18 @@ function exportGeoJSON() {
   );
 }
 
+function renderExportGeomSelect() {
+  const sel = document.getElementById('export-geom-select');
+  if (!sel) return;
+  sel.innerHTML = '';
+  currentGeomCols.forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c; opt.textContent = c;
+    sel.appendChild(opt);
+  });
+  sel.style.display = currentGeomCols.length > 1 ? '' : 'none';
+}
+
 function downloadBlob(content, filename, mime) {
   const blob = new Blob([content], { type: mime });
   const url = URL.createObjectURL(blob);
@@ -776,51 +1663,366 @@ function downloadBlob(content, filename, mime) {
 }
 
 /* ============================================================
-   TABLE FILTER + SORT
+   RESULT STORE — columnar Arrow batches
    ============================================================ */
-function getFilteredSortedRows() {
-  let rows = currentRows;
-  const active = Object.entries(filterValues).filter(([, v]) => v.trim() !== '');
-  if (active.length) {
-    rows = rows.filter(row =>
-      active.every(([col, val]) => {
-        const cell = row[col];
-        if (cell === null || cell === undefined) return false;
-        return String(cell).toLowerCase().includes(val.toLowerCase());
-      })
-    );
+const RESULT_PROGRESS_MS = 400;   // repaint interval while a result streams in
+
+function resetResultStore() {
+  currentResult = { batches: [], offsets: [], numRows: 0, cache: new Map() };
+}
+
+function appendResultBatch(batch) {
+  currentResult.batches.push(batch);
+  currentResult.offsets.push(currentResult.numRows);
+  currentResult.numRows += batch.numRows;
+  currentResult.cache.clear();
+}
+
+// Arrow value of one cell — the same types an Arrow row proxy returns (bigint for BIGINT …)
+function getCell(i, col) {
+  const { batches, offsets } = currentResult;
+  let lo = 0, hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= i) lo = mid; else hi = mid - 1;
   }
-  if (sortState.col && sortState.dir) {
-    const col = sortState.col;
-    const dir = sortState.dir === 'asc' ? 1 : -1;
-    rows = [...rows].sort((a, b) => {
-      const av = a[col], bv = b[col];
-      if (av == null) return 1;
-      if (bv == null) return -1;
-      if ((typeof av === 'number' || typeof av === 'bigint') &&
-        (typeof bv === 'number' || typeof bv === 'bigint'))
-        return (Number(av) - Number(bv)) * dir;
-      return String(av).localeCompare(String(bv)) * dir;
+  return batches[lo]?.getChild(col)?.get(i - offsets[lo]) ?? null;
+}
+
+// Every value of one column in row order — cached for filter / sort / style until the next batch
+function columnValues(col) {
+  let values = currentResult.cache.get(col);
+  if (!values) {
+    values = [];
+    currentResult.batches.forEach(b => {
+      const vec = b.getChild(col);
+      for (let j = 0; j < b.numRows; j++) values.push(vec ? vec.get(j) : null);
     });
+    currentResult.cache.set(col, values);
   }
-  return rows;
+  return values;
 }
 
-/* ============================================================
-   TABLE RENDERING
-   ============================================================ */
-function renderTable() {
-  const wrapper = document.getElementById('table-wrapper');
-  const empty = document.getElementById('empty-state');
-  if (currentRows.length === 0) {
-    wrapper.innerHTML = '';
-    if (empty) empty.style.display = 'flex';
-    return;
-  }
-  if (empty) empty.style.display = 'none';
+function numericColumnValues(col) {
+  return columnValues(col).filter(v => v != null).map(Number).filter(v => isFinite(v));
+}
 
-  const displayCols = currentCols.filter(c => c !== currentGeomCol && c !== '__id');
-  const table = document.createElement('table');
+// Attribute columns of one row as a plain object (popups, pinning)
+function getRowProps(i) {
+  const props = {};
+  currentCols.forEach(c => {
+    if (!currentGeomCols.includes(c)) props[c] = mapValue(getCell(i, c));
+  });
+  return props;
+}
+
+// MapLibre properties can't hold bigint — numbers when exact, strings otherwise
+function mapValue(v) {
+  if (typeof v !== 'bigint') return v;
+  return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+}
+
+function showResultProgress(elapsed) {
+  const meta = document.getElementById('output-meta');
+  if (meta) meta.textContent = `${currentResult.numRows.toLocaleString()} rows so far… (${elapsed}s)`;
+  refreshTableBody();
+  flushMapData();
+}
+
+// Render whatever arrived before a cancel as a normal (partial) result
+async function finishPartialResult(elapsed) {
+  const hasGeometry = currentGeomCols.length > 0;
+  updateOutputHeader(currentResult.numRows, elapsed, hasGeometry, lastMapData?.mapped);
+  refreshTableBody();
+  if (hasGeometry) {
+    // Tiles are cut from the rows that did arrive
+    if (lastMapData.tiled) await drawResultTiles();
+    else flushMapData();
+    fitMapToResult();
+    reapplyLayerStyles();
+  }
+}
+
+/* ============================================================
+   TYPED COLUMN FILTERS
+   ============================================================
+   Each column gets a widget for its kind — number, date, boolean or
+   text — chosen from the Arrow type. A filter is { op, a, b }; the same
+   definition compiles to a row predicate (fetched rows) and to a SQL
+   condition (pushdown), so both scopes agree.
+   ============================================================ */
+// Arrow Type ids: Int 2, Float 3, Bool 6, Decimal 7, Date 8, Timestamp 10
+const NUMBER_TYPE_IDS = new Set([2, 3, 7]);
+const DATE_TYPE_IDS = new Set([8, 10]);
+
+const NULL_OPS = [['null', 'is null'], ['notnull', 'not null']];
+const FILTER_OPS = {
+  number: [['>=', '≥'], ['>', '>'], ['<=', '≤'], ['<', '<'], ['=', '='], ['!=', '≠'], ['between', 'between'], ...NULL_OPS],
+  date: [['in', 'in'], ['before', 'before'], ['after', 'after'], ['between', 'between'], ...NULL_OPS],
+  boolean: [['any', 'any'], ['true', 'true'], ['false', 'false'], ...NULL_OPS],
+  text: [['contains', 'contains'], ['=', 'equals'], ['regex', 'regex'], ...NULL_OPS],
+};
+const FILTER_PLACEHOLDERS = { number: 'value', date: 'yyyy[-mm[-dd]]', text: 'filter…' };
+
+function columnKind(col) {
+  const t = currentColTypes[col];
+  if (NUMBER_TYPE_IDS.has(t)) return 'number';
+  if (DATE_TYPE_IDS.has(t)) return 'date';
+  if (t === 6) return 'boolean';
+  return 'text';
+}
+
+// '2024' / '2024-05' / '2024-05-03' (or any parseable instant) → [start, end) in epoch ms, UTC
+function parseDateFilter(text) {
+  const s = text.trim();
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(s);
+  if (m) {
+    const [y, mo, d] = [+m[1], m[2] ? +m[2] - 1 : null, m[3] ? +m[3] : null];
+    if (mo === null) return [Date.UTC(y, 0, 1), Date.UTC(y + 1, 0, 1)];
+    if (d === null) return [Date.UTC(y, mo, 1), Date.UTC(y, mo + 1, 1)];
+    return [Date.UTC(y, mo, d), Date.UTC(y, mo, d + 1)];
+  }
+  const t = Date.parse(s);
+  return isNaN(t) ? null : [t, t + 1];
+}
+
+function dateValueMs(v) {
+  return v instanceof Date ? v.getTime() : Number(v);
+}
+
+// ISO text for a date / timestamp cell (midnight dropped), null when it isn't one
+function dateText(v) {
+  if (v == null) return null;
+  const date = new Date(dateValueMs(v));
+  return isNaN(date) ? null : date.toISOString().replace('T', ' ').replace(/(?: 00:00:00)?\.000Z$/, '');
+}
+
+function sqlTimestamp(ms) {
+  return `TIMESTAMP '${new Date(ms).toISOString().replace('T', ' ').replace('Z', '')}'`;
+}
+
+// Normalised filter bounds, or null while the filter is incomplete / invalid
+function filterBounds(col, f) {
+  if (!f) return null;
+  const kind = columnKind(col);
+  if (f.op === 'null' || f.op === 'notnull') return {};
+  if (kind === 'boolean') return f.op === 'any' ? null : {};
+  const a = (f.a || '').trim(), b = (f.b || '').trim();
+  if (!a || (f.op === 'between' && !b)) return null;
+  if (kind === 'number') {
+    const [x, y] = [Number(a), Number(b)];
+    if (!isFinite(x) || (f.op === 'between' && !isFinite(y))) return null;
+    return { x, y };
+  }
+  if (kind === 'date') {
+    const ra = parseDateFilter(a), rb = f.op === 'between' ? parseDateFilter(b) : null;
+    if (!ra || (f.op === 'between' && !rb)) return null;
+    // in: [start, end) · before: < start · after: ≥ end · between: [start a, end b)
+    if (f.op === 'in') return { lo: ra[0], hi: ra[1] };
+    if (f.op === 'before') return { hi: ra[0] };
+    if (f.op === 'after') return { lo: ra[1] };
+    return { lo: ra[0], hi: rb[1] };
+  }
+  if (f.op === 'regex') {
+    try { return { re: new RegExp(a, 'i'), pattern: a }; } catch { return null; }
+  }
+  return { text: a };
+}
+
+// Row-value predicate for the fetched-rows scope
+function filterPredicate(col, f) {
+  const bounds = filterBounds(col, f);
+  if (!bounds) return null;
+  const kind = columnKind(col);
+  if (f.op === 'null') return v => v == null;
+  if (f.op === 'notnull') return v => v != null;
+  if (kind === 'boolean') return v => v === (f.op === 'true');
+  if (kind === 'number') {
+    const { x, y } = bounds;
+    const cmp = {
+      '=': n => n === x, '!=': n => n !== x, '>': n => n > x, '>=': n => n >= x,
+      '<': n => n < x, '<=': n => n <= x, between: n => n >= Math.min(x, y) && n <= Math.max(x, y),
+    }[f.op];
+    return v => v != null && cmp(Number(v));
+  }
+  if (kind === 'date') {
+    const { lo = -Infinity, hi = Infinity } = bounds;
+    return v => { if (v == null) return false; const t = dateValueMs(v); return t >= lo && t < hi; };
+  }
+  if (f.op === 'regex') return v => v != null && bounds.re.test(String(v));
+  const text = bounds.text.toLowerCase();
+  if (f.op === '=') return v => v != null && String(v) === bounds.text;
+  return v => v != null && String(v).toLowerCase().includes(text);
+}
+
+// The same filter as a DuckDB condition for pushdown
+function filterSql(col, f) {
+  const bounds = filterBounds(col, f);
+  if (!bounds) return null;
+  const kind = columnKind(col);
+  const c = sqlIdent(col);
+  if (f.op === 'null') return `${c} IS NULL`;
+  if (f.op === 'notnull') return `${c} IS NOT NULL`;
+  if (kind === 'boolean') return `${c} = ${f.op}`;
+  if (kind === 'number') {
+    const { x, y } = bounds;
+    if (f.op === 'between') return `${c} BETWEEN ${Math.min(x, y)} AND ${Math.max(x, y)}`;
+    return `${c} ${f.op === '!=' ? '<>' : f.op} ${x}`;
+  }
+  if (kind === 'date') {
+    const parts = [];
+    if (bounds.lo !== undefined) parts.push(`CAST(${c} AS TIMESTAMP) >= ${sqlTimestamp(bounds.lo)}`);
+    if (bounds.hi !== undefined) parts.push(`CAST(${c} AS TIMESTAMP) < ${sqlTimestamp(bounds.hi)}`);
+    return parts.join(' AND ');
+  }
+  if (f.op === 'regex') return `regexp_matches(CAST(${c} AS VARCHAR), ${sqlString(bounds.pattern)}, 'i')`;
+  if (f.op === '=') return `CAST(${c} AS VARCHAR) = ${sqlString(bounds.text)}`;
+  return `contains(lower(CAST(${c} AS VARCHAR)), ${sqlString(bounds.text.toLowerCase())})`;
+}
+
+function activeFilters() {
+  return Object.entries(filterValues).filter(([col, f]) => filterBounds(col, f));
+}
+
+// Operator select + value input(s) for one column's filter cell
+function buildFilterWidget(col, onChange) {
+  const kind = columnKind(col);
+  const f = filterValues[col] ||= { op: FILTER_OPS[kind][0][0], a: '', b: '' };
+  const wrap = document.createElement('div');
+  wrap.className = `filter-cell filter-${kind}`;
+
+  const op = document.createElement('select');
+  op.className = 'filter-op';
+  op.title = 'Filter operator';
+  FILTER_OPS[kind].forEach(([value, label]) => {
+    const o = document.createElement('option');
+    o.value = value; o.textContent = label;
+    op.appendChild(o);
+  });
+  op.value = f.op;
+  wrap.appendChild(op);
+
+  const inputs = kind === 'boolean' ? [] : ['a', 'b'].map(key => {
+    const inp = document.createElement('input');
+    inp.type = 'text'; inp.className = 'filter-input';
+    inp.placeholder = key === 'b' ? 'and…' : FILTER_PLACEHOLDERS[kind];
+    if (kind === 'number') inp.inputMode = 'decimal';
+    inp.value = f[key] || '';
+    inp.addEventListener('input', () => { f[key] = inp.value; sync(); onChange(true); });
+    wrap.appendChild(inp);
+    return inp;
+  });
+
+  // Show only the inputs the operator needs; flag values that don't parse
+  const sync = () => {
+    const needsValue = !['null', 'notnull'].includes(f.op);
+    inputs.forEach((inp, i) => { inp.style.display = needsValue && (i === 0 || f.op === 'between') ? '' : 'none'; });
+    const invalid = needsValue && (f.a || '').trim() !== '' && !filterBounds(col, f) && !(f.op === 'between' && !(f.b || '').trim());
+    inputs.forEach(inp => inp.classList.toggle('invalid', invalid));
+    wrap.classList.toggle('active', !!filterBounds(col, f));
+  };
+  op.addEventListener('change', () => { f.op = op.value; sync(); onChange(false); });
+  sync();
+  return wrap;
+}
+
+/* ============================================================
+   TABLE FILTER + SORT
+   ============================================================ */
+// Row indices (__id) that pass the column filters, in the current sort order.
+// Pushed-down filters were already applied by DuckDB.
+function getFilteredSortedIds() {
+  let ids = Array.from({ length: currentResult.numRows }, (_, i) => i);
+  if (filterPushdown) return ids;
+  const active = activeFilters();
+  if (active.length) {
+    const tests = active.map(([col, f]) => [columnValues(col), filterPredicate(col, f)]);
+    ids = ids.filter(i => tests.every(([values, test]) => test(values[i])));
+  }
+  if (sortState.col && sortState.dir) {
+    const values = columnValues(sortState.col);
+    const dir = sortState.dir === 'asc' ? 1 : -1;
+    ids.sort((a, b) => {
+      const av = values[a], bv = values[b];
+      if (av == null) return 1;
+      if (bv == null) return -1;
+      if ((typeof av === 'number' || typeof av === 'bigint') &&
+        (typeof bv === 'number' || typeof bv === 'bigint'))
+        return (Number(av) - Number(bv)) * dir;
+      return String(av).localeCompare(String(bv)) * dir;
+    });
+  }
+  return ids;
+}
+
+function tableFiltersActive() {
+  return activeFilters().length > 0 || !!(sortState.col && sortState.dir);
+}
+
+// The result's SQL wrapped in the table filters (compiled by filterSql, so it
+// matches the fetched-rows scope) and sort; runQuery caps it like any other query
+function pushdownSql(baseSql) {
+  const base = baseSql.replace(/;\s*$/, '');
+  const where = activeFilters().map(([col, f]) => filterSql(col, f));
+  let sql = `SELECT * FROM (\n${base}\n) AS __src`;
+  if (where.length) sql += `\nWHERE ${where.join(' AND ')}`;
+  if (sortState.col && sortState.dir) sql += `\nORDER BY ${sqlIdent(sortState.col)} ${sortState.dir.toUpperCase()} NULLS LAST`;
+  return sql;
+}
+
+function refineQuery() {
+  if (activeQuery) { refinePending = true; return; }
+  runQuery({ refine: true });
+}
+
+// Filter / sort changed: re-filter the fetched rows, or re-run in DuckDB when pushed down
+function applyTableView(tbody, displayCols) {
+  if (filterPushdown) refineQuery();
+  else renderTableBody(tbody, displayCols);
+}
+
+function setFilterPushdown(on) {
+  filterPushdown = on;
+  const btn = document.getElementById('filter-scope-btn');
+  if (btn) {
+    btn.textContent = on ? 'Filter: dataset' : 'Filter: fetched rows';
+    btn.classList.toggle('active', on);
+  }
+  // Rows fetched under the other scope no longer match what the filters say
+  if (resultBaseSql && tableFiltersActive()) refineQuery();
+  else renderFilterScope();
+}
+
+// Say plainly what the filters / sort cover
+function renderFilterScope() {
+  const el = document.getElementById('output-scope');
+  if (!el) return;
+  if (!currentCols.length || !tableFiltersActive()) { el.textContent = ''; return; }
+  const n = currentResult.numRows.toLocaleString();
+  if (filterPushdown) {
+    el.textContent = `Filters and sort run in DuckDB over the whole dataset — ${n} matching rows${resultCapped ? ' (capped)' : ''}.`;
+  } else {
+    el.textContent = `Filters and sort apply to the ${n} fetched rows only${resultCapped ? ' — the safety cap cut the result short, so matches beyond it are missed' : ''}.`;
+  }
+  el.classList.toggle('warn', !filterPushdown && resultCapped);
+}
+
+/* ============================================================
+   TABLE RENDERING
+   ============================================================ */
+function renderTable() {
+  const wrapper = document.getElementById('table-wrapper');
+  const empty = document.getElementById('empty-state');
+  // A pushed-down filter can match nothing — keep the filter row so it can be cleared
+  if (currentResult.numRows === 0 && !(filterPushdown && tableFiltersActive())) {
+    wrapper.innerHTML = '';
+    if (empty) empty.style.display = 'flex';
+    return;
+  }
+  if (empty) empty.style.display = 'none';
+
+  const displayCols = tableDisplayCols();
+  const table = document.createElement('table');
   table.id = 'results-table';
 
   /* thead */
@@ -834,7 +2036,7 @@ function renderTable() {
   selAll.type = 'checkbox';
   selAll.title = 'Select all visible rows';
   selAll.addEventListener('change', () => {
-    getFilteredSortedRows().forEach(r => selAll.checked ? selectedIds.add(r.__id) : selectedIds.delete(r.__id));
+    tableIds.forEach(rid => selAll.checked ? selectedIds.add(rid) : selectedIds.delete(rid));
     syncSelection();
   });
   thCk.appendChild(selAll);
@@ -852,7 +2054,7 @@ function renderTable() {
         sortState.dir = sortState.dir === 'asc' ? 'desc' : sortState.dir === 'desc' ? null : 'asc';
         if (!sortState.dir) sortState.col = null;
       } else { sortState.col = col; sortState.dir = 'asc'; }
-      renderTableBody(table.querySelector('tbody'), displayCols);
+      applyTableView(table.querySelector('tbody'), displayCols);
       table.querySelectorAll('.sort-indicator').forEach(e => e.textContent = '');
       if (sortState.col) {
         const i = displayCols.indexOf(sortState.col);
@@ -871,11 +2073,12 @@ function renderTable() {
   filterRow.appendChild(tfCk);
   displayCols.forEach(col => {
     const th = document.createElement('th');
-    const inp = document.createElement('input');
-    inp.type = 'text'; inp.className = 'filter-input'; inp.placeholder = 'filter…';
-    inp.value = filterValues[col] || '';
-    inp.addEventListener('input', () => { filterValues[col] = inp.value; renderTableBody(table.querySelector('tbody'), displayCols); });
-    th.appendChild(inp);
+    th.appendChild(buildFilterWidget(col, typing => {
+      // Re-filtering a large result on every keystroke would lag the input
+      clearTimeout(filterTimer);
+      const apply = () => applyTableView(table.querySelector('tbody'), displayCols);
+      if (typing) filterTimer = setTimeout(apply, FILTER_DEBOUNCE_MS); else apply();
+    }));
     filterRow.appendChild(th);
   });
   thead.appendChild(filterRow);
@@ -883,153 +2086,395 @@ function renderTable() {
 
   const tbody = document.createElement('tbody');
   table.appendChild(tbody);
-  renderTableBody(tbody, displayCols);
   wrapper.innerHTML = '';
   wrapper.appendChild(table);
+  // Rendered once attached, so the window is sized from the real header / viewport
+  renderTableBody(tbody, displayCols);
 }
 
+/* ---- Virtual body ----
+   Only rows in (and just around) the viewport exist in the DOM. Two spacer rows
+   stand in for the rest, so the scrollbar, sticky header and filter row behave
+   as they would for the full table. Rows are assumed to share one height.
+   Past TABLE_MAX_HEIGHT the body's height is clamped and each scrolled pixel
+   moves `scale` pixels through the rows (see tableScrollScale). */
+const TABLE_OVERSCAN = 20;        // extra rows rendered above / below the viewport
+const TABLE_MAX_HEIGHT = 10_000_000;  // px — browsers cap element heights (Firefox near 17.9M)
+const FILTER_DEBOUNCE_MS = 150;
+let tableRowHeight = 27;          // re-measured from the first rendered row
+let tableWindow = { start: -1, end: -1, pad: 0 };
+let filterTimer = null;
+
 function renderTableBody(tbody, displayCols) {
-  tbody.innerHTML = '';
-  getFilteredSortedRows().forEach(row => {
-    const rid = row.__id;
-    const tr = document.createElement('tr');
-    tr.dataset.rid = rid;
-    if (selectedIds.has(rid)) tr.classList.add('row-selected');
-
-    const tdCk = document.createElement('td'); tdCk.className = 'col-check';
-    const cb = document.createElement('input'); cb.type = 'checkbox'; cb.checked = selectedIds.has(rid);
-    cb.addEventListener('change', () => {
-      if (cb.checked) selectedIds.add(rid); else selectedIds.delete(rid);
-      tr.classList.toggle('row-selected', cb.checked);
-      syncSelection();
-    });
-    tdCk.appendChild(cb); tr.appendChild(tdCk);
-
-    displayCols.forEach(col => {
-      const td = document.createElement('td');
-      const val = row[col];
-      if (typeof val === 'number' || typeof val === 'bigint') {
-        td.className = 'cell-number';
-        td.textContent = typeof val === 'bigint' ? val.toString() : Number.isInteger(val) ? val : val.toFixed(4);
-      } else if (val === null || val === undefined) {
-        td.style.color = 'var(--text-dim)'; td.textContent = 'null';
-      } else { td.textContent = String(val); }
-      tr.appendChild(td);
-    });
+  tableIds = getFilteredSortedIds();
+  tableWindow = { start: -1, end: -1, pad: 0 };
+  renderVisibleRows(tbody, displayCols);
+  renderFilterScope();
+  renderSelectionBar();
+}
 
-    tr.addEventListener('click', e => {
-      if (e.target.type === 'checkbox') return;
-      if (selectedIds.has(rid)) { selectedIds.delete(rid); cb.checked = false; tr.classList.remove('row-selected'); }
-      else { selectedIds.add(rid); cb.checked = true; tr.classList.add('row-selected'); }
-      syncSelection();
-    });
-    tbody.appendChild(tr);
+// (Re)build the row window for the current scroll position — a no-op when it hasn't moved
+function renderVisibleRows(tbody = document.querySelector('#results-table tbody'), displayCols = tableDisplayCols()) {
+  const wrapper = document.getElementById('table-wrapper');
+  if (!tbody || !wrapper) return;
+  const headH = tbody.parentElement.tHead?.offsetHeight || 0;
+  const { height, scale } = tableScrollScale(wrapper.clientHeight - headH);
+  const top = wrapper.scrollTop;
+  const rowsTop = top * scale;    // first row pixel under the header, in the full-height table
+  // The top spacer puts row `rowsTop` right under the header. Scaled, that spacer is
+  // shorter than the rows above, so the window may start past the overscan to keep it >= 0
+  const start = Math.max(0, Math.floor(rowsTop / tableRowHeight) - TABLE_OVERSCAN,
+    Math.ceil((rowsTop - top) / tableRowHeight));
+  const end = Math.max(start, Math.min(tableIds.length,
+    Math.ceil((rowsTop + wrapper.clientHeight) / tableRowHeight) + TABLE_OVERSCAN));
+  const pad = top - rowsTop + start * tableRowHeight;
+  const rest = Math.max(0, height - pad - (end - start) * tableRowHeight);
+  if (start === tableWindow.start && end === tableWindow.end) {
+    // Same rows: a scaled scroll only slides them via the spacers
+    if (pad !== tableWindow.pad) {
+      tableWindow.pad = pad;
+      tbody.firstElementChild.firstElementChild.style.height = `${pad}px`;
+      tbody.lastElementChild.firstElementChild.style.height = `${rest}px`;
+    }
+    return;
+  }
+  tableWindow = { start, end, pad };
+
+  const span = displayCols.length + 1;
+  const frag = document.createDocumentFragment();
+  frag.appendChild(tableSpacerRow(pad, span));
+  for (let k = start; k < end; k++) frag.appendChild(buildTableRow(tableIds[k], displayCols));
+  frag.appendChild(tableSpacerRow(rest, span));
+  tbody.replaceChildren(frag);
+
+  // Font and theme decide the real row height; hidden panes measure 0
+  const h = tbody.children[1]?.dataset.rid !== undefined ? tbody.children[1].getBoundingClientRect().height : 0;
+  if (h && Math.abs(h - tableRowHeight) > 0.5) {
+    tableRowHeight = h;
+    tableWindow = { start: -1, end: -1, pad: 0 };
+    renderVisibleRows(tbody, displayCols);
+  }
+}
+
+// Height of the virtual body (capped at TABLE_MAX_HEIGHT) and the row pixels per
+// scrolled pixel that still reach the last row; `view` is the rows' viewport height
+function tableScrollScale(view) {
+  const full = tableIds.length * tableRowHeight;
+  const height = Math.min(full, TABLE_MAX_HEIGHT);
+  const scale = full > height && height > view ? (full - view) / (height - view) : 1;
+  return { height, scale };
+}
+
+function tableSpacerRow(height, span) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-spacer';
+  const td = document.createElement('td');
+  td.colSpan = span;
+  td.style.height = `${height}px`;
+  tr.appendChild(td);
+  return tr;
+}
+
+function buildTableRow(rid, displayCols) {
+  const tr = document.createElement('tr');
+  tr.dataset.rid = rid;
+  if (selectedIds.has(rid)) tr.classList.add('row-selected');
+
+  const tdCk = document.createElement('td'); tdCk.className = 'col-check';
+  const cb = document.createElement('input'); cb.type = 'checkbox'; cb.checked = selectedIds.has(rid);
+  cb.addEventListener('change', () => {
+    if (cb.checked) selectedIds.add(rid); else selectedIds.delete(rid);
+    tr.classList.toggle('row-selected', cb.checked);
+    syncSelection();
+  });
+  tdCk.appendChild(cb); tr.appendChild(tdCk);
+
+  displayCols.forEach(col => {
+    const td = document.createElement('td');
+    const val = getCell(rid, col);
+    const date = columnKind(col) === 'date' ? dateText(val) : null;
+    if (date) {
+      td.textContent = date;
+    } else if (typeof val === 'number' || typeof val === 'bigint') {
+      td.className = 'cell-number';
+      td.textContent = typeof val === 'bigint' ? val.toString() : Number.isInteger(val) ? val : val.toFixed(4);
+    } else if (val === null || val === undefined) {
+      td.style.color = 'var(--text-dim)'; td.textContent = 'null';
+    } else { td.textContent = String(val); }
+    tr.appendChild(td);
+  });
+
+  tr.addEventListener('click', e => {
+    if (e.target.type === 'checkbox') return;
+    if (selectedIds.has(rid)) { selectedIds.delete(rid); cb.checked = false; tr.classList.remove('row-selected'); }
+    else { selectedIds.add(rid); cb.checked = true; tr.classList.add('row-selected'); }
+    syncSelection();
   });
+  return tr;
+}
+
+// Scroll a row into view even when it isn't rendered yet — the scroll event renders it
+function scrollTableToRow(rid) {
+  const wrapper = document.getElementById('table-wrapper');
+  const k = tableIds.indexOf(rid);
+  if (!wrapper || k < 0) return;
+  const headH = document.querySelector('#results-table thead')?.offsetHeight || 0;
+  const view = wrapper.clientHeight - headH;
+  const { scale } = tableScrollScale(view);
+  // Row offset below the sticky header, as renderVisibleRows places it
+  const offset = k * tableRowHeight - wrapper.scrollTop * scale;
+  const above = offset < 0;
+  const below = offset + tableRowHeight > view;
+  if (above || below) wrapper.scrollTo({ top: (k * tableRowHeight - view / 2) / scale, behavior: 'smooth' });
+}
+
+function tableDisplayCols() {
+  return currentCols.filter(c => !currentGeomCols.includes(c) && c !== '__id');
+}
+
+function setupTableScroll() {
+  const wrapper = document.getElementById('table-wrapper');
+  let frame = 0;
+  const update = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => { frame = 0; renderVisibleRows(); });
+  };
+  wrapper.addEventListener('scroll', update, { passive: true });
+  // Pane switches and drawer resizes change how many rows fit
+  new ResizeObserver(update).observe(wrapper);
+}
+
+// Re-render rows into the existing table (streaming progress); builds it on first data
+function refreshTableBody() {
+  const tbody = document.querySelector('#results-table tbody');
+  if (!tbody) { renderTable(); return; }
+  renderTableBody(tbody, tableDisplayCols());
 }
 
 /* ============================================================
    MAP LAYER MANAGEMENT
    ============================================================ */
-function updateMap(skipFit = false) {
-  if (!map || !map.isStyleLoaded()) return 0;
+// Sub-layers of one result layer group, e.g. 'query-points' / 'query-g1-points'
+const LAYER_SUFFIXES = ['polygons', 'polygon-outline', 'lines', 'points'];
 
-  const features = [];
-  currentRows.forEach((row, i) => {
-    const gv = row[currentGeomCol];
-    if (!gv) return;
-    try {
-      const geometry = JSON.parse(typeof gv === 'string' ? gv : String(gv));
-      const properties = { __id: i };
-      Object.keys(row).forEach(k => {
-        if (k !== currentGeomCol) { const v = row[k]; properties[k] = typeof v === 'bigint' ? v.toString() : v; }
-      });
-      features.push({ type: 'Feature', geometry, properties });
-    } catch { }
-  });
-
-  const geojsonFC = { type: 'FeatureCollection', features };
-  const POINT_T = new Set(['Point', 'MultiPoint']);
-  const LINE_T = new Set(['LineString', 'MultiLineString']);
-  const POLY_T = new Set(['Polygon', 'MultiPolygon']);
+function groupLayerIds(prefix) {
+  return {
+    polygons: `${prefix}-polygons`, outline: `${prefix}-polygon-outline`,
+    lines: `${prefix}-lines`, points: `${prefix}-points`,
+  };
+}
 
-  const flat = [];
-  features.forEach(f => {
-    if (f.geometry.type === 'GeometryCollection')
-      f.geometry.geometries.forEach(g => flat.push({ type: 'Feature', geometry: g, properties: f.properties }));
-    else flat.push(f);
-  });
+function activeLayerPrefix() {
+  return resultLayers[activeLayerIdx]?.prefix || 'query';
+}
 
-  const pts = { type: 'FeatureCollection', features: flat.filter(f => POINT_T.has(f.geometry.type)) };
-  const lns = { type: 'FeatureCollection', features: flat.filter(f => LINE_T.has(f.geometry.type)) };
-  const pols = { type: 'FeatureCollection', features: flat.filter(f => POLY_T.has(f.geometry.type)) };
-  const empty = { type: 'FeatureCollection', features: [] };
+// Clickable fill/line/circle layers of every visible result group
+function queryLayerIds() {
+  if (!map?.isStyleLoaded()) return [];
+  return resultLayers.filter(l => l.visible)
+    .flatMap(l => { const L = groupLayerIds(l.prefix); return [L.points, L.lines, L.polygons, `${l.prefix}-cluster-points`]; })
+    .filter(id => map.getLayer(id));
+}
 
+// Fresh layer groups for a streaming result — data arrives via appendMapBatch(),
+// or, when tiled, from showResultTiles() once the whole result is in
+function beginMapResult(tiled = false) {
+  clearMapLayers();
+  pointDisplays.clear();
+  hexbinCache.clear();
+  hexbinPending.clear();
+  mapPropCols = new Set();
+  const emptyFC = () => ({ type: 'FeatureCollection', features: [] });
   // Store for basemap re-hydration
-  lastMapData = { geojsonFC, pts, lns, pols };
-
-  if (map.getSource('query-result')) {
-    map.getSource('query-result').setData(geojsonFC);
-    map.getSource('query-points-src').setData(pts);
-    map.getSource('query-lines-src').setData(lns);
-    map.getSource('query-polygons-src').setData(pols);
-    map.getSource('selected-src').setData(empty);
-  } else {
-    map.addSource('query-result', { type: 'geojson', data: geojsonFC });
-    map.addSource('query-points-src', { type: 'geojson', data: pts });
-    map.addSource('query-lines-src', { type: 'geojson', data: lns });
-    map.addSource('query-polygons-src', { type: 'geojson', data: pols });
-    map.addSource('selected-src', { type: 'geojson', data: empty });
+  lastMapData = {
+    groups: resultLayers.map(l => ({
+      prefix: l.prefix, col: l.col, geojsonFC: emptyFC(), pts: emptyFC(), lns: emptyFC(), pols: emptyFC(), tileUrl: null,
+    })),
+    mapped: 0,
+    tiled,
+    bounds: null,
+  };
+  if (!map?.isStyleLoaded()) return; // style.load after a basemap switch re-hydrates
+  lastMapData.groups.forEach(addLayerGroup);
+  addSelectionLayers();
+  resultLayers.forEach(l => setLayerGroupVisibility(l.prefix, l.visible));
+  // Plain colour while rows stream in; the real style is applied once all have arrived
+  resultLayers.forEach(l => applySingleStyle(l.style.singleColor, l.style.opacity / 100, l.prefix));
+}
 
-    map.addLayer({
-      id: 'query-polygons', type: 'fill', source: 'query-polygons-src',
-      paint: { 'fill-color': '#aaaaaa', 'fill-opacity': 0 }  // invisible until applyStyle fires
-    });
-    map.addLayer({
-      id: 'query-polygon-outline', type: 'line', source: 'query-polygons-src',
-      paint: { 'line-color': '#aaaaaa', 'line-width': 1.5, 'line-opacity': 0 }  // invisible until applyStyle fires
-    });
-    map.addLayer({
-      id: 'query-lines', type: 'line', source: 'query-lines-src',
-      paint: { 'line-color': '#3ddc84', 'line-width': 2, 'line-opacity': 0.9 }
-    });
-    map.addLayer({
-      id: 'query-points', type: 'circle', source: 'query-points-src',
-      paint: {
-        'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 4, 14, 8],
-        'circle-color': '#e8323c', 'circle-stroke-width': 1.2,
-        'circle-stroke-color': '#fff', 'circle-opacity': 0.85
-      }
+// Parse one batch's GeoJSON strings straight into features (no intermediate row objects).
+// A row's layer groups share one properties object.
+function appendMapBatch(batch, offset) {
+  const groups = lastMapData.groups;
+  const vectors = groups.map(g => batch.getChild(g.col));
+  for (let j = 0; j < batch.numRows; j++) {
+    let properties = null;
+    groups.forEach((g, k) => {
+      const gv = vectors[k]?.get(j);
+      if (!gv) return;
+      try {
+        const geometry = JSON.parse(typeof gv === 'string' ? gv : String(gv));
+        properties ??= featureProps(offset + j);
+        const f = { type: 'Feature', geometry, properties };
+        g.geojsonFC.features.push(f);
+        pushByGeometryType(g, f);
+      } catch { }
     });
+    if (properties) lastMapData.mapped++;
+  }
+}
 
-    // Selection highlight layers
-    map.addLayer({
-      id: 'selected-polygons', type: 'fill', source: 'selected-src',
-      filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
-      paint: { 'fill-color': '#f0e500', 'fill-opacity': 0.55 }
-    });
-    map.addLayer({
-      id: 'selected-polygon-outline', type: 'line', source: 'selected-src',
-      filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
-      paint: { 'line-color': '#ffe000', 'line-width': 2.5 }
-    });
-    map.addLayer({
-      id: 'selected-lines', type: 'line', source: 'selected-src',
-      filter: ['any', ['==', ['geometry-type'], 'LineString'], ['==', ['geometry-type'], 'MultiLineString']],
-      paint: { 'line-color': '#ffe000', 'line-width': 3.5 }
-    });
-    map.addLayer({
-      id: 'selected-points', type: 'circle', source: 'selected-src',
-      filter: ['any', ['==', ['geometry-type'], 'Point'], ['==', ['geometry-type'], 'MultiPoint']],
-      paint: {
-        'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 6, 14, 11],
-        'circle-color': '#ffe000', 'circle-stroke-width': 2,
-        'circle-stroke-color': '#000', 'circle-opacity': 1
-      }
-    });
+function featureProps(i) {
+  const props = { __id: i };
+  mapPropCols.forEach(c => { props[c] = mapValue(getCell(i, c)); });
+  return props;
+}
+
+// Push the accumulated features to the map sources
+function flushMapData() {
+  if (!lastMapData || !map?.isStyleLoaded()) return;
+  lastMapData.groups.forEach(g => {
+    map.getSource(`${g.prefix}-result`)?.setData(g.geojsonFC);
+    map.getSource(`${g.prefix}-points-src`)?.setData(g.pts);
+    map.getSource(`${g.prefix}-lines-src`)?.setData(g.lns);
+    map.getSource(`${g.prefix}-polygons-src`)?.setData(g.pols);
+    map.getSource(`${g.prefix}-labels-src`)?.setData(polygonLabelFC(g.pols));
+  });
+}
+
+// Copy columns used by paint / filter expressions onto the live features
+function ensureMapColumns(cols) {
+  const missing = cols.filter(c => c && !mapPropCols.has(c) && currentCols.includes(c));
+  if (!missing.length || !lastMapData) return;
+  missing.forEach(c => mapPropCols.add(c));
+  // Tiles read mapPropCols when they are cut — just have them cut again
+  if (lastMapData.tiled) { reloadResultTiles(); return; }
+  const seen = new Set();
+  lastMapData.groups.forEach(g => g.geojsonFC.features.forEach(f => {
+    if (seen.has(f.properties)) return;
+    seen.add(f.properties);
+    missing.forEach(c => { f.properties[c] = mapValue(getCell(f.properties.__id, c)); });
+  }));
+  flushMapData();
+}
+
+function fitMapToResult() {
+  if (!lastMapData?.mapped) return;
+  if (lastMapData.tiled) { if (lastMapData.bounds) fitMapToBounds(lastMapData.bounds); }
+  else fitMapToFeatures({ features: lastMapData.groups.flatMap(g => g.geojsonFC.features) });
+}
+
+// Features of one live group — rebuilt from the result store when it is drawn as tiles
+function resultGroupFeatures(i) {
+  const g = lastMapData.groups[i];
+  if (!lastMapData.tiled) return g.geojsonFC.features;
+  const features = [];
+  for (let id = 0; id < currentResult.numRows; id++) {
+    const gv = getCell(id, g.col);
+    if (!gv) continue;
+    try { features.push({ type: 'Feature', geometry: JSON.parse(String(gv)), properties: { __id: id } }); } catch { }
+  }
+  return features;
+}
+
+// Points / lines / polygons sub-collections, with GeometryCollections exploded
+const POINT_TYPES = new Set(['Point', 'MultiPoint']);
+const LINE_TYPES = new Set(['LineString', 'MultiLineString']);
+const POLYGON_TYPES = new Set(['Polygon', 'MultiPolygon']);
+
+function pushByGeometryType(target, f) {
+  const type = f.geometry?.type;
+  if (type === 'GeometryCollection')
+    f.geometry.geometries.forEach(g => pushByGeometryType(target, { type: 'Feature', geometry: g, properties: f.properties }));
+  else if (POINT_TYPES.has(type)) target.pts.features.push(f);
+  else if (LINE_TYPES.has(type)) target.lns.features.push(f);
+  else if (POLYGON_TYPES.has(type)) target.pols.features.push(f);
+}
+
+function splitByGeometryType(features) {
+  const out = {
+    pts: { type: 'FeatureCollection', features: [] },
+    lns: { type: 'FeatureCollection', features: [] },
+    pols: { type: 'FeatureCollection', features: [] },
+  };
+  features.forEach(f => pushByGeometryType(out, f));
+  return out;
+}
+
+function addLayerGroup({ prefix, geojsonFC, pts, lns, pols, tileUrl }) {
+  const L = groupLayerIds(prefix);
+  // Tiled groups read one vector source whose source-layers mirror the GeoJSON split
+  let src;
+  if (tileUrl) {
+    map.addSource(`${prefix}-tiles`, { type: 'vector', tiles: [tileUrl], maxzoom: TILE_MAX_ZOOM });
+    src = kind => ({ source: `${prefix}-tiles`, 'source-layer': kind });
+  } else {
+    map.addSource(`${prefix}-result`, { type: 'geojson', data: geojsonFC });
+    map.addSource(`${prefix}-points-src`, { type: 'geojson', data: pts });
+    map.addSource(`${prefix}-lines-src`, { type: 'geojson', data: lns });
+    map.addSource(`${prefix}-polygons-src`, { type: 'geojson', data: pols });
+    src = kind => ({ source: `${prefix}-${kind}-src` });
   }
 
-  if (features.length > 0 && !skipFit) fitMapToFeatures(geojsonFC);
-  return features.length;
+  map.addLayer({
+    id: L.polygons, type: 'fill', ...src('polygons'),
+    paint: { 'fill-color': '#aaaaaa', 'fill-opacity': 0 }  // invisible until applyStyle fires
+  });
+  map.addLayer({
+    id: L.outline, type: 'line', ...src('polygons'),
+    paint: { 'line-color': '#aaaaaa', 'line-width': 1.5, 'line-opacity': 0 }  // invisible until applyStyle fires
+  });
+  map.addLayer({
+    id: L.lines, type: 'line', ...src('lines'),
+    paint: { 'line-color': '#3ddc84', 'line-width': DEFAULT_LINE_WIDTH, 'line-opacity': 0.9 }
+  });
+  map.addLayer({
+    id: L.points, type: 'circle', ...src('points'),
+    paint: {
+      'circle-radius': DEFAULT_CIRCLE_RADIUS,
+      'circle-color': '#e8323c', 'circle-stroke-width': 1.2,
+      'circle-stroke-color': '#fff', 'circle-opacity': 0.85
+    }
+  });
+}
+
+// Selection highlight layers — added after every group so they draw on top
+function addSelectionLayers() {
+  map.addSource('selected-src', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+  map.addLayer({
+    id: 'selected-polygons', type: 'fill', source: 'selected-src',
+    filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
+    paint: { 'fill-color': '#f0e500', 'fill-opacity': 0.55 }
+  });
+  map.addLayer({
+    id: 'selected-polygon-outline', type: 'line', source: 'selected-src',
+    filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
+    paint: { 'line-color': '#ffe000', 'line-width': 2.5 }
+  });
+  map.addLayer({
+    id: 'selected-lines', type: 'line', source: 'selected-src',
+    filter: ['any', ['==', ['geometry-type'], 'LineString'], ['==', ['geometry-type'], 'MultiLineString']],
+    paint: { 'line-color': '#ffe000', 'line-width': 3.5 }
+  });
+  map.addLayer({
+    id: 'selected-points', type: 'circle', source: 'selected-src',
+    filter: ['any', ['==', ['geometry-type'], 'Point'], ['==', ['geometry-type'], 'MultiPoint']],
+    paint: {
+      'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 6, 14, 11],
+      'circle-color': '#ffe000', 'circle-stroke-width': 2,
+      'circle-stroke-color': '#000', 'circle-opacity': 1
+    }
+  });
+}
+
+function setLayerGroupVisibility(prefix, visible) {
+  // Heatmap / hexbin / cluster displays stand in for the plain point layer
+  const plainPoints = (pointDisplays.get(prefix) || 'points') === 'points';
+  [...LAYER_SUFFIXES, ...POINT_DISPLAY_SUFFIXES, ...LABEL_SUFFIXES].forEach(suffix => {
+    const id = `${prefix}-${suffix}`;
+    const on = visible && ((suffix !== 'points' && suffix !== 'label-points') || plainPoints);
+    if (map.getLayer(id)) map.setLayoutProperty(id, 'visibility', on ? 'visible' : 'none');
+  });
 }
 
 function fitMapToFeatures(geojson) {
@@ -1047,20 +2492,684 @@ function fitMapToFeatures(geojson) {
   }
   geojson.features.forEach(f => { if (f.geometry?.coordinates) walkCoords(f.geometry.coordinates); });
   if (!isFinite(minLng)) return;
-  const camera = map.cameraForBounds([[minLng, minLat], [maxLng, maxLat]], {
+  fitMapToBounds([[minLng, minLat], [maxLng, maxLat]]);
+}
+
+function fitMapToBounds(bounds) {
+  const camera = map.cameraForBounds(bounds, {
     padding: { top: 60, bottom: 60, left: 60, right: 60 }, maxZoom: 14
   });
   if (camera) map.flyTo({ ...camera, duration: 1200, essential: true });
 }
 
 function clearMapLayers() {
-  if (!map) return;
-  ['selected-points', 'selected-lines', 'selected-polygons', 'selected-polygon-outline',
-    'query-points', 'query-lines', 'query-polygons', 'query-polygon-outline'].forEach(id => {
+  if (!map || !map.isStyleLoaded()) return;
+  // Layers first (they reference the sources), then every query-* / selected-* source
+  const style = map.getStyle();
+  style.layers.filter(l => /^(query|selected)-/.test(l.id)).forEach(l => map.removeLayer(l.id));
+  Object.keys(style.sources).filter(id => /^(query|selected)-/.test(id)).forEach(id => map.removeSource(id));
+}
+
+/* ============================================================
+   VECTOR TILES — large results cut into tiles on demand
+   ============================================================
+   MapLibre requests duckdb-tiles://<gen>/<group>/<z>/<x>/<y>; each tile
+   is a DuckDB query over a per-group table of the result's geometries,
+   clipped to the tile (plus a buffer) and simplified to about a pixel,
+   then encoded as MVT. Row ids are the rowids of the result's DuckDB
+   copy (= the streamed __id), so styling, filters and click selection keep
+   working off the same __id / mapPropCols properties as GeoJSON.
+   ============================================================ */
+const TILE_PROTOCOL = 'duckdb-tiles';
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;           // tile units of overlap, hides seams at tile edges
+const TILE_MAX_ZOOM = 14;         // deeper zooms overzoom the z14 tiles
+const TILE_AUTO_ROWS = 50000;     // 'auto' switches to tiles past this many rows
+
+let tileConn = null;              // own connection: tiles never interleave with a streaming result
+let tileGen = 0;                  // bumped per tiled result — stale tile requests come back empty
+let tileVersion = 0;              // cache-buster when the feature properties change
+
+function renderModeSetting() {
+  return document.getElementById('render-mode-select')?.value || 'auto';
+}
+
+// Materialise each geometry column (with its bbox) for tile queries, then swap the
+// group layers over to vector sources
+async function showResultTiles() {
+  const source = await ensureResultTable();
+  const gen = ++tileGen;
+  const tables = [];
+  for (const [i, g] of lastMapData.groups.entries()) {
+    const table = `__tiles_${gen}_${i}`;
+    const col = sqlIdent(g.col);
+    // lx/ly: polygon label point — always inside the polygon, unlike its centroid
+    await tileConn.query(`
+      CREATE OR REPLACE TEMP TABLE "${table}" AS
+      SELECT * EXCLUDE (lp), ST_X(lp) AS lx, ST_Y(lp) AS ly FROM (
+        SELECT rowid::INTEGER AS rid, ${col} AS g,
+               ST_XMin(${col}) AS xmin, ST_YMin(${col}) AS ymin,
+               ST_XMax(${col}) AS xmax, ST_YMax(${col}) AS ymax,
+               CASE WHEN ST_GeometryType(${col}) IN ('POLYGON', 'MULTIPOLYGON')
+                    THEN ST_PointOnSurface(${col}) END AS lp
+        FROM ${source} WHERE ${col} IS NOT NULL)`);
+    tables.push(table);
+  }
+  // Previous result's tables are no longer requested
+  const old = await tileConn.query(`SELECT table_name FROM duckdb_tables() WHERE temporary AND table_name LIKE '__tiles_%'`);
+  for (const r of old.toArray()) {
+    if (!tables.includes(r.table_name)) await tileConn.query(`DROP TABLE IF EXISTS "${r.table_name}"`);
+  }
+
+  const union = tables.map(t => `SELECT rid, xmin, ymin, xmax, ymax FROM "${t}"`).join(' UNION ALL ');
+  const stats = (await tileConn.query(`
+    SELECT count(DISTINCT rid)::INTEGER AS mapped, min(xmin) AS xmin, min(ymin) AS ymin, max(xmax) AS xmax, max(ymax) AS ymax
+    FROM (${union})`)).toArray()[0];
+  if (gen !== tileGen) return;
+  lastMapData.mapped = stats.mapped;
+  lastMapData.bounds = stats.mapped ? [[stats.xmin, stats.ymin], [stats.xmax, stats.ymax]] : null;
+  lastMapData.groups.forEach((g, i) => { g.tileUrl = `${TILE_PROTOCOL}://${gen}/${i}/{z}/{x}/{y}?v=${tileVersion}`; });
+
+  if (!map?.isStyleLoaded()) return;
+  clearMapLayers();
+  lastMapData.groups.forEach(addLayerGroup);
+  addSelectionLayers();
+  resultLayers.forEach(l => setLayerGroupVisibility(l.prefix, l.visible));
+  syncSelection();
+}
+
+function reloadResultTiles() {
+  tileVersion++;
+  lastMapData.groups.forEach(g => {
+    if (!g.tileUrl) return;
+    g.tileUrl = g.tileUrl.replace(/\?v=\d+$/, `?v=${tileVersion}`);
+    map?.getSource(`${g.prefix}-tiles`)?.setTiles([g.tileUrl]);
+  });
+}
+
+// Tiles when DuckDB can cut them (needs the spatial extension), GeoJSON otherwise
+async function drawResultTiles() {
+  try {
+    await showResultTiles();
+  } catch (e) {
+    console.warn('Vector tiles failed:', e.message);
+    showToast('Vector tiles unavailable — drawing the result as GeoJSON.');
+    drawResultGeoJSON();
+  }
+}
+
+// Rebuild the GeoJSON layers from the result store, keeping the styled columns
+function drawResultGeoJSON() {
+  const cols = mapPropCols;
+  beginMapResult(false);
+  mapPropCols = cols;
+  currentResult.batches.forEach((b, k) => appendMapBatch(b, currentResult.offsets[k]));
+  flushMapData();
+}
+
+// Switching the MAP mode re-renders the current result without re-running it
+async function applyRenderMode() {
+  if (!lastMapData || activeQuery) return;
+  const mode = renderModeSetting();
+  const tiled = mode === 'tiles' || (mode === 'auto' && currentResult.numRows > TILE_AUTO_ROWS);
+  if (tiled === lastMapData.tiled) return;
+  if (tiled) {
+    const cols = mapPropCols;
+    beginMapResult(true);
+    mapPropCols = cols;
+    await drawResultTiles();
+  } else drawResultGeoJSON();
+  reapplyLayerStyles();
+  syncSelection();
+}
+
+async function loadResultTile(params) {
+  const empty = { data: new ArrayBuffer(0) };
+  const m = new RegExp(`^${TILE_PROTOCOL}://(\\d+)/(\\d+)/(\\d+)/(\\d+)/(\\d+)`).exec(params.url);
+  if (!m || !tileConn) return empty;
+  const [gen, group, z, x, y] = m.slice(1).map(Number);
+  if (gen !== tileGen) return empty;
+
+  const n = 2 ** z;
+  const b = TILE_BUFFER / TILE_EXTENT;
+  const lon = tx => tx / n * 360 - 180;
+  const lat = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+  const [x0, x1, y0, y1] = [lon(x - b), lon(x + 1 + b), lat(y + 1 + b), lat(y - b)];
+  const tol = (360 / n) / 512;   // ≈ one pixel of a 512px tile
+  const env = `ST_MakeEnvelope(${x0}, ${y0}, ${x1}, ${y1})`;
+  // Geometries inside the tile skip the clip; crossing ones are cut to the buffered edge
+  const res = await tileConn.query(`
+    SELECT rid, lx, ly, ST_AsGeoJSON(ST_SimplifyPreserveTopology(
+             CASE WHEN xmin >= ${x0} AND xmax <= ${x1} AND ymin >= ${y0} AND ymax <= ${y1}
+                  THEN g ELSE ST_Intersection(g, ${env}) END, ${tol})) AS g
+    FROM "__tiles_${gen}_${group}"
+    WHERE xmax >= ${x0} AND xmin <= ${x1} AND ymax >= ${y0} AND ymin <= ${y1}`);
+  if (gen !== tileGen) return empty;
+
+  const project = ([px, py]) => {
+    const s = Math.sin(Math.max(-85.0511, Math.min(85.0511, py)) * Math.PI / 180);
+    return [
+      Math.round(((px + 180) / 360 * n - x) * TILE_EXTENT),
+      Math.round(((0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * n - y) * TILE_EXTENT),
+    ];
+  };
+  const layers = { points: { features: [] }, lines: { features: [] }, polygons: { features: [] }, labels: { features: [] } };
+  const [ix0, ix1, iy0, iy1] = [lon(x), lon(x + 1), lat(y + 1), lat(y)];
+  res.toArray().forEach(r => {
+    if (!r.g) return;
+    try { pushTileFeature(layers, JSON.parse(String(r.g)), r.rid, project); } catch { }
+    // Each polygon labelled once — by the tile its label point falls in, not the buffer around it
+    if (r.lx != null && r.lx >= ix0 && r.lx < ix1 && r.ly > iy0 && r.ly <= iy1) {
+      layers.labels.features.push({ id: r.rid, type: 1, geometry: [project([r.lx, r.ly])], tags: featureProps(r.rid) });
+    }
+  });
+  const pbf = vtpbf.fromGeojsonVt(layers, { version: 2, extent: TILE_EXTENT });
+  return { data: pbf.buffer.slice(pbf.byteOffset, pbf.byteOffset + pbf.byteLength) };
+}
+
+// GeoJSON geometry → geojson-vt style tile feature (type 1/2/3, tile coordinates)
+function pushTileFeature(layers, geometry, rid, project) {
+  const c = geometry.coordinates;
+  const feature = (type, geom) => ({ id: rid, type, geometry: geom, tags: featureProps(rid) });
+  switch (geometry.type) {
+    case 'Point': layers.points.features.push(feature(1, [project(c)])); break;
+    case 'MultiPoint': if (c.length) layers.points.features.push(feature(1, c.map(project))); break;
+    case 'LineString': if (c.length > 1) layers.lines.features.push(feature(2, [c.map(project)])); break;
+    case 'MultiLineString': if (c.length) layers.lines.features.push(feature(2, c.map(l => l.map(project)))); break;
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const rings = (geometry.type === 'Polygon' ? [c] : c).flatMap(polygon => tileRings(polygon, project));
+      if (rings.length) layers.polygons.features.push(feature(3, rings));
+      break;
+    }
+    case 'GeometryCollection':
+      geometry.geometries.forEach(g => pushTileFeature(layers, g, rid, project));
+      break;
+  }
+}
+
+// MVT winding: exterior rings positive area (clockwise, y down), holes negative.
+// Polygons that round away to nothing are dropped with their holes.
+function tileRings(polygon, project) {
+  const out = [];
+  for (const [k, ring] of polygon.entries()) {
+    const pts = ring.map(project);
+    let area = 0;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) area += pts[j][0] * pts[i][1] - pts[i][0] * pts[j][1];
+    if (!area) { if (k === 0) return []; continue; }
+    if ((area > 0) !== (k === 0)) pts.reverse();
+    out.push(pts);
+  }
+  return out;
+}
+
+/* ============================================================
+   DRAW TOOLS — rectangle / polygon / circle spatial filters
+   ============================================================
+   Rectangle and circle: click, move, click. Polygon: click each
+   vertex, double-click (or Enter) to finish. A radius typed into the
+   toolbar makes the circle tool place a circle with one click. Esc
+   cancels. Finished shapes can wrap the query in ST_Intersects,
+   be inserted as a geometry literal, or be saved as a table.
+   ============================================================ */
+let drawMode = null;          // 'rectangle' | 'polygon' | 'circle' while a tool is active
+let drawVertices = [];        // clicked [lng, lat] of the shape in progress
+let drawnShapes = [];         // finished shapes: GeoJSON Polygon features
+let drawSeq = 0;
+
+const DRAW_HINTS = {
+  rectangle: 'Click two opposite corners',
+  polygon: 'Click vertices · double-click or Enter to finish',
+  circle: 'Click the centre, then the edge (or type a radius first)',
+};
+
+function setupDrawTools() {
+  document.querySelectorAll('.draw-tool').forEach(btn => {
+    btn.addEventListener('click', () => setDrawMode(drawMode === btn.dataset.tool ? null : btn.dataset.tool));
+  });
+  document.getElementById('draw-filter-btn').addEventListener('click', filterQueryByDrawing);
+  document.getElementById('draw-insert-btn').addEventListener('click', insertDrawingLiteral);
+  document.getElementById('draw-save-btn').addEventListener('click', saveDrawingAsTable);
+  document.getElementById('draw-clear-btn').addEventListener('click', () => {
+    drawnShapes = [];
+    setDrawMode(null);
+    renderDrawnShapes();
+  });
+
+  map.on('click', e => {
+    if (!drawMode) return;
+    const p = [e.lngLat.lng, e.lngLat.lat];
+    const radius = parseFloat(document.getElementById('draw-radius-input').value);
+    if (drawMode === 'circle' && radius > 0) finishShape(circlePolygon(p, radius), { shape: 'circle', radius_m: radius });
+    else if (drawMode === 'polygon') drawVertices.push(p);
+    else if (!drawVertices.length) drawVertices.push(p);
+    else if (drawMode === 'rectangle') finishShape(rectanglePolygon(drawVertices[0], p), { shape: 'rectangle' });
+    else {
+      const r = Math.round(distanceMeters(drawVertices[0], p));
+      finishShape(circlePolygon(drawVertices[0], r), { shape: 'circle', radius_m: r });
+    }
+    renderDrawPreview(p);
+  });
+  map.on('mousemove', e => { if (drawMode) renderDrawPreview([e.lngLat.lng, e.lngLat.lat]); });
+  map.on('dblclick', e => {
+    if (drawMode !== 'polygon') return;
+    e.preventDefault();
+    finishPolygon();
+  });
+  document.addEventListener('keydown', e => {
+    if (!drawMode || e.target.closest('input, textarea, .cm-editor')) return;
+    if (e.key === 'Escape') setDrawMode(null);
+    else if (e.key === 'Enter' && drawMode === 'polygon') finishPolygon();
+  });
+}
+
+function setDrawMode(mode) {
+  if (mode && lassoActive) setLassoActive(false);
+  drawMode = mode;
+  drawVertices = [];
+  document.querySelectorAll('.draw-tool').forEach(b => b.classList.toggle('active', b.dataset.tool === mode));
+  document.getElementById('draw-hint').textContent = mode ? DRAW_HINTS[mode] : '';
+  map.getCanvas().style.cursor = mode ? 'crosshair' : '';
+  // Double-click finishes a polygon instead of zooming
+  if (mode) map.doubleClickZoom.disable(); else map.doubleClickZoom.enable();
+  renderDrawPreview(null);
+}
+
+function finishPolygon() {
+  // The double-click's two clicks each added a vertex — drop consecutive duplicates
+  const pts = drawVertices.filter((p, i) => i === 0 || p[0] !== drawVertices[i - 1][0] || p[1] !== drawVertices[i - 1][1]);
+  if (pts.length < 3) { showToast('A polygon needs at least three vertices.'); return; }
+  finishShape([[...pts, pts[0]]], { shape: 'polygon' });
+}
+
+function finishShape(rings, props) {
+  drawnShapes.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: rings }, properties: { id: ++drawSeq, ...props } });
+  drawVertices = [];
+  renderDrawnShapes();
+}
+
+function rectanglePolygon([x0, y0], [x1, y1]) {
+  return [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]];
+}
+
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * rad / 2) ** 2
+    + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lng2 - lng1) * rad / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// Geodesic circle as a 64-gon
+function circlePolygon([lng, lat], radiusM, steps = 64) {
+  const rad = Math.PI / 180;
+  const d = radiusM / 6371008.8;
+  const φ1 = lat * rad, λ1 = lng * rad;
+  const ring = [];
+  for (let i = 0; i <= steps; i++) {
+    const θ = (i % steps) / steps * 2 * Math.PI;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(d) + Math.cos(φ1) * Math.sin(d) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(d) * Math.cos(φ1), Math.cos(d) - Math.sin(φ1) * Math.sin(φ2));
+    ring.push([+(λ2 / rad).toFixed(7), +(φ2 / rad).toFixed(7)]);
+  }
+  return [ring];
+}
+
+function ensureDrawLayers() {
+  if (!map?.isStyleLoaded()) return false;
+  if (!map.getSource('draw-src')) {
+    const empty = { type: 'FeatureCollection', features: [] };
+    map.addSource('draw-src', { type: 'geojson', data: empty });
+    map.addSource('draw-preview-src', { type: 'geojson', data: empty });
+    map.addLayer({ id: 'draw-fill', type: 'fill', source: 'draw-src', paint: { 'fill-color': '#38bdf8', 'fill-opacity': 0.12 } });
+    map.addLayer({ id: 'draw-outline', type: 'line', source: 'draw-src', paint: { 'line-color': '#38bdf8', 'line-width': 2 } });
+    map.addLayer({
+      id: 'draw-preview', type: 'line', source: 'draw-preview-src',
+      paint: { 'line-color': '#38bdf8', 'line-width': 1.5, 'line-dasharray': [2, 2] },
+    });
+  }
+  // Result layers are added on top as queries run — keep the drawing visible above them
+  ['draw-fill', 'draw-outline', 'draw-preview'].forEach(id => map.moveLayer(id));
+  return true;
+}
+
+function renderDrawnShapes() {
+  const count = drawnShapes.length;
+  document.getElementById('draw-actions').style.display = count ? '' : 'none';
+  document.getElementById('draw-count').textContent = count ? `${count} shape${count > 1 ? 's' : ''}` : '';
+  if (!count && !map.getSource('draw-src')) return;
+  if (!ensureDrawLayers()) return;
+  map.getSource('draw-src').setData({ type: 'FeatureCollection', features: drawnShapes });
+}
+
+// Outline of the shape in progress, following the cursor
+function renderDrawPreview(cursor) {
+  if (!ensureDrawLayers()) return;
+  let coords = null;
+  const [first] = drawVertices;
+  if (drawMode && cursor) {
+    if (drawMode === 'polygon' && first) coords = [...drawVertices, cursor, first];
+    else if (drawMode === 'rectangle' && first) coords = rectanglePolygon(first, cursor)[0];
+    else if (drawMode === 'circle' && first) {
+      const r = Math.round(distanceMeters(first, cursor));
+      coords = circlePolygon(first, r)[0];
+      document.getElementById('draw-hint').textContent = `Radius ${r.toLocaleString()} m`;
+    }
+  }
+  map.getSource('draw-preview-src').setData({
+    type: 'FeatureCollection',
+    features: coords ? [{ type: 'Feature', geometry: { type: 'LineString', coordinates: coords }, properties: {} }] : [],
+  });
+}
+
+// All drawn shapes as one WKT geometry
+function drawingWkt() {
+  const poly = f => `(${f.geometry.coordinates.map(r => `(${r.map(p => `${p[0]} ${p[1]}`).join(', ')})`).join(', ')})`;
+  return drawnShapes.length === 1
+    ? `POLYGON${poly(drawnShapes[0])}`
+    : `MULTIPOLYGON(${drawnShapes.map(poly).join(', ')})`;
+}
+
+function drawingSql() {
+  return `ST_GeomFromText('${drawingWkt()}')`;
+}
+
+// Wrap the editor's SQL so only rows intersecting the drawing remain, and run it
+// The predicate goes on a GEOMETRY column of the editor SQL itself (probed with
+// DESCRIBE), preferring the one the current result is drawn from
+async function filterQueryByDrawing() {
+  const sql = editorView.state.doc.toString().trim().replace(/;\s*$/, '');
+  if (!sql || !drawnShapes.length || !conn) return;
+  if (activeQuery) {
+    showToast('A query is running — filter by the drawing once it finishes.');
+    return;
+  }
+  let geomCols;
+  try {
+    const res = await conn.query(`DESCRIBE SELECT * FROM (\n${sql}\n)`);
+    geomCols = res.toArray().filter(r => String(r.column_type).startsWith('GEOMETRY')).map(r => r.column_name);
+  } catch (e) {
+    showError(`Could not filter by the drawing: ${e.message}`);
+    return;
+  }
+  if (!geomCols.length) {
+    showToast('The query in the editor returns no GEOMETRY column to filter by the drawing.');
+    return;
+  }
+  const geomCol = geomCols.includes(currentGeomCol) ? currentGeomCol : geomCols[0];
+  if (geomCols.length > 1) showToast(`Filtering on "${geomCol}"`);
+  const wrapped = `SELECT * FROM (\n${sql}\n) AS __drawn\nWHERE ST_Intersects(${sqlIdent(geomCol)}, ${drawingSql()})`;
+  editorView.dispatch({ changes: { from: 0, to: editorView.state.doc.length, insert: wrapped } });
+  setDrawMode(null);
+  runQuery();
+}
+
+// Geometry literal at the cursor, for hand-written predicates
+function insertDrawingLiteral() {
+  if (!drawnShapes.length) return;
+  const { from, to } = editorView.state.selection.main;
+  editorView.dispatch({ changes: { from, to, insert: drawingSql() } });
+  editorView.focus();
+}
+
+// Register the shapes as a GeoJSON table so later joins can use them
+async function saveDrawingAsTable() {
+  if (!drawnShapes.length || !conn) return;
+  const tableName = promptTableName('Table name for the drawn shapes:', `drawn_${drawSeq}`);
+  if (!tableName) return;
+  try {
+    const text = JSON.stringify({ type: 'FeatureCollection', features: drawnShapes });
+    await registerGeoJSON(text, tableName, true, {});
+    showToast(`Saved ${drawnShapes.length} shape(s) as "${tableName}"`);
+  } catch (e) {
+    showError(`Could not save drawing: ${e.message}`);
+  }
+}
+
+/* ============================================================
+   PINNED LAYERS — frozen query results with their own style
+   ============================================================ */
+// Paint properties captured per layer type when a result is pinned
+const PINNED_PAINT_PROPS = {
+  fill: ['fill-color', 'fill-opacity'],
+  line: ['line-color', 'line-opacity', 'line-width'],
+  circle: ['circle-color', 'circle-opacity', 'circle-radius', 'circle-stroke-color', 'circle-stroke-width'],
+};
+
+function pinnedLayerIds() {
+  if (!map?.isStyleLoaded()) return [];
+  return pinnedLayers.filter(p => p.visible)
+    .flatMap(p => p.groups.filter(g => g.visible))
+    .flatMap(g => { const L = groupLayerIds(g.prefix); return [L.points, L.lines, L.polygons]; })
+    .filter(id => map.getLayer(id));
+}
+
+function pinCurrentResult() {
+  if (!lastMapData || !currentGeomCol || !map?.isStyleLoaded()) {
+    showToast('Run a query that returns geometry before pinning it.');
+    return;
+  }
+  const name = prompt('Name for the pinned layer:', `Layer ${pinSeq + 1}`);
+  if (name === null) return;
+
+  stashActiveLayer();
+  const id = ++pinSeq;
+  const pin = {
+    id, name: name.trim() || `Layer ${id}`, sql: currentSql, visible: true,
+    groups: resultLayers.map((l, i) => ({
+      col: l.col,
+      prefix: `pin${id}-g${i}`,
+      // Live features only carry styled columns — the pin keeps every attribute for its popups
+      geojsonFC: {
+        type: 'FeatureCollection',
+        features: resultGroupFeatures(i).map(f => ({
+          type: 'Feature', geometry: f.geometry, properties: { __id: f.properties.__id, ...getRowProps(f.properties.__id) },
+        })),
+      },
+      style: { ...l.style },
+      // Paint + filters are frozen as rendered, so later queries can't restyle the pin
+      legend: styleApplied ? legendItems(l.style) : null,
+      layers: captureGroupPaint(l.prefix),
+      visible: l.visible,
+    })),
+  };
+  pinnedLayers.unshift(pin);
+  addPinnedLayerToMap(pin);
+  orderPinnedLayers();
+  renderPinnedLayers();
+  savePinnedFeatures(pin);
+  savePinnedLayers();
+  showToast(`Pinned "${pin.name}"`);
+}
+
+function captureGroupPaint(prefix) {
+  const out = {};
+  LAYER_SUFFIXES.forEach(suffix => {
+    const layer = map.getLayer(`${prefix}-${suffix}`);
+    if (!layer) return;
+    const paint = {};
+    (PINNED_PAINT_PROPS[layer.type] || []).forEach(p => {
+      const v = map.getPaintProperty(layer.id, p);
+      if (v !== undefined) paint[p] = v;
+    });
+    out[suffix] = { paint, filter: map.getFilter(layer.id) ?? null };
+  });
+  return out;
+}
+
+function addPinnedLayerToMap(pin) {
+  if (map.getSource(`${pin.groups[0]?.prefix}-result`)) return; // already on this style
+  pin.groups.forEach(g => {
+    addLayerGroup({ prefix: g.prefix, geojsonFC: g.geojsonFC, ...splitByGeometryType(g.geojsonFC.features) });
+    LAYER_SUFFIXES.forEach(suffix => {
+      const id = `${g.prefix}-${suffix}`;
+      const saved = g.layers[suffix];
+      if (!saved || !map.getLayer(id)) return;
+      Object.entries(saved.paint).forEach(([p, v]) => map.setPaintProperty(id, p, v));
+      map.setFilter(id, saved.filter);
+    });
+  });
+  setPinnedVisibility(pin);
+}
+
+function removePinnedLayerFromMap(pin) {
+  if (!map?.isStyleLoaded()) return;
+  pin.groups.forEach(g => {
+    LAYER_SUFFIXES.forEach(suffix => {
+      const id = `${g.prefix}-${suffix}`;
       if (map.getLayer(id)) map.removeLayer(id);
     });
-  ['selected-src', 'query-result', 'query-points-src', 'query-lines-src', 'query-polygons-src'].forEach(id => {
-    if (map.getSource(id)) map.removeSource(id);
+    ['result', 'points-src', 'lines-src', 'polygons-src'].forEach(s => {
+      if (map.getSource(`${g.prefix}-${s}`)) map.removeSource(`${g.prefix}-${s}`);
+    });
+  });
+}
+
+function setPinnedVisibility(pin) {
+  pin.groups.forEach(g => setLayerGroupVisibility(g.prefix, pin.visible && g.visible));
+}
+
+// Stack pins bottom-up in panel order, all beneath the live result + selection
+function orderPinnedLayers() {
+  if (!map?.isStyleLoaded()) return;
+  const beforeId = map.getStyle().layers.find(l => /^(query|selected)-/.test(l.id))?.id;
+  [...pinnedLayers].reverse().forEach(pin => pin.groups.forEach(g => LAYER_SUFFIXES.forEach(suffix => {
+    const id = `${g.prefix}-${suffix}`;
+    if (map.getLayer(id)) map.moveLayer(id, beforeId);
+  })));
+}
+
+function rehydratePinnedLayers() {
+  pinnedLayers.forEach(addPinnedLayerToMap);
+  orderPinnedLayers();
+}
+
+function movePinnedLayer(pin, delta) {
+  const i = pinnedLayers.indexOf(pin);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= pinnedLayers.length) return;
+  [pinnedLayers[i], pinnedLayers[j]] = [pinnedLayers[j], pinnedLayers[i]];
+  orderPinnedLayers();
+  renderPinnedLayers();
+  savePinnedLayers();
+}
+
+function removePinnedLayer(pin) {
+  removePinnedLayerFromMap(pin);
+  pinnedLayers = pinnedLayers.filter(p => p !== pin);
+  renderPinnedLayers();
+  savePinnedLayers();
+  idbDelete('pinFeatures', pin.id).catch(e => console.warn('Could not delete pinned features:', e));
+}
+
+// Metadata only — renaming, reordering or toggling a pin must not rewrite its features
+async function savePinnedLayers() {
+  const value = pinnedLayers.map(p => ({ ...p, groups: p.groups.map(({ geojsonFC, ...g }) => g) }));
+  try { await idbPut('state', { key: 'pinnedLayers', value }); }
+  catch (e) { console.warn('Could not save pinned layers:', e); }
+}
+
+// Written once, when the pin is created
+async function savePinnedFeatures(pin) {
+  try { await idbPut('pinFeatures', { id: pin.id, fcs: pin.groups.map(g => g.geojsonFC) }); }
+  catch (e) { console.warn('Could not save pinned features:', e); }
+}
+
+async function restorePinnedLayers() {
+  const rec = await idbGet('state', 'pinnedLayers');
+  if (!rec?.value?.length) return;
+  const restored = [];
+  let migrated = false;
+  for (const pin of rec.value) {
+    // Records saved before v3 carry their features inline — move them to their own store
+    if (pin.groups.every(g => g.geojsonFC)) {
+      await savePinnedFeatures(pin);
+      migrated = true;
+    } else {
+      const fcs = (await idbGet('pinFeatures', pin.id))?.fcs;
+      if (fcs?.length !== pin.groups.length) continue;
+      pin.groups.forEach((g, i) => { g.geojsonFC = fcs[i]; });
+    }
+    restored.push(pin);
+  }
+  pinnedLayers = restored;
+  if (migrated || restored.length < rec.value.length) await savePinnedLayers();
+  if (!pinnedLayers.length) return;
+  pinSeq = Math.max(...pinnedLayers.map(p => p.id));
+  renderPinnedLayers();
+  if (map.isStyleLoaded()) rehydratePinnedLayers();
+  else map.once('style.load', rehydratePinnedLayers);
+}
+
+function renderPinnedLayers() {
+  const section = document.getElementById('section-layers');
+  const el = document.getElementById('pinned-layers');
+  if (!section || !el) return;
+  section.style.display = pinnedLayers.length ? '' : 'none';
+  el.innerHTML = '';
+
+  pinnedLayers.forEach((pin, i) => {
+    const featureCount = pin.groups[0]?.geojsonFC.features.length || 0;
+    const item = document.createElement('div');
+    item.className = 'pinned-item';
+    const row = document.createElement('div');
+    row.className = 'registry-row pinned-row';
+    row.title = pin.sql;
+    row.innerHTML = html`
+      <input type="checkbox" class="pinned-visible" title="Show / hide layer" ${pin.visible ? 'checked' : ''} />
+      <div class="registry-info">
+        <span class="registry-name"></span>
+        <span class="registry-meta">${featureCount.toLocaleString()} features · ${pin.groups.length > 1 ? `${pin.groups.length} geometry cols` : pin.groups[0]?.style.mode}</span>
+      </div>
+      <div class="registry-actions">
+        <button class="reg-btn reg-up" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+        <button class="reg-btn reg-down" title="Move down" ${i === pinnedLayers.length - 1 ? 'disabled' : ''}>▼</button>
+        <button class="reg-btn reg-delete" title="Remove layer">✕</button>
+      </div>`;
+    row.querySelector('.registry-name').textContent = pin.name;
+
+    const legend = document.createElement('div');
+    legend.className = 'pinned-legend';
+    legend.style.display = 'none';
+    pin.groups.forEach(g => {
+      if (!g.legend?.items.length) return;
+      const title = document.createElement('div');
+      title.className = 'legend-title';
+      title.textContent = pin.groups.length > 1 ? `${g.col} · ${g.legend.title}` : g.legend.title;
+      legend.appendChild(title);
+      g.legend.items.forEach(it => {
+        const r = document.createElement('div');
+        r.className = 'legend-break-row';
+        r.innerHTML = html`<div class="legend-break-swatch" style="background:${it.color}"></div><span class="legend-break-label"></span>`;
+        r.querySelector('.legend-break-label').textContent = it.label;
+        legend.appendChild(r);
+      });
+    });
+
+    const cb = row.querySelector('.pinned-visible');
+    cb.addEventListener('click', e => e.stopPropagation());
+    cb.addEventListener('change', () => {
+      pin.visible = cb.checked;
+      if (map?.isStyleLoaded()) setPinnedVisibility(pin);
+      savePinnedLayers();
+    });
+    row.querySelector('.registry-name').addEventListener('dblclick', e => {
+      e.stopPropagation();
+      const name = prompt('Rename layer:', pin.name);
+      if (!name?.trim()) return;
+      pin.name = name.trim();
+      renderPinnedLayers();
+      savePinnedLayers();
+    });
+    row.querySelector('.reg-up').addEventListener('click', e => { e.stopPropagation(); movePinnedLayer(pin, -1); });
+    row.querySelector('.reg-down').addEventListener('click', e => { e.stopPropagation(); movePinnedLayer(pin, 1); });
+    row.querySelector('.reg-delete').addEventListener('click', e => { e.stopPropagation(); removePinnedLayer(pin); });
+    // Click the row to fold its legend open / closed
+    row.addEventListener('click', () => {
+      legend.style.display = legend.style.display === 'none' && legend.childElementCount ? 'block' : 'none';
+    });
+
+    item.append(row, legend);
+    el.appendChild(item);
   });
 }
 
@@ -1068,14 +3177,34 @@ function clearMapLayers() {
    ATTRIBUTE STYLING — State
    ============================================================ */
 const DEFAULT_STYLE = {
-  mode: 'categorical',   // 'single' | 'graduated' | 'categorical'
+  mode: 'categorical',   // 'single' | 'graduated' | 'categorical' | 'proportional' | 'bivariate'
   col: null,
+  col2: null,            // bivariate: the Y-axis column
   singleColor: '#b45309',
-  ramp: 'oranges',
+  ramp: 'oranges',        // palette id of the graduated / heatmap / hexbin ramp
+  catPalette: 'default',  // palette id of the categorical colours
+  catColors: null,        // categorical: { value: colour } pinned over the palette (SLD import)
   rampInverted: false,
-  method: 'quantile', // 'quantile' | 'equal' | 'jenks'
+  method: 'quantile', // 'quantile' | 'equal' | 'jenks' | 'stddev' | 'geometric' | 'pretty' | 'headtail' | 'manual'
+  manualBreaks: null,  // manual: the typed class thresholds between min and max
   nClasses: 5,
   opacity: 85,         // 0–100
+  sizeScale: 'sqrt',   // proportional: 'sqrt' (area ∝ value) | 'linear' (radius ∝ value)
+  sizeMin: 2,          // px radius
+  sizeMax: 20,
+  bivariatePalette: 'pinkblue',
+  pointDisplay: 'points', // 'points' | 'heatmap' | 'hexbin' | 'cluster'
+  pointWeight: '',        // heatmap / hexbin weight column — '' counts points
+  hexSize: 24,            // hexbin cell radius in screen px
+  labelCol: '',           // '' = no labels
+  labelFormat: 'auto',    // NUMBER_FORMATS key, applied to numeric values
+  labelSize: 12,          // px
+  labelColor: '#222222',
+  labelHaloColor: '#ffffff',
+  labelHalo: 1.5,         // halo width in px — 0 for none
+  labelPointPlacement: 'above', // 'above' | 'below' | 'right' | 'center' | 'auto'
+  labelLinePlacement: 'along',  // 'along' (repeated) | 'center' (once, mid-line)
+  labelCollision: 'hide',       // 'hide' overlapping labels | 'overlap' draw them all
 };
 let styleSettings = { ...DEFAULT_STYLE };
 
@@ -1099,12 +3228,154 @@ const CATEGORICAL_PALETTE = [
   '#607d8b', '#66bb6a', '#ffa726', '#26a69a', '#7e57c2',
 ];
 
+/* ============================================================
+   PALETTE CATALOG — built-in, ColorBrewer, CARTO and custom
+   ============================================================
+   Every palette has an id, a type (sequential / diverging /
+   qualitative) and its colours. Ramps (graduated, heatmap, hexbin)
+   use sequential and diverging palettes stretched to the class count;
+   categorical styles use qualitative ones colour by colour. Ids are
+   the COLOR_RAMPS keys and 'default' for the built-ins, 'brewer:…',
+   'carto:…' and 'custom:…' for the rest. ColorBrewer ramps are the
+   largest scheme of each family (9 sequential / 11 diverging classes).
+   ============================================================ */
+const BREWER_PALETTES = {
+  sequential: {
+    Blues: 'f7fbff deebf7 c6dbef 9ecae1 6baed6 4292c6 2171b5 08519c 08306b',
+    BuGn: 'f7fcfd e5f5f9 ccece6 99d8c9 66c2a4 41ae76 238b45 006d2c 00441b',
+    BuPu: 'f7fcfd e0ecf4 bfd3e6 9ebcda 8c96c6 8c6bb1 88419d 810f7c 4d004b',
+    GnBu: 'f7fcf0 e0f3db ccebc5 a8ddb5 7bccc4 4eb3d3 2b8cbe 0868ac 084081',
+    Greens: 'f7fcf5 e5f5e0 c7e9c0 a1d99b 74c476 41ab5d 238b45 006d2c 00441b',
+    Greys: 'ffffff f0f0f0 d9d9d9 bdbdbd 969696 737373 525252 252525 000000',
+    Oranges: 'fff5eb fee6ce fdd0a2 fdae6b fd8d3c f16913 d94801 a63603 7f2704',
+    OrRd: 'fff7ec fee8c8 fdd49e fdbb84 fc8d59 ef6548 d7301f b30000 7f0000',
+    PuBu: 'fff7fb ece7f2 d0d1e6 a6bddb 74a9cf 3690c0 0570b0 045a8d 023858',
+    PuBuGn: 'fff7fb ece2f0 d0d1e6 a6bddb 67a9cf 3690c0 02818a 016c59 014636',
+    PuRd: 'f7f4f9 e7e1ef d4b9da c994c7 df65b0 e7298a ce1256 980043 67001f',
+    Purples: 'fcfbfd efedf5 dadaeb bcbddc 9e9ac8 807dba 6a51a3 54278f 3f007d',
+    RdPu: 'fff7f3 fde0dd fcc5c0 fa9fb5 f768a1 dd3497 ae017e 7a0177 49006a',
+    Reds: 'fff5f0 fee0d2 fcbba1 fc9272 fb6a4a ef3b2c cb181d a50f15 67000d',
+    YlGn: 'ffffe5 f7fcb9 d9f0a3 addd8e 78c679 41ab5d 238443 006837 004529',
+    YlGnBu: 'ffffd9 edf8b1 c7e9b4 7fcdbb 41b6c4 1d91c0 225ea8 253494 081d58',
+    YlOrBr: 'ffffe5 fff7bc fee391 fec44f fe9929 ec7014 cc4c02 993404 662506',
+    YlOrRd: 'ffffcc ffeda0 fed976 feb24c fd8d3c fc4e2a e31a1c bd0026 800026',
+  },
+  diverging: {
+    BrBG: '543005 8c510a bf812d dfc27d f6e8c3 f5f5f5 c7eae5 80cdc1 35978f 01665e 003c30',
+    PiYG: '8e0152 c51b7d de77ae f1b6da fde0ef f7f7f7 e6f5d0 b8e186 7fbc41 4d9221 276419',
+    PRGn: '40004b 762a83 9970ab c2a5cf e7d4e8 f7f7f7 d9f0d3 a6dba0 5aae61 1b7837 00441b',
+    PuOr: '7f3b08 b35806 e08214 fdb863 fee0b6 f7f7f7 d8daeb b2abd2 8073ac 542788 2d004b',
+    RdBu: '67001f b2182b d6604d f4a582 fddbc7 f7f7f7 d1e5f0 92c5de 4393c3 2166ac 053061',
+    RdGy: '67001f b2182b d6604d f4a582 fddbc7 ffffff e0e0e0 bababa 878787 4d4d4d 1a1a1a',
+    RdYlBu: 'a50026 d73027 f46d43 fdae61 fee090 ffffbf e0f3f8 abd9e9 74add1 4575b4 313695',
+    RdYlGn: 'a50026 d73027 f46d43 fdae61 fee08b ffffbf d9ef8b a6d96a 66bd63 1a9850 006837',
+    Spectral: '9e0142 d53e4f f46d43 fdae61 fee08b ffffbf e6f598 abdda4 66c2a5 3288bd 5e4fa2',
+  },
+  qualitative: {
+    Accent: '7fc97f beaed4 fdc086 ffff99 386cb0 f0027f bf5b17 666666',
+    Dark2: '1b9e77 d95f02 7570b3 e7298a 66a61e e6ab02 a6761d 666666',
+    Paired: 'a6cee3 1f78b4 b2df8a 33a02c fb9a99 e31a1c fdbf6f ff7f00 cab2d6 6a3d9a ffff99 b15928',
+    Pastel1: 'fbb4ae b3cde3 ccebc5 decbe4 fed9a6 ffffcc e5d8bd fddaec f2f2f2',
+    Pastel2: 'b3e2cd fdcdac cbd5e8 f4cae4 e6f5c9 fff2ae f1e2cc cccccc',
+    Set1: 'e41a1c 377eb8 4daf4a 984ea3 ff7f00 ffff33 a65628 f781bf 999999',
+    Set2: '66c2a5 fc8d62 8da0cb e78ac3 a6d854 ffd92f e5c494 b3b3b3',
+    Set3: '8dd3c7 ffffb3 bebada fb8072 80b1d3 fdb462 b3de69 fccde5 d9d9d9 bc80bd ccebc5 ffed6f',
+  },
+};
+
+const CARTO_PALETTES = {
+  sequential: {
+    Burg: 'ffc6c4 f4a3a8 e38191 cc607d ad466c 8b3058 672044',
+    BurgYl: 'fbe6c5 f5ba98 ee8a82 dc7176 c8586c 9c3f5d 70284a',
+    RedOr: 'f6d2a9 f5b78e f19c7c ea8171 dd686c ca5268 b13f64',
+    OrYel: 'ecda9a efc47e f3ad6a f7945d f97b57 f66356 ee4d5a',
+    Peach: 'fde0c5 facba6 f8b58b f59e72 f2855d ef6a4c eb4a40',
+    PinkYl: 'fef6b5 ffdd9a ffc285 ffa679 fa8a76 f16d7a e15383',
+    Mint: 'e4f1e1 b4d9cc 89c0b6 63a6a0 448c8a 287274 0d585f',
+    BluGrn: 'c4e6c3 96d2a4 6dbc90 4da284 36877a 266b6e 1d4f60',
+    DarkMint: 'd2fbd4 a5dbc2 7bbcb0 559c9e 3a7c89 235d72 123f5a',
+    Emrld: 'd3f2a3 97e196 6cc08b 4c9b82 217a79 105965 074050',
+    ag_GrnYl: '245668 0f7279 0d8f81 39ab7e 6ec574 a9dc67 edef5d',
+    BluYl: 'f7feae b7e6a5 7ccba2 46aea0 089099 00718b 045275',
+    Teal: 'd1eeea a8dbd9 85c4c9 68abb8 4f90a6 3b738f 2a5674',
+    TealGrn: 'b0f2bc 89e8ac 67dba5 4cc8a3 38b2a3 2c98a0 257d98',
+    Purp: 'f3e0f7 e4c7f1 d1afe8 b998dd 9f82ce 826dba 63589f',
+    PurpOr: 'f9ddda f2b9c4 e597b9 ce78b3 ad5fad 834ba0 573b88',
+    Sunset: 'f3e79b fac484 f8a07e eb7f86 ce6693 a059a0 5c53a5',
+    Magenta: 'f3cbd3 eaa9bd dd88ac ca699d b14d8e 91357d 6c2167',
+    SunsetDark: 'fcde9c faa476 f0746e e34f6f dc3977 b9257a 7c1d6f',
+    ag_Sunset: '4b2991 872ca2 c0369d ea4f88 fa7876 f6a97a edd9a3',
+    BrwnYl: 'ede5cf e0c2a2 d39c83 c1766f a65461 813753 541f3f',
+  },
+  diverging: {
+    ArmyRose: '798234 a3ad62 d0d3a2 fdfbe4 f0c6c3 df91a3 d46780',
+    Fall: '3d5941 778868 b5b991 f6edbd edbb8a de8a5a ca562c',
+    Geyser: '008080 70a494 b4c8a8 f6edbd edbb8a de8a5a ca562c',
+    Temps: '009392 39b185 9ccb86 e9e29c eeb479 e88471 cf597e',
+    TealRose: '009392 72aaa1 b1c7b3 f1eac8 e5b9ad d98994 d0587e',
+    Tropic: '009b9e 42b7b9 a7d3d4 f1f1f1 e4c1d9 d691c1 c75dab',
+    Earth: 'a16928 bd925a d6bd8d edeac2 b5c8b8 79a7ac 2887a1',
+  },
+  qualitative: {
+    Antique: '855c75 d9af6b af6458 736f4c 526a83 625377 68855c 9c9c5e a06177 8c785d 467378 7c7c7c',
+    Bold: '7f3c8d 11a579 3969ac f2b701 e73f74 80ba5a e68310 008695 cf1c90 f97b72 4b4b8f a5aa99',
+    Pastel: '66c5cc f6cf71 f89c74 dcb0f2 87c55f 9eb9f3 fe88b1 c9db74 8be0a4 b497e7 d3b484 b3b3b3',
+    Prism: '5f4690 1d6996 38a6a5 0f8554 73af48 edad08 e17c05 cc503e 94346e 6f4070 994e95 666666',
+    Safe: '88ccee cc6677 ddcc77 117733 332288 aa4499 44aa99 999933 882255 661100 6699cc 888888',
+    Vivid: 'e58606 5d69b1 52bca3 99c945 cc61b0 24796c daa51b 2f8ac4 764e9f ed645a cc3a8e a5aa99',
+  },
+};
+
+const PALETTES = buildPaletteCatalog();
+let customPalettes = [];   // [{ id, name, type, colors }] — saved in IndexedDB
+
+function buildPaletteCatalog() {
+  const catalog = {};
+  Object.entries(COLOR_RAMPS).forEach(([id, colors]) => {
+    catalog[id] = { id, name: id, source: 'Built-in', type: id === 'rdylgn' || id === 'spectral' ? 'diverging' : 'sequential', colors };
+  });
+  catalog.default = { id: 'default', name: 'explorer', source: 'Built-in', type: 'qualitative', colors: CATEGORICAL_PALETTE };
+  [['ColorBrewer', 'brewer', BREWER_PALETTES], ['CARTO', 'carto', CARTO_PALETTES]].forEach(([source, prefix, sets]) => {
+    Object.entries(sets).forEach(([type, group]) => Object.entries(group).forEach(([name, hex]) => {
+      const id = `${prefix}:${name}`;
+      catalog[id] = { id, name, source, type, colors: hex.split(' ').map(h => `#${h}`) };
+    }));
+  });
+  return catalog;
+}
+
+function paletteById(id) {
+  return id?.startsWith('custom:') ? customPalettes.find(p => p.id === id) : PALETTES[id];
+}
+
+// Colours of a style's categorical palette (qualitative only)
+function getCategoricalPalette(settings = styleSettings) {
+  const palette = paletteById(settings.catPalette);
+  return palette?.type === 'qualitative' ? palette.colors : CATEGORICAL_PALETTE;
+}
+
 /* ============================================================
    CLASSIFICATION ALGORITHMS
    ============================================================ */
+const METHOD_LABELS = {
+  quantile: 'quantile', equal: 'equal interval', jenks: 'natural breaks', stddev: 'std deviation',
+  geometric: 'geometric', pretty: 'pretty', headtail: 'head/tail', manual: 'manual',
+};
+const HISTOGRAM_BINS = 32;
+const MAX_MANUAL_CLASSES = 12;
+// Fisher-Jenks is quadratic in the number of values — past this it classifies
+// an even sample of the sorted values instead
+const JENKS_SAMPLE = 2000;
+
+// Min / max without spreading — Math.min(...values) overflows the call stack on large results
+function valueExtent(values) {
+  let min = Infinity, max = -Infinity;
+  for (const v of values) { if (v < min) min = v; if (v > max) max = v; }
+  return [min, max];
+}
+
 function classifyEqualInterval(values, n) {
-  const min = Math.min(...values);
-  const max = Math.max(...values);
+  const [min, max] = valueExtent(values);
   const step = (max - min) / n;
   const breaks = [];
   for (let i = 0; i <= n; i++) breaks.push(min + step * i);
@@ -1125,16 +3396,20 @@ function classifyQuantile(values, n) {
 
 function classifyJenks(values, n) {
   // Jenks Natural Breaks (Fisher-Jenks exact algorithm)
-  const sorted = [...values].sort((a, b) => a - b);
+  let sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length > JENKS_SAMPLE) {
+    const all = sorted;
+    sorted = Array.from({ length: JENKS_SAMPLE }, (_, i) => all[Math.round(i * (all.length - 1) / (JENKS_SAMPLE - 1))]);
+  }
   const len = sorted.length;
-  if (len <= n) return [sorted[0], ...sorted, sorted[len - 1]];
+  if (len <= n) return len > 1 ? sorted : [sorted[0], sorted[0]];
 
-  // Lower matrix (1-indexed via offset)
-  const mat1 = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(0));
-  const mat2 = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(Infinity));
+  // Flat (len + 1) × (n + 1) matrices, 1-indexed: lower class limits and their variances
+  const cols = n + 1;
+  const mat1 = new Uint32Array((len + 1) * cols);
+  const mat2 = new Float64Array((len + 1) * cols).fill(Infinity);
 
-  for (let i = 1; i <= n; i++) { mat1[1][i] = 1; mat2[1][i] = 0; }
-  for (let j = 2; j <= len; j++) mat2[j][1] = Infinity;
+  for (let i = 1; i <= n; i++) { mat1[cols + i] = 1; mat2[cols + i] = 0; }
 
   for (let j = 2; j <= len; j++) {
     let ssd = 0, sumX = 0, sumX2 = 0, w = 0;
@@ -1143,43 +3418,141 @@ function classifyJenks(values, n) {
       const val = sorted[m - 1];
       sumX += val; sumX2 += val * val;
       ssd = sumX2 - (sumX * sumX) / w;
+      const prev = (m - 1) * cols;
       for (let k = 2; k <= n; k++) {
-        if (mat2[j][k] >= ssd + mat2[m - 1][k - 1]) {
-          mat1[j][k] = m;
-          mat2[j][k] = ssd + mat2[m - 1][k - 1];
+        if (mat2[j * cols + k] >= ssd + mat2[prev + k - 1]) {
+          mat1[j * cols + k] = m;
+          mat2[j * cols + k] = ssd + mat2[prev + k - 1];
         }
       }
     }
-    mat1[j][1] = 1;
-    mat2[j][1] = ssd;
+    mat1[j * cols + 1] = 1;
+    mat2[j * cols + 1] = ssd;
   }
 
-  const breaks = new Array(n + 1);
-  breaks[n] = sorted[len - 1];
-  breaks[0] = sorted[0];
-  let k = len;
-  for (let i = n; i >= 2; i--) {
-    const id = mat1[k][i] - 1;
-    breaks[i - 1] = sorted[id];
-    k = mat1[k][i] - 1;
+  const breaks = new Array(n + 1);
+  breaks[n] = sorted[len - 1];
+  breaks[0] = sorted[0];
+  let k = len;
+  for (let i = n; i >= 2; i--) {
+    const id = mat1[k * cols + i] - 1;
+    breaks[i - 1] = sorted[id];
+    k = id;
+  }
+  return breaks;
+}
+
+// Classes one standard deviation wide, centred on the mean
+function classifyStdDev(values, n) {
+  const [min, max] = valueExtent(values);
+  let sum = 0, sum2 = 0;
+  for (const v of values) { sum += v; sum2 += v * v; }
+  const mean = sum / values.length;
+  const sd = Math.sqrt(Math.max(0, sum2 / values.length - mean * mean));
+  const breaks = [min];
+  for (let i = 1; i < n; i++) {
+    const b = mean + (i - n / 2) * sd;
+    if (b > min && b < max) breaks.push(b);
+  }
+  breaks.push(max);
+  return breaks;
+}
+
+// Class widths grow by a constant factor — suits skewed, positive data.
+// Non-positive values shift the series so it starts at 1.
+function classifyGeometric(values, n) {
+  const [min, max] = valueExtent(values);
+  if (min === max) return [min, max];
+  const shift = min > 0 ? 0 : 1 - min;
+  const ratio = (max + shift) / (min + shift);
+  const breaks = [];
+  for (let i = 0; i <= n; i++) breaks.push((min + shift) * ratio ** (i / n) - shift);
+  breaks[0] = min; breaks[n] = max;
+  return breaks;
+}
+
+// Round numbers (1, 2, 2.5 or 5 × 10^k steps) giving about n classes; the end
+// breaks may lie outside the data
+function classifyPretty(values, n) {
+  const [min, max] = valueExtent(values);
+  if (min === max) return [min, max];
+  const raw = (max - min) / n;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  let best = null;
+  [mag / 10, mag, mag * 10].forEach(m => [1, 2, 2.5, 5].forEach(f => {
+    const step = m * f;
+    const classes = Math.ceil(max / step - 1e-9) - Math.floor(min / step + 1e-9);
+    const score = Math.abs(classes - n);
+    if (!best || score < best.score || (score === best.score && step > best.step)) best = { step, score };
+  }));
+  const { step } = best;
+  const start = Math.floor(min / step + 1e-9);
+  const end = Math.ceil(max / step - 1e-9);
+  const breaks = [];
+  for (let i = start; i <= end; i++) breaks.push(+(i * step).toPrecision(12));
+  return breaks;
+}
+
+// Head/tail breaks for heavy-tailed data: split at the mean, then keep
+// splitting the head (values above it) while it stays a minority (≤ 40%)
+function classifyHeadTail(values, n) {
+  const [min, max] = valueExtent(values);
+  const breaks = [min];
+  let head = values;
+  while (breaks.length < n) {
+    const mean = head.reduce((s, v) => s + v, 0) / head.length;
+    const next = head.filter(v => v > mean);
+    if (!next.length) break;
+    breaks.push(mean);
+    if (next.length / head.length > 0.4) break;
+    head = next;
   }
+  breaks.push(max);
   return breaks;
 }
 
 function getBreaks(values, method, n) {
   if (method === 'jenks') return classifyJenks(values, n);
   if (method === 'equal') return classifyEqualInterval(values, n);
+  if (method === 'stddev') return classifyStdDev(values, n);
+  if (method === 'geometric') return classifyGeometric(values, n);
+  if (method === 'pretty') return classifyPretty(values, n);
+  if (method === 'headtail') return classifyHeadTail(values, n);
   return classifyQuantile(values, n);
 }
 
-function getRamp() {
-  const ramp = [...(COLOR_RAMPS[styleSettings.ramp] || COLOR_RAMPS.oranges)];
-  return styleSettings.rampInverted ? ramp.reverse() : ramp;
+// Class breaks of a graduated style — the method's, or the typed thresholds in
+// manual mode. Some methods pick their own class count, so callers take it
+// from breaks.length - 1. Tied breaks collapse: step stops must strictly increase.
+function classBreaks(values, settings = styleSettings) {
+  let breaks;
+  if (settings.method === 'manual') {
+    const [min, max] = valueExtent(values);
+    breaks = [min, ...(settings.manualBreaks || []).filter(b => b > min && b < max), max];
+  } else {
+    breaks = getBreaks(values, settings.method, settings.nClasses);
+  }
+  const unique = breaks.filter((b, i) => i === 0 || b > breaks[i - 1]);
+  return unique.length > 1 ? unique : [breaks[0], breaks[0]];
+}
+
+// Manual thresholds start from another method's breaks on the current column
+function seedManualBreaks(fromMethod) {
+  const values = styleSettings.col ? numericColumnValues(styleSettings.col) : [];
+  styleSettings.manualBreaks = values.length
+    ? classBreaks(values, { ...styleSettings, method: fromMethod }).slice(1, -1) : [];
+}
+
+function getRamp(settings = styleSettings) {
+  const palette = paletteById(settings.ramp);
+  const ramp = [...(palette && palette.type !== 'qualitative' ? palette.colors : COLOR_RAMPS.oranges)];
+  return settings.rampInverted ? ramp.reverse() : ramp;
 }
 
 function interpolateRampToN(ramp, n) {
   // Stretch or compress a base ramp to exactly n stops
   if (ramp.length === n) return ramp;
+  if (n === 1) return [ramp[Math.floor(ramp.length / 2)]];
   const result = [];
   for (let i = 0; i < n; i++) {
     const t = i / (n - 1);
@@ -1203,6 +3576,122 @@ function lerpColor(a, b, t) {
   return `#${rr.toString(16).padStart(2, '0')}${rg.toString(16).padStart(2, '0')}${rb.toString(16).padStart(2, '0')}`;
 }
 
+
+/* ---- colour vision + category colours ----
+   Colour-vision deficiencies are simulated with the Machado et al. (2009)
+   full-severity matrices in linear RGB; palettes are checked by the
+   smallest CIE76 ΔE between colours under each simulation. */
+const VISIONS = {
+  normal: 'Normal vision',
+  protanopia: 'Protanopia (red-blind)',
+  deuteranopia: 'Deuteranopia (green-blind)',
+  tritanopia: 'Tritanopia (blue-blind)',
+  achromatopsia: 'Achromatopsia (no colour)',
+};
+const CVD_MATRICES = {
+  protanopia: [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998],
+  deuteranopia: [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.011820, 0.042940, 0.968881],
+  tritanopia: [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.303900],
+};
+// Below this ΔE two small map swatches are hard to tell apart
+const CVD_MIN_DELTA_E = 6;
+const MAX_CATEGORIES = 20;
+const OTHER_COLOR = '#aaaaaa';
+
+const srgbToLinear = c => c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+const linearToSrgb = c => c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+
+function hexToLinear(hex) {
+  const h = hex.replace('#', '');
+  return [0, 2, 4].map(i => srgbToLinear(parseInt(h.slice(i, i + 2), 16) / 255));
+}
+
+function linearToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, linearToSrgb(c))) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function simulateVision(hex, vision) {
+  if (!CVD_MATRICES[vision] && vision !== 'achromatopsia') return hex;
+  const [r, g, b] = hexToLinear(hex);
+  if (vision === 'achromatopsia') {
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return linearToHex([y, y, y]);
+  }
+  const m = CVD_MATRICES[vision];
+  return linearToHex([m[0] * r + m[1] * g + m[2] * b, m[3] * r + m[4] * g + m[5] * b, m[6] * r + m[7] * g + m[8] * b]);
+}
+
+function hexToLab(hex) {
+  const [r, g, b] = hexToLinear(hex);
+  const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  const fx = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+  const fy = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+  const fz = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function deltaE(a, b) {
+  const p = hexToLab(a), q = hexToLab(b);
+  return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+}
+
+// Smallest ΔE each colour-vision deficiency leaves between the colours —
+// neighbours only for ordered ramps, every pair for qualitative palettes
+function visionCheck(colors, ordered) {
+  const result = {};
+  Object.keys(CVD_MATRICES).forEach(vision => {
+    const sim = colors.map(c => simulateVision(c, vision));
+    let min = Infinity;
+    for (let i = 0; i < sim.length; i++) {
+      const last = ordered ? Math.min(i + 1, sim.length - 1) : sim.length - 1;
+      for (let j = i + 1; j <= last; j++) min = Math.min(min, deltaE(sim[i], sim[j]));
+    }
+    result[vision] = min;
+  });
+  return result;
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return '#' + [0, 8, 4].map(n => Math.round(f(n) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// The palette's colours, then generated ones (golden-angle hue steps kept
+// clear of every colour already used) until there are n
+function extendPalette(palette, n) {
+  const colors = palette.slice(0, n);
+  for (let k = 0; colors.length < n; k++) {
+    const c = hslToHex((k * 137.508) % 360, 0.65, [0.45, 0.6, 0.35][k % 3]);
+    // After a full turn of tries, take any hue rather than loop forever
+    if (k > 360 || colors.every(x => deltaE(x, c) >= 15)) colors.push(c);
+  }
+  return colors;
+}
+
+// Colours of a column's categories, in sortedCategoricalValues() order. The
+// first MAX_CATEGORIES get distinct colours and the rest share OTHER_COLOR —
+// colours never wrap round to a second category.
+function categoryColors(col, settings = styleSettings) {
+  const values = sortedCategoricalValues(col);
+  const palette = getCategoricalPalette(settings);
+  let colors = extendPalette(palette, Math.min(values.length, MAX_CATEGORIES));
+  const generated = Math.max(0, colors.length - palette.length);
+  if (settings.catColors) colors = colors.map((c, i) => settings.catColors[String(values[i])] ?? c);
+  return { values, colors, generated, other: values.length - colors.length };
+}
+
+// What categoryColors() did beyond the palette, for the legends — '' when nothing
+function categoryColorNote({ colors, generated, other }) {
+  const notes = [];
+  if (generated) notes.push(`${generated} colour${generated === 1 ? '' : 's'} generated past the palette's ${colors.length - generated}`);
+  if (other) notes.push(`${other.toLocaleString()} more categor${other === 1 ? 'y' : 'ies'} drawn grey`);
+  return notes.join(' · ');
+}
+
 function fmtNum(v) {
   if (Math.abs(v) >= 1e6) return (v / 1e6).toFixed(2) + 'M';
   if (Math.abs(v) >= 1e3) return (v / 1e3).toFixed(1) + 'k';
@@ -1243,7 +3732,7 @@ function updateStylePanel(hasGeometry) {
   // Column select — only non-geometry, non-id cols
   const colSelect = document.getElementById('style-col-select');
   colSelect.innerHTML = '';
-  currentCols.filter(c => c !== currentGeomCol && c !== '__id').forEach(col => {
+  currentCols.filter(c => !currentGeomCols.includes(c) && c !== '__id').forEach(col => {
     const opt = document.createElement('option');
     opt.value = col; opt.textContent = col;
     colSelect.appendChild(opt);
@@ -1254,9 +3743,109 @@ function updateStylePanel(hasGeometry) {
   else if (colSelect.options.length) styleSettings.col = colSelect.options[0].value;
   colSelect.onchange = () => {
     styleSettings.col = colSelect.value;
+    styleSettings.catColors = null;
+    // Typed thresholds belong to the old column — start again from quantiles
+    if (styleSettings.method === 'manual') seedManualBreaks('quantile');
+    renderLegendPreview();
+  };
+
+  // Bivariate Y axis — numeric columns only, preferring one other than the X column
+  const col2Select = document.getElementById('style-col2-select');
+  col2Select.innerHTML = '';
+  const numericCols = currentCols.filter(c => !currentGeomCols.includes(c) && columnKind(c) === 'number');
+  numericCols.forEach(col => col2Select.add(new Option(col, col)));
+  styleSettings.col2 = numericCols.find(c => c !== styleSettings.col) ?? numericCols[0] ?? null;
+  if (styleSettings.col2) col2Select.value = styleSettings.col2;
+  col2Select.onchange = () => {
+    styleSettings.col2 = col2Select.value;
+    renderLegendPreview();
+  };
+  renderBivariateSwatches();
+
+  // Proportional symbol scale + size range
+  document.querySelectorAll('#size-scale-pills .classify-pill').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.scale === styleSettings.sizeScale);
+    btn.onclick = () => {
+      styleSettings.sizeScale = btn.dataset.scale;
+      document.querySelectorAll('#size-scale-pills .classify-pill').forEach(b => b.classList.toggle('active', b === btn));
+      renderLegendPreview();
+    };
+  });
+  const sizeMin = document.getElementById('style-size-min');
+  const sizeMax = document.getElementById('style-size-max');
+  sizeMin.value = styleSettings.sizeMin;
+  sizeMax.value = styleSettings.sizeMax;
+  sizeMin.onchange = sizeMax.onchange = () => {
+    const lo = Math.max(0, +sizeMin.value || 0);
+    const hi = Math.max(lo + 1, +sizeMax.value || DEFAULT_STYLE.sizeMax);
+    styleSettings.sizeMin = lo; styleSettings.sizeMax = hi;
+    sizeMin.value = lo; sizeMax.value = hi;
     renderLegendPreview();
   };
 
+  // Point display — heatmap / hexbin weight is any numeric column, or a plain count
+  document.querySelectorAll('#point-display-pills .classify-pill').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.display === styleSettings.pointDisplay);
+    btn.onclick = () => {
+      styleSettings.pointDisplay = btn.dataset.display;
+      document.querySelectorAll('#point-display-pills .classify-pill').forEach(b => b.classList.toggle('active', b === btn));
+      syncStylePanelVisibility();
+    };
+  });
+  const weightSelect = document.getElementById('style-weight-select');
+  weightSelect.innerHTML = '';
+  weightSelect.add(new Option('— count —', ''));
+  numericCols.forEach(col => weightSelect.add(new Option(col, col)));
+  weightSelect.value = styleSettings.pointWeight;
+  weightSelect.onchange = () => { styleSettings.pointWeight = weightSelect.value; };
+  const hexSize = document.getElementById('style-hex-size');
+  hexSize.value = styleSettings.hexSize;
+  hexSize.onchange = () => {
+    styleSettings.hexSize = Math.min(200, Math.max(4, Math.round(+hexSize.value) || DEFAULT_STYLE.hexSize));
+    hexSize.value = styleSettings.hexSize;
+  };
+
+  // Labels — any attribute column; the format only touches numeric values
+  const labelSelect = document.getElementById('style-label-select');
+  labelSelect.innerHTML = '';
+  labelSelect.add(new Option('— none —', ''));
+  currentCols.filter(c => !currentGeomCols.includes(c) && c !== '__id').forEach(col => labelSelect.add(new Option(col, col)));
+  labelSelect.onchange = () => { styleSettings.labelCol = labelSelect.value; syncStylePanelVisibility(); };
+  const labelFormat = document.getElementById('style-label-format');
+  labelFormat.innerHTML = '';
+  Object.entries(NUMBER_FORMATS).forEach(([value, text]) => labelFormat.add(new Option(text, value)));
+  labelFormat.onchange = () => { styleSettings.labelFormat = labelFormat.value; };
+  const labelSize = document.getElementById('style-label-size');
+  labelSize.onchange = () => {
+    styleSettings.labelSize = Math.min(48, Math.max(6, Math.round(+labelSize.value) || DEFAULT_STYLE.labelSize));
+    labelSize.value = styleSettings.labelSize;
+  };
+  const labelHalo = document.getElementById('style-label-halo');
+  labelHalo.onchange = () => {
+    styleSettings.labelHalo = Math.min(10, Math.max(0, +labelHalo.value || 0));
+    labelHalo.value = styleSettings.labelHalo;
+  };
+  document.getElementById('style-label-color').oninput = e => { styleSettings.labelColor = e.target.value; };
+  document.getElementById('style-label-halo-color').oninput = e => { styleSettings.labelHaloColor = e.target.value; };
+  LABEL_PILL_GROUPS.forEach(([id, attr, key]) => {
+    document.querySelectorAll(`#${id} .classify-pill`).forEach(btn => {
+      btn.onclick = () => {
+        styleSettings[key] = btn.dataset[attr];
+        document.querySelectorAll(`#${id} .classify-pill`).forEach(b => b.classList.toggle('active', b === btn));
+      };
+    });
+  });
+
+  // Every extra geometry column starts as a single-colour overlay so it
+  // stands out against the primary layer (e.g. centroids over polygons)
+  resultLayers.forEach((l, i) => {
+    l.style = i === 0 ? styleSettings : {
+      ...DEFAULT_STYLE, mode: 'single', col: styleSettings.col,
+      singleColor: CATEGORICAL_PALETTE[i % CATEGORICAL_PALETTE.length],
+    };
+  });
+  renderLayerList();
+
   // Single color picker
   const colorInput = document.getElementById('style-single-color');
   const hexLabel = document.getElementById('style-single-hex');
@@ -1268,12 +3857,14 @@ function updateStylePanel(hasGeometry) {
   };
 
   // Classification method pills
-  document.querySelectorAll('.classify-pill').forEach(btn => {
+  document.querySelectorAll('#classify-method-pills .classify-pill').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.method === styleSettings.method);
     btn.onclick = () => {
+      if (btn.dataset.method === 'manual' && styleSettings.method !== 'manual') seedManualBreaks(styleSettings.method);
       styleSettings.method = btn.dataset.method;
-      document.querySelectorAll('.classify-pill').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('#classify-method-pills .classify-pill').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+      syncStylePanelVisibility();
       renderLegendPreview();
     };
   });
@@ -1289,8 +3880,9 @@ function updateStylePanel(hasGeometry) {
     };
   });
 
-  // Ramp swatches
+  // Ramp swatches + categorical palette
   renderRampSwatches();
+  renderCatPaletteSwatch();
 
   // Invert ramp
   const invertBtn = document.getElementById('invert-ramp-btn');
@@ -1315,16 +3907,28 @@ function updateStylePanel(hasGeometry) {
   // Apply button
   document.getElementById('apply-style-btn').onclick = applyStyle;
 
+  syncLabelControls();
+  renderPresetSelect();
   syncStylePanelVisibility();
   renderLegendPreview();
 }
 
 function syncStylePanelVisibility() {
-  const isSingle = styleSettings.mode === 'single';
-  const isGraduated = styleSettings.mode === 'graduated';
-  document.getElementById('style-row-single').style.display = isSingle ? 'flex' : 'none';
+  const mode = styleSettings.mode;
+  const isSingle = mode === 'single';
+  document.getElementById('style-row-single').style.display = isSingle || mode === 'proportional' ? 'flex' : 'none';
   document.getElementById('style-row-col').style.display = isSingle ? 'none' : 'flex';
-  document.getElementById('style-graduated-controls').style.display = isGraduated ? 'block' : 'none';
+  document.getElementById('style-row-catpalette').style.display = mode === 'categorical' ? 'flex' : 'none';
+  document.querySelector('#style-row-col .style-label').textContent = mode === 'bivariate' ? 'X axis' : 'Column';
+  const display = styleSettings.pointDisplay;
+  document.getElementById('style-row-classes').style.display = styleSettings.method === 'manual' ? 'none' : 'flex';
+  document.getElementById('style-graduated-controls').style.display = mode === 'graduated' || display === 'hexbin' ? 'block' : 'none';
+  document.getElementById('style-row-ramp').style.display = mode === 'graduated' || display !== 'points' ? 'flex' : 'none';
+  document.getElementById('style-row-weight').style.display = display === 'heatmap' || display === 'hexbin' ? 'flex' : 'none';
+  document.getElementById('style-row-hexsize').style.display = display === 'hexbin' ? 'flex' : 'none';
+  document.getElementById('style-proportional-controls').style.display = mode === 'proportional' ? 'block' : 'none';
+  document.getElementById('style-bivariate-controls').style.display = mode === 'bivariate' ? 'block' : 'none';
+  document.getElementById('style-label-controls').style.display = styleSettings.labelCol ? 'block' : 'none';
 }
 
 function syncStylePanelFromSettings() {
@@ -1335,9 +3939,24 @@ function syncStylePanelFromSettings() {
     const ci = document.getElementById('style-single-color');
     const hl = document.getElementById('style-single-hex');
     if (ci && styleSettings.singleColor) { ci.value = styleSettings.singleColor; if (hl) hl.textContent = styleSettings.singleColor; }
-    document.querySelectorAll('.classify-pill').forEach(b => b.classList.toggle('active', b.dataset.method === styleSettings.method));
+    document.querySelectorAll('#classify-method-pills .classify-pill').forEach(b => b.classList.toggle('active', b.dataset.method === styleSettings.method));
     document.querySelectorAll('.class-count-btn').forEach(b => b.classList.toggle('active', +b.dataset.n === styleSettings.nClasses));
     renderRampSwatches();
+    renderCatPaletteSwatch();
+    const col2Sel = document.getElementById('style-col2-select');
+    if (col2Sel && styleSettings.col2) col2Sel.value = styleSettings.col2;
+    renderBivariateSwatches();
+    document.querySelectorAll('#size-scale-pills .classify-pill').forEach(b => b.classList.toggle('active', b.dataset.scale === styleSettings.sizeScale));
+    const smin = document.getElementById('style-size-min');
+    const smax = document.getElementById('style-size-max');
+    if (smin) smin.value = styleSettings.sizeMin;
+    if (smax) smax.value = styleSettings.sizeMax;
+    document.querySelectorAll('#point-display-pills .classify-pill').forEach(b => b.classList.toggle('active', b.dataset.display === styleSettings.pointDisplay));
+    const weightSel = document.getElementById('style-weight-select');
+    if (weightSel) weightSel.value = styleSettings.pointWeight || '';
+    const hexSize = document.getElementById('style-hex-size');
+    if (hexSize) hexSize.value = styleSettings.hexSize;
+    syncLabelControls();
     const os = document.getElementById('style-opacity');
     const ov = document.getElementById('style-opacity-val');
     if (os) { os.value = styleSettings.opacity; if (ov) ov.textContent = styleSettings.opacity + '%'; }
@@ -1348,22 +3967,867 @@ function syncStylePanelFromSettings() {
   } catch (e) { console.warn('syncStylePanelFromSettings:', e); }
 }
 
-function renderRampSwatches() {
-  const container = document.getElementById('ramp-swatches');
-  if (!container) return;
-  container.innerHTML = '';
-  Object.entries(COLOR_RAMPS).forEach(([name, colors]) => {
-    const palette = styleSettings.rampInverted ? [...colors].reverse() : colors;
-    const sw = document.createElement('div');
-    sw.className = `ramp-swatch${styleSettings.ramp === name ? ' active' : ''}`;
-    sw.title = name;
-    sw.style.background = `linear-gradient(to right, ${palette.join(',')})`;
-    sw.onclick = () => {
-      styleSettings.ramp = name;
-      renderRampSwatches();
-      renderLegendPreview();
-    };
-    container.appendChild(sw);
+
+// Label pill rows: [container id, data attribute, styleSettings key]
+const LABEL_PILL_GROUPS = [
+  ['label-point-pills', 'placement', 'labelPointPlacement'],
+  ['label-line-pills', 'placement', 'labelLinePlacement'],
+  ['label-collision-pills', 'collision', 'labelCollision'],
+];
+
+function syncLabelControls() {
+  const labelSel = document.getElementById('style-label-select');
+  if (!labelSel) return;
+  labelSel.value = currentCols.includes(styleSettings.labelCol) ? styleSettings.labelCol : '';
+  document.getElementById('style-label-format').value = styleSettings.labelFormat;
+  document.getElementById('style-label-size').value = styleSettings.labelSize;
+  document.getElementById('style-label-color').value = styleSettings.labelColor;
+  document.getElementById('style-label-halo').value = styleSettings.labelHalo;
+  document.getElementById('style-label-halo-color').value = styleSettings.labelHaloColor;
+  LABEL_PILL_GROUPS.forEach(([id, attr, key]) => {
+    document.querySelectorAll(`#${id} .classify-pill`).forEach(b => b.classList.toggle('active', b.dataset[attr] === styleSettings[key]));
+  });
+}
+
+/* ── Layer groups: visibility toggle + which one the pane edits ── */
+function renderLayerList() {
+  const row = document.getElementById('style-row-layers');
+  const list = document.getElementById('style-layer-list');
+  if (!row || !list) return;
+  row.style.display = resultLayers.length > 1 ? 'flex' : 'none';
+  list.innerHTML = '';
+  resultLayers.forEach((l, i) => {
+    const chip = document.createElement('div');
+    chip.className = `layer-chip${i === activeLayerIdx ? ' active' : ''}`;
+    chip.title = 'Click to style this layer';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox'; cb.checked = l.visible; cb.title = 'Show / hide layer';
+    cb.onclick = e => e.stopPropagation();
+    cb.onchange = () => {
+      l.visible = cb.checked;
+      if (map) setLayerGroupVisibility(l.prefix, l.visible);
+      syncSelection();
+    };
+    const name = document.createElement('span');
+    name.className = 'layer-chip-name';
+    name.textContent = l.col;
+    chip.append(cb, name);
+    chip.onclick = () => switchActiveLayer(i);
+    list.appendChild(chip);
+  });
+}
+
+function stashActiveLayer() {
+  const l = resultLayers[activeLayerIdx];
+  if (!l) return;
+  l.style = styleSettings;
+  l.hidden = [...hiddenCategories];
+  l.range = legendFilterRange;
+}
+
+function switchActiveLayer(idx) {
+  if (idx === activeLayerIdx || !resultLayers[idx]) return;
+  stashActiveLayer();
+  activeLayerIdx = idx;
+  const l = resultLayers[idx];
+  styleSettings = l.style;
+  hiddenCategories = new Set(l.hidden);
+  legendFilterRange = l.range;
+  legendAllValues = [];
+  legendBreaks = [];
+  renderLayerList();
+  syncStylePanelFromSettings();
+  if (styleApplied) renderInteractiveLegend();
+}
+
+function renderRampSwatches() {
+  const container = document.getElementById('ramp-swatches');
+  if (!container) return;
+  container.innerHTML = '';
+  const ids = Object.keys(COLOR_RAMPS);
+  // A ramp picked in the palette manager joins the quick picks while it's in use
+  if (!ids.includes(styleSettings.ramp) && paletteById(styleSettings.ramp)) ids.unshift(styleSettings.ramp);
+  ids.forEach(name => {
+    const palette = paletteById(name);
+    const colors = styleSettings.rampInverted ? [...palette.colors].reverse() : palette.colors;
+    const sw = document.createElement('div');
+    sw.className = `ramp-swatch${styleSettings.ramp === name ? ' active' : ''}`;
+    sw.title = palette.source === 'Built-in' ? name : `${palette.source} · ${palette.name}`;
+    sw.style.background = `linear-gradient(to right, ${colors.join(',')})`;
+    sw.onclick = () => {
+      styleSettings.ramp = name;
+      renderRampSwatches();
+      renderLegendPreview();
+    };
+    container.appendChild(sw);
+  });
+}
+
+function renderCatPaletteSwatch() {
+  const el = document.getElementById('cat-palette-swatch');
+  if (!el) return;
+  const palette = paletteById(styleSettings.catPalette) || PALETTES.default;
+  el.innerHTML = '';
+  el.title = `${palette.source} · ${palette.name} (${palette.colors.length} colours) — click to change`;
+  getCategoricalPalette().forEach(c => {
+    const cell = document.createElement('span');
+    cell.style.background = c;
+    el.appendChild(cell);
+  });
+}
+
+/* ============================================================
+   PALETTE MANAGER — browse, check and create palettes
+   ============================================================
+   Opened for the ramp (sequential / diverging) or the categorical
+   palette of the style being edited. Swatches can be previewed under a
+   simulated colour-vision deficiency, optionally on the map too (an SVG
+   colour-matrix filter on the map container). Custom palettes live in
+   IndexedDB under the 'customPalettes' state key.
+   ============================================================ */
+let paletteTarget = 'ramp';        // 'ramp' | 'categorical'
+let paletteType = 'sequential';    // type pill shown in the list
+let paletteVision = 'normal';
+let paletteDraft = null;           // { id, name, type, colors } being edited
+
+function openPaletteManager(target) {
+  paletteTarget = target;
+  const current = paletteById(target === 'ramp' ? styleSettings.ramp : styleSettings.catPalette);
+  paletteType = target === 'categorical' ? 'qualitative' : current?.type === 'diverging' ? 'diverging' : 'sequential';
+  document.getElementById('palette-title').textContent = target === 'ramp' ? 'Palettes · ramp' : 'Palettes · categories';
+  document.querySelectorAll('#palette-type-pills .classify-pill').forEach(b => {
+    b.style.display = (b.dataset.type === 'qualitative') === (target === 'categorical') ? '' : 'none';
+  });
+  const vision = document.getElementById('palette-vision');
+  if (!vision.options.length) Object.entries(VISIONS).forEach(([v, label]) => vision.add(new Option(label, v)));
+  vision.value = paletteVision;
+  closePaletteEditor();
+  renderPaletteList();
+  document.getElementById('palette-modal').style.display = 'flex';
+}
+
+function closePaletteManager() {
+  document.getElementById('palette-modal').style.display = 'none';
+  document.getElementById('palette-vision-map').checked = false;
+  simulateVisionOnMap();
+  closePaletteEditor();
+}
+
+// The colours a palette is drawn with right now: ramps at the class count
+function paletteSample(palette) {
+  return palette.type === 'qualitative' ? palette.colors : interpolateRampToN(palette.colors, styleSettings.nClasses);
+}
+
+function paletteStrip(el, colors) {
+  el.innerHTML = '';
+  colors.forEach(c => {
+    const cell = document.createElement('span');
+    cell.style.background = simulateVision(c, paletteVision);
+    el.appendChild(cell);
+  });
+}
+
+// ✓ / ⚠ badge from visionCheck()
+function paletteCheckBadge(el, palette) {
+  const colors = paletteSample(palette);
+  const check = visionCheck(colors, palette.type !== 'qualitative');
+  const worst = Math.min(...Object.values(check));
+  el.textContent = worst >= CVD_MIN_DELTA_E ? '✓' : '⚠';
+  el.classList.toggle('warn', worst < CVD_MIN_DELTA_E);
+  el.title = Object.entries(check).map(([v, d]) => `${VISIONS[v]}: ΔE ${d.toFixed(1)}`).join('\n')
+    + `\n(${colors.length} colours${palette.type === 'qualitative' ? ', every pair' : ', neighbours'})`;
+}
+
+function renderPaletteList() {
+  document.querySelectorAll('#palette-type-pills .classify-pill').forEach(b => b.classList.toggle('active', b.dataset.type === paletteType));
+  const list = document.getElementById('palette-list');
+  list.innerHTML = '';
+  const selected = paletteTarget === 'ramp' ? styleSettings.ramp : styleSettings.catPalette;
+  const palettes = [...Object.values(PALETTES), ...customPalettes.map(p => ({ ...p, source: 'Custom' }))]
+    .filter(p => p.type === paletteType);
+  ['Built-in', 'ColorBrewer', 'CARTO', 'Custom'].forEach(source => {
+    const group = palettes.filter(p => p.source === source);
+    if (!group.length) return;
+    const heading = document.createElement('div');
+    heading.className = 'palette-group';
+    heading.textContent = source;
+    list.appendChild(heading);
+    group.forEach(p => {
+      const row = document.createElement('div');
+      row.className = `palette-row${p.id === selected ? ' active' : ''}`;
+      row.innerHTML = html`<span class="palette-name" title="${p.name}">${p.name}</span>
+        <div class="palette-strip"></div><span class="palette-check"></span>
+        <button class="icon-btn palette-edit" title="${p.source === 'Custom' ? 'Edit' : 'Copy into a custom palette'}">${p.source === 'Custom' ? '✎' : '⧉'}</button>`;
+      paletteStrip(row.querySelector('.palette-strip'), paletteSample(p));
+      paletteCheckBadge(row.querySelector('.palette-check'), p);
+      row.onclick = () => selectPalette(p.id);
+      row.querySelector('.palette-edit').onclick = e => {
+        e.stopPropagation();
+        openPaletteEditor(p.source === 'Custom'
+          ? { ...p }
+          : { id: null, name: `${p.name} copy`, type: p.type, colors: [...p.colors] });
+      };
+      list.appendChild(row);
+    });
+  });
+  list.querySelector('.palette-row.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function selectPalette(id) {
+  if (paletteTarget === 'ramp') {
+    styleSettings.ramp = id;
+    renderRampSwatches();
+  } else {
+    styleSettings.catPalette = id;
+    styleSettings.catColors = null;
+    renderCatPaletteSwatch();
+  }
+  renderPaletteList();
+  renderLegendPreview();
+}
+
+// Colour-matrix filters for the map preview, built once from CVD_MATRICES
+function simulateVisionOnMap() {
+  const mapEl = document.getElementById('map');
+  const on = document.getElementById('palette-vision-map').checked && paletteVision !== 'normal';
+  if (on && !document.getElementById('cvd-filters')) {
+    const rows = m => `${m[0]} ${m[1]} ${m[2]} 0 0 ${m[3]} ${m[4]} ${m[5]} 0 0 ${m[6]} ${m[7]} ${m[8]} 0 0 0 0 0 1 0`;
+    const grey = [0.2126, 0.7152, 0.0722, 0.2126, 0.7152, 0.0722, 0.2126, 0.7152, 0.0722];
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.id = 'cvd-filters';
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.cssText = 'position:absolute;width:0;height:0';
+    // feColorMatrix works in linear RGB by default, like the matrices
+    svg.innerHTML = Object.entries({ ...CVD_MATRICES, achromatopsia: grey })
+      .map(([v, m]) => `<filter id="cvd-${v}"><feColorMatrix type="matrix" values="${rows(m)}"/></filter>`).join('');
+    document.body.appendChild(svg);
+  }
+  mapEl.style.filter = on ? `url(#cvd-${paletteVision})` : '';
+}
+
+function openPaletteEditor(draft) {
+  paletteDraft = draft;
+  document.getElementById('palette-editor').style.display = 'block';
+  document.getElementById('palette-name').value = draft.name;
+  document.getElementById('palette-editor-type').value = draft.type;
+  document.getElementById('palette-delete').style.display = draft.id ? '' : 'none';
+  renderPaletteStops();
+  document.getElementById('palette-name').focus();
+}
+
+function closePaletteEditor() {
+  paletteDraft = null;
+  document.getElementById('palette-editor').style.display = 'none';
+}
+
+function renderPaletteStops() {
+  const stops = document.getElementById('palette-stops');
+  stops.innerHTML = '';
+  paletteDraft.colors.forEach((c, i) => {
+    const stop = document.createElement('div');
+    stop.className = 'palette-stop';
+    stop.innerHTML = html`<input type="color" class="color-picker" value="${c}" />
+      <button class="icon-btn" title="Remove colour">×</button>`;
+    stop.querySelector('input').oninput = e => { paletteDraft.colors[i] = e.target.value; renderPaletteDraftPreview(); };
+    const remove = stop.querySelector('button');
+    remove.disabled = paletteDraft.colors.length <= 2;
+    remove.onclick = () => { paletteDraft.colors.splice(i, 1); renderPaletteStops(); };
+    stops.appendChild(stop);
+  });
+  renderPaletteDraftPreview();
+}
+
+function renderPaletteDraftPreview() {
+  const draft = { ...paletteDraft, type: document.getElementById('palette-editor-type').value };
+  const preview = document.getElementById('palette-editor-preview');
+  if (draft.type === 'qualitative') {
+    preview.style.background = '';
+    paletteStrip(preview, draft.colors);
+  } else {
+    preview.innerHTML = '';
+    preview.style.background = `linear-gradient(to right, ${draft.colors.map(c => simulateVision(c, paletteVision)).join(',')})`;
+  }
+  paletteCheckBadge(document.getElementById('palette-editor-check'), draft);
+}
+
+async function saveCustomPalettes() {
+  try { await idbPut('state', { key: 'customPalettes', value: customPalettes }); }
+  catch (e) { console.warn('Could not save custom palettes:', e); }
+}
+
+async function savePaletteDraft() {
+  const name = document.getElementById('palette-name').value.trim();
+  if (!name) { showToast('Name the palette first'); return; }
+  const type = document.getElementById('palette-editor-type').value;
+  const id = paletteDraft.id || customPaletteId(name);
+  const palette = { id, name, type, colors: [...paletteDraft.colors] };
+  const idx = customPalettes.findIndex(p => p.id === id);
+  if (idx >= 0) customPalettes[idx] = palette; else customPalettes.push(palette);
+  await saveCustomPalettes();
+  closePaletteEditor();
+  // Show the saved palette, and use it when it fits what the manager was opened for
+  const fits = (type === 'qualitative') === (paletteTarget === 'categorical');
+  if (fits) paletteType = type;
+  renderPaletteList();
+  if (fits) selectPalette(id);
+  else { renderRampSwatches(); renderCatPaletteSwatch(); renderLegendPreview(); }
+  showToast(`Palette "${name}" saved`);
+}
+
+
+// The custom ramp for imported SLD ranges: an existing palette with the same colours,
+// else the column's earlier "SLD · col" palette updated in place, else a new one
+async function sldPalette(col, colors) {
+  const same = customPalettes.find(p => p.type === 'sequential' && p.colors.join().toLowerCase() === colors.join().toLowerCase());
+  if (same) return same;
+  const name = `SLD · ${col}`;
+  const idx = customPalettes.findIndex(p => p.name === name);
+  const palette = { id: idx >= 0 ? customPalettes[idx].id : customPaletteId(`sld ${col}`), name, type: 'sequential', colors };
+  if (idx >= 0) customPalettes[idx] = palette; else customPalettes.push(palette);
+  await saveCustomPalettes();
+  return palette;
+}
+
+function customPaletteId(name) {
+  const base = `custom:${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  let id = base;
+  for (let k = 2; customPalettes.some(p => p.id === id); k++) id = `${base}-${k}`;
+  return id;
+}
+
+async function deletePaletteDraft() {
+  const id = paletteDraft?.id;
+  if (!id) return;
+  customPalettes = customPalettes.filter(p => p.id !== id);
+  await saveCustomPalettes();
+  // Styles still pointing at it fall back to the defaults
+  resultLayers.forEach(l => {
+    if (l.style?.ramp === id) l.style.ramp = DEFAULT_STYLE.ramp;
+    if (l.style?.catPalette === id) l.style.catPalette = DEFAULT_STYLE.catPalette;
+  });
+  if (styleSettings.ramp === id) styleSettings.ramp = DEFAULT_STYLE.ramp;
+  if (styleSettings.catPalette === id) styleSettings.catPalette = DEFAULT_STYLE.catPalette;
+  closePaletteEditor();
+  renderPaletteList();
+  renderRampSwatches();
+  renderCatPaletteSwatch();
+  renderLegendPreview();
+}
+
+function setupPaletteManager() {
+  document.getElementById('ramp-more-btn').addEventListener('click', () => openPaletteManager('ramp'));
+  document.getElementById('cat-palette-btn').addEventListener('click', () => openPaletteManager('categorical'));
+  document.getElementById('cat-palette-swatch').addEventListener('click', () => openPaletteManager('categorical'));
+  document.querySelectorAll('#palette-type-pills .classify-pill').forEach(b => {
+    b.addEventListener('click', () => { paletteType = b.dataset.type; renderPaletteList(); });
+  });
+  document.getElementById('palette-vision').addEventListener('change', e => {
+    paletteVision = e.target.value;
+    renderPaletteList();
+    if (paletteDraft) renderPaletteDraftPreview();
+    simulateVisionOnMap();
+  });
+  document.getElementById('palette-vision-map').addEventListener('change', simulateVisionOnMap);
+  document.getElementById('palette-done').addEventListener('click', closePaletteManager);
+  document.getElementById('palette-new').addEventListener('click', () => openPaletteEditor({
+    id: null, name: '', type: paletteType, colors: paletteType === 'qualitative'
+      ? CATEGORICAL_PALETTE.slice(0, 6) : ['#f7fbff', '#6baed6', '#08306b'],
+  }));
+  document.getElementById('palette-add-stop').addEventListener('click', () => {
+    const colors = paletteDraft.colors;
+    // Qualitative palettes get a new distinct colour, ramps repeat the last stop
+    colors.push(document.getElementById('palette-editor-type').value === 'qualitative'
+      ? extendPalette(colors, colors.length + 1).pop() : colors[colors.length - 1]);
+    renderPaletteStops();
+  });
+  document.getElementById('palette-reverse').addEventListener('click', () => { paletteDraft.colors.reverse(); renderPaletteStops(); });
+  document.getElementById('palette-editor-type').addEventListener('change', renderPaletteDraftPreview);
+  document.getElementById('palette-editor-cancel').addEventListener('click', closePaletteEditor);
+  document.getElementById('palette-save').addEventListener('click', savePaletteDraft);
+  document.getElementById('palette-delete').addEventListener('click', deletePaletteDraft);
+}
+
+
+/* ============================================================
+   STYLE PRESETS — named styles, and the last style reapplied
+   ============================================================
+   A preset is the style of one layer group saved under a name, with
+   the table it was made on and the columns it needs. Applying it to a
+   result missing any of those columns is refused. Separately, the
+   styles of the last result styled with Apply (or a preset) are kept
+   with its column list: a new result with exactly the same columns
+   gets them back, so tweaking the SQL doesn't lose a finished map.
+   Everything lives in IndexedDB under the 'stylePresets' state key.
+   ============================================================ */
+const PRESET_FILE_FORMAT = 'spatial-sql-explorer/style-presets';
+
+let stylePresets = [];     // [{ name, table, cols, style, saved }]
+let lastStyled = null;     // { cols, styles } — every layer group's style, in order
+let autoApplyStyle = true;
+
+// Attribute + geometry columns of the current result, order-independent
+function resultColumnsKey() {
+  return JSON.stringify(currentCols.filter(c => c !== '__id').sort());
+}
+
+// Columns a style reads, given its mode and point display
+function styleColumns(style) {
+  const cols = [];
+  if (style.mode !== 'single') cols.push(style.col);
+  if (style.mode === 'bivariate') cols.push(style.col2);
+  if (style.pointDisplay === 'heatmap' || style.pointDisplay === 'hexbin') cols.push(style.pointWeight);
+  cols.push(style.labelCol);
+  return [...new Set(cols.filter(Boolean))];
+}
+
+// Only known settings survive a save or an import
+function cleanStyle(style) {
+  const out = {};
+  Object.keys(DEFAULT_STYLE).forEach(k => { if (style?.[k] !== undefined) out[k] = style[k]; });
+  return out;
+}
+
+async function saveStylePresets() {
+  try {
+    await idbPut('state', { key: 'stylePresets', value: { presets: stylePresets, last: lastStyled, auto: autoApplyStyle } });
+  } catch (e) { console.warn('Could not save style presets:', e); }
+}
+
+function renderPresetSelect(selected = '') {
+  const sel = document.getElementById('style-preset-select');
+  if (!sel) return;
+  sel.innerHTML = '';
+  sel.add(new Option(stylePresets.length ? '— choose a preset —' : '— no presets saved —', ''));
+  const table = resultTemplateKey();
+  // Presets made on this result's table first
+  const sorted = [...stylePresets].sort((a, b) => (b.table === table) - (a.table === table) || a.name.localeCompare(b.name));
+  sorted.forEach(p => {
+    const missing = p.cols.filter(c => !currentCols.includes(c));
+    const opt = new Option(p.table && p.table !== table ? `${p.name} · ${p.table}` : p.name, p.name);
+    opt.disabled = missing.length > 0;
+    if (missing.length) opt.title = `Needs column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`;
+    sel.add(opt);
+  });
+  sel.value = selected;
+  document.getElementById('preset-delete-btn').disabled = !sel.value;
+}
+
+function applyStylePreset(name) {
+  const preset = stylePresets.find(p => p.name === name);
+  if (!preset) return;
+  const missing = preset.cols.filter(c => !currentCols.includes(c));
+  if (missing.length) { showToast(`"${preset.name}" needs column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`); return; }
+  // A single-colour preset keeps the current column for a later switch of mode
+  const col = currentCols.includes(preset.style.col) ? preset.style.col : styleSettings.col;
+  styleSettings = { ...DEFAULT_STYLE, ...preset.style, col };
+  resultLayers[activeLayerIdx].style = styleSettings;
+  syncStylePanelFromSettings();
+  applyStyle();
+  rememberLastStyle();
+}
+
+async function saveCurrentStyleAsPreset() {
+  const table = resultTemplateKey();
+  const name = prompt('Name for the style preset:', `${table || 'Result'} · ${styleSettings.mode}`)?.trim();
+  if (!name) return;
+  const existing = stylePresets.findIndex(p => p.name === name);
+  if (existing >= 0 && !confirm(`Replace the preset "${name}"?`)) return;
+  const style = cleanStyle(styleSettings);
+  const preset = { name, table, cols: styleColumns(style), style, saved: Date.now() };
+  if (existing >= 0) stylePresets[existing] = preset; else stylePresets.push(preset);
+  await saveStylePresets();
+  renderPresetSelect(name);
+  showToast(`Saved preset "${name}"`);
+}
+
+async function deleteSelectedPreset() {
+  const name = document.getElementById('style-preset-select').value;
+  if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+  stylePresets = stylePresets.filter(p => p.name !== name);
+  await saveStylePresets();
+  renderPresetSelect();
+}
+
+function exportStylePresets() {
+  if (!stylePresets.length) { showToast('No presets to export — save one first.'); return; }
+  const file = { format: PRESET_FILE_FORMAT, version: 1, presets: stylePresets };
+  downloadBlob(JSON.stringify(file, null, 2), 'style-presets.json', 'application/json');
+}
+
+// Presets from a JSON export; same-named presets are replaced
+async function importStylePresets(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const list = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(list)) throw new Error('no "presets" list found');
+    const imported = list.filter(p => typeof p?.name === 'string' && p.name.trim() && p.style && typeof p.style === 'object')
+      .map(p => {
+        const style = cleanStyle(p.style);
+        return { name: p.name.trim(), table: typeof p.table === 'string' ? p.table : null, cols: styleColumns(style), style, saved: +p.saved || Date.now() };
+      });
+    if (!imported.length) throw new Error('it contains no valid presets');
+    imported.forEach(p => {
+      const i = stylePresets.findIndex(x => x.name === p.name);
+      if (i >= 0) stylePresets[i] = p; else stylePresets.push(p);
+    });
+    await saveStylePresets();
+    renderPresetSelect();
+    showToast(`Imported ${imported.length} preset${imported.length > 1 ? 's' : ''}`);
+  } catch (e) {
+    showError(`Could not import ${file.name}: ${e.message}`);
+  }
+}
+
+// Called after Apply — keeps every group's style against the result's columns
+function rememberLastStyle() {
+  stashActiveLayer();
+  lastStyled = { cols: resultColumnsKey(), styles: resultLayers.map(l => cleanStyle(l.style || DEFAULT_STYLE)) };
+  saveStylePresets();
+}
+
+// New result with the last styled result's columns: take its styles back.
+// The end of the query paints them.
+function restoreLastStyle() {
+  if (!autoApplyStyle || !lastStyled || lastStyled.cols !== resultColumnsKey()) return;
+  resultLayers.forEach((l, i) => { if (lastStyled.styles[i]) l.style = { ...DEFAULT_STYLE, ...lastStyled.styles[i] }; });
+  styleSettings = resultLayers[activeLayerIdx].style;
+  syncStylePanelFromSettings();
+  renderLayerList();
+  showToast('Same columns as the last styled result — its style is reapplied');
+}
+
+function setupStylePresets() {
+  const sel = document.getElementById('style-preset-select');
+  sel.addEventListener('change', () => {
+    document.getElementById('preset-delete-btn').disabled = !sel.value;
+    applyStylePreset(sel.value);
+  });
+  document.getElementById('preset-save-btn').addEventListener('click', saveCurrentStyleAsPreset);
+  document.getElementById('preset-delete-btn').addEventListener('click', deleteSelectedPreset);
+  document.getElementById('preset-export-btn').addEventListener('click', exportStylePresets);
+  const input = document.getElementById('preset-import-input');
+  document.getElementById('preset-import-btn').addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files[0]) importStylePresets(input.files[0]);
+    input.value = '';
+  });
+  const auto = document.getElementById('preset-auto');
+  auto.checked = autoApplyStyle;
+  auto.addEventListener('change', () => { autoApplyStyle = auto.checked; saveStylePresets(); });
+}
+
+
+/* ============================================================
+   STYLE EXPORT / IMPORT — MapLibre style JSON, QGIS QML, OGC SLD
+   ============================================================
+   MapLibre: the live map style with the basemap, and the current
+   result's layers as painted, their sources replaced by inline GeoJSON
+   carrying every attribute (tiled results included). QML / SLD: the
+   single, graduated or categorical rules of the layer being edited, the
+   same classes and colours the map uses, drawn with the symbolizer of
+   the group's main geometry type. An SLD's single, range or equality
+   rules import back into the pane — ranges as manual breaks with their
+   colours saved as a custom ramp, categories as pinned colours.
+   ============================================================ */
+// Opacity factor of polygon fills against the pane's opacity, as the map paints them
+const FILL_OPACITY = { single: 0.8, graduated: 0.85, categorical: 0.85 };
+const SLD_POINT_SIZE = 12;     // px — roughly the map's circles at mid zoom
+const SLD_NS = 'xmlns="http://www.opengis.net/sld" xmlns:ogc="http://www.opengis.net/ogc" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.opengis.net/sld http://schemas.opengis.net/sld/1.0.0/StyledLayerDescriptor.xsd"';
+
+function exportMapLibreStyle() {
+  if (!lastMapData || !map?.isStyleLoaded()) { showToast('Run a query that returns geometry before exporting its style.'); return; }
+  stashActiveLayer();
+  const style = map.getStyle();
+  const sources = {};
+  Object.entries(style.sources).forEach(([id, src]) => { if (!/^(query|selected-|draw-|pin\d)/.test(id)) sources[id] = src; });
+
+  // Every group's features with all their attributes, split like the live sources
+  lastMapData.groups.forEach((g, i) => {
+    const features = resultGroupFeatures(i).map(f => ({
+      type: 'Feature', geometry: f.geometry, properties: getRowProps(f.properties.__id),
+    }));
+    const { pts, lns, pols } = splitByGeometryType(features);
+    sources[`${g.prefix}-points-src`] = { type: 'geojson', data: pts };
+    sources[`${g.prefix}-lines-src`] = { type: 'geojson', data: lns };
+    sources[`${g.prefix}-polygons-src`] = { type: 'geojson', data: pols };
+    if (map.getSource(`${g.prefix}-labels-src`) || map.getLayer(`${g.prefix}-label-polygons`))
+      sources[`${g.prefix}-labels-src`] = { type: 'geojson', data: polygonLabelFC(pols) };
+    if (style.sources[`${g.prefix}-cluster-src`])
+      sources[`${g.prefix}-cluster-src`] = { ...style.sources[`${g.prefix}-cluster-src`], data: pts };
+    const hex = hexbinCache.get(g.prefix);
+    if (hex && style.sources[`${g.prefix}-hex-src`]) sources[`${g.prefix}-hex-src`] = { type: 'geojson', data: hex.fc };
+  });
+
+  const prefixes = lastMapData.groups.map(g => g.prefix);
+  const layers = style.layers.flatMap(layer => {
+    if (!/^(query|selected-|draw-|pin\d)/.test(layer.id)) return [layer];
+    if (!prefixes.some(p => layer.id.startsWith(`${p}-`))) return [];
+    // Tiles become the matching GeoJSON source
+    if (layer['source-layer']) {
+      const { 'source-layer': kind, ...rest } = layer;
+      return [{ ...rest, source: layer.source.replace(/-tiles$/, `-${kind}-src`) }];
+    }
+    return sources[layer.source] ? [layer] : [];
+  });
+
+  const center = map.getCenter();
+  const out = {
+    ...style, name: `Spatial SQL Explorer — ${resultTemplateKey() || 'query result'}`,
+    center: [center.lng, center.lat], zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch(),
+    sources, layers,
+  };
+  downloadBlob(JSON.stringify(out, null, 2), 'map_style.json', 'application/json');
+}
+
+// Rules of a single / graduated / categorical style: [{ title, color, min?, max?, value?, other? }]
+function styleRules(settings) {
+  const col = settings.col;
+  if (settings.mode === 'single') return [{ title: 'All features', color: settings.singleColor }];
+  if (settings.mode === 'graduated' && col) {
+    const values = numericColumnValues(col);
+    if (!values.length) return null;
+    const breaks = classBreaks(values, settings);
+    const n = breaks.length - 1;
+    const ramp = interpolateRampToN(getRamp(settings), n);
+    // Open-ended outer classes, like the map's step expression
+    return ramp.map((color, i) => ({
+      title: `${fmtNum(breaks[i])} – ${fmtNum(breaks[i + 1])}`, color,
+      min: i > 0 ? breaks[i] : null, max: i < n - 1 ? breaks[i + 1] : null,
+      lower: breaks[i], upper: breaks[i + 1],
+    }));
+  }
+  if (settings.mode === 'categorical' && col) {
+    const { values, colors, other } = categoryColors(col, settings);
+    const rules = colors.map((color, i) => ({ title: String(values[i]), color, value: String(values[i]) }));
+    if (other) rules.push({ title: 'Other', color: OTHER_COLOR, other: true });
+    return rules;
+  }
+  return null;
+}
+
+// 'polygon' | 'line' | 'point' — the kind most of the group's features are, from a sample
+function groupGeometryKind(idx) {
+  const g = lastMapData.groups[idx];
+  // Tiled results keep geometry as GeoJSON text — its first "type" is the geometry's
+  const types = lastMapData.tiled
+    ? Array.from({ length: Math.min(currentResult.numRows, 2000) }, (_, id) => /"type":\s*"(?:Multi)?(\w+)"/.exec(String(getCell(id, g.col) ?? ''))?.[1])
+    : g.geojsonFC.features.slice(0, 2000).map(f => f.geometry?.type?.replace(/^Multi/, ''));
+  const counts = { Polygon: 0, LineString: 0, Point: 0 };
+  types.forEach(t => { if (t in counts) counts[t]++; });
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return { Polygon: 'polygon', LineString: 'line', Point: 'point' }[top[0]];
+}
+
+function exportStyleFile(format) {
+  if (!lastMapData) { showToast('Run a query that returns geometry before exporting its style.'); return; }
+  const rules = styleRules(styleSettings);
+  if (!rules) {
+    showToast('QML and SLD export single, graduated and categorical styles only');
+    return;
+  }
+  const kind = groupGeometryKind(activeLayerIdx);
+  const name = resultTemplateKey() || 'query_result';
+  if (format === 'qml') downloadBlob(buildQML(styleSettings, rules, kind), `${name}.qml`, 'application/xml');
+  else downloadBlob(buildSLD(styleSettings, rules, kind, name), `${name}.sld`, 'application/xml');
+}
+
+/* ---- SLD ---- */
+function buildSLD(settings, rules, kind, name) {
+  const col = settings.col;
+  const opacity = settings.opacity / 100;
+  const fillOpacity = +(opacity * FILL_OPACITY[settings.mode]).toFixed(3);
+  const prop = html`<ogc:PropertyName>${col}</ogc:PropertyName>`;
+  const compare = (op, v) => `<ogc:${op}>${prop}${html`<ogc:Literal>${v}</ogc:Literal>`}</ogc:${op}>`;
+  const filterOf = r => {
+    if (r.other) return '<ElseFilter/>';
+    if (r.value !== undefined) return `<ogc:Filter>${compare('PropertyIsEqualTo', r.value)}</ogc:Filter>`;
+    const parts = [];
+    if (r.min != null) parts.push(compare('PropertyIsGreaterThanOrEqualTo', r.min));
+    if (r.max != null) parts.push(compare('PropertyIsLessThan', r.max));
+    if (!parts.length) return '';
+    return `<ogc:Filter>${parts.length > 1 ? `<ogc:And>${parts.join('')}</ogc:And>` : parts[0]}</ogc:Filter>`;
+  };
+  const symbolizer = color => {
+    if (kind === 'polygon') return html`<PolygonSymbolizer><Fill><CssParameter name="fill">${color}</CssParameter><CssParameter name="fill-opacity">${fillOpacity}</CssParameter></Fill><Stroke><CssParameter name="stroke">${color}</CssParameter><CssParameter name="stroke-width">1.5</CssParameter><CssParameter name="stroke-opacity">${opacity}</CssParameter></Stroke></PolygonSymbolizer>`;
+    if (kind === 'line') return html`<LineSymbolizer><Stroke><CssParameter name="stroke">${color}</CssParameter><CssParameter name="stroke-width">${DEFAULT_LINE_WIDTH}</CssParameter><CssParameter name="stroke-opacity">${opacity}</CssParameter></Stroke></LineSymbolizer>`;
+    return html`<PointSymbolizer><Graphic><Mark><WellKnownName>circle</WellKnownName><Fill><CssParameter name="fill">${color}</CssParameter><CssParameter name="fill-opacity">${opacity}</CssParameter></Fill><Stroke><CssParameter name="stroke">#ffffff</CssParameter><CssParameter name="stroke-width">1.2</CssParameter></Stroke></Mark><Size>${SLD_POINT_SIZE}</Size></Graphic></PointSymbolizer>`;
+  };
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<StyledLayerDescriptor version="1.0.0" ${SLD_NS}>`,
+    html`  <NamedLayer><Name>${name}</Name>`,
+    html`    <UserStyle><Title>${name} · ${settings.mode}${col && settings.mode !== 'single' ? ` · ${col}` : ''}</Title>`,
+    '      <FeatureTypeStyle>',
+    ...rules.map(r => `        <Rule>${html`<Name>${r.title}</Name><Title>${r.title}</Title>`}${filterOf(r)}${symbolizer(r.color)}</Rule>`),
+    '      </FeatureTypeStyle>',
+    '    </UserStyle>',
+    '  </NamedLayer>',
+    '</StyledLayerDescriptor>',
+    '',
+  ].join('\n');
+}
+
+/* ---- QML ---- */
+const QML_METHODS = { quantile: 'Quantile', equal: 'EqualInterval', jenks: 'Jenks', stddev: 'StdDev', pretty: 'Pretty' };
+
+function buildQML(settings, rules, kind) {
+  const opacity = settings.opacity / 100;
+  // QGIS colours are 'r,g,b,a' in 0–255
+  const rgba = (hex, a = 1) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(Math.round(a * 255)).join(',');
+  const option = (name, value) => html`<Option type="QString" name="${name}" value="${value}"/>`;
+  const symbol = (color, i) => {
+    let layer;
+    if (kind === 'polygon') {
+      layer = html`<layer class="SimpleFill" enabled="1" pass="0" locked="0"><Option type="Map">` +
+        option('color', rgba(color, FILL_OPACITY[settings.mode])) + option('style', 'solid') +
+        option('outline_color', rgba(color)) + option('outline_style', 'solid') +
+        option('outline_width', 1.5) + option('outline_width_unit', 'Pixel') + '</Option></layer>';
+    } else if (kind === 'line') {
+      layer = html`<layer class="SimpleLine" enabled="1" pass="0" locked="0"><Option type="Map">` +
+        option('line_color', rgba(color)) + option('line_style', 'solid') + option('line_width', DEFAULT_LINE_WIDTH) +
+        option('line_width_unit', 'Pixel') + option('capstyle', 'round') + option('joinstyle', 'round') + '</Option></layer>';
+    } else {
+      layer = html`<layer class="SimpleMarker" enabled="1" pass="0" locked="0"><Option type="Map">` +
+        option('name', 'circle') + option('color', rgba(color)) + option('size', SLD_POINT_SIZE) + option('size_unit', 'Pixel') +
+        option('outline_color', '255,255,255,255') + option('outline_width', 1.2) + option('outline_width_unit', 'Pixel') + '</Option></layer>';
+    }
+    return html`      <symbol type="${kind === 'polygon' ? 'fill' : kind === 'line' ? 'line' : 'marker'}" name="${i}" alpha="${opacity}" clip_to_extent="1" force_rhr="0">` + layer + '</symbol>';
+  };
+  const symbols = ['    <symbols>', ...rules.map((r, i) => symbol(r.color, i)), '    </symbols>'];
+  let renderer;
+  if (settings.mode === 'single') {
+    renderer = ['  <renderer-v2 type="singleSymbol" symbollevels="0" enableorderby="0" forceraster="0">', ...symbols, '  </renderer-v2>'];
+  } else if (settings.mode === 'graduated') {
+    renderer = [
+      html`  <renderer-v2 type="graduatedSymbol" attr="${settings.col}" graduatedMethod="GraduatedColor" symbollevels="0" enableorderby="0" forceraster="0">`,
+      '    <ranges>',
+      ...rules.map((r, i) => html`      <range lower="${r.lower}" upper="${r.upper}" symbol="${i}" label="${r.title}" render="true"/>`),
+      '    </ranges>',
+      ...symbols,
+      html`    <mode name="${QML_METHODS[settings.method] ? settings.method : 'manual'}"/>`,
+      html`    <classificationMethod id="${QML_METHODS[settings.method] || 'Fixed'}"/>`,
+      '  </renderer-v2>',
+    ];
+  } else {
+    renderer = [
+      html`  <renderer-v2 type="categorizedSymbol" attr="${settings.col}" symbollevels="0" enableorderby="0" forceraster="0">`,
+      '    <categories>',
+      // QGIS reads an empty value as "all other values"
+      ...rules.map((r, i) => html`      <category value="${r.other ? '' : r.value}" symbol="${i}" label="${r.title}" render="true"/>`),
+      '    </categories>',
+      ...symbols,
+      '  </renderer-v2>',
+    ];
+  }
+  return [
+    "<!DOCTYPE qgis PUBLIC 'http://mrcc.com/qgis.dtd' 'SYSTEM'>",
+    '<qgis version="3.28.0" styleCategories="Symbology">',
+    ...renderer,
+    '</qgis>',
+    '',
+  ].join('\n');
+}
+
+/* ---- SLD import ---- */
+// Text of the first descendant with this local name, namespace or not
+function xmlText(el, name) {
+  return el.getElementsByTagNameNS('*', name)[0]?.textContent.trim() ?? null;
+}
+
+// CssParameter / SvgParameter values of a rule's first symbolizer, by name
+function sldParams(rule) {
+  const params = {};
+  const symbolizer = [...rule.children].find(el => el.localName.endsWith('Symbolizer'));
+  if (!symbolizer) return params;
+  symbolizer.querySelectorAll('*').forEach(el => {
+    if ((el.localName === 'CssParameter' || el.localName === 'SvgParameter') && !(el.getAttribute('name') in params))
+      params[el.getAttribute('name')] = el.textContent.trim();
+  });
+  params.kind = symbolizer.localName;
+  return params;
+}
+
+function parseSLDRule(rule) {
+  const p = sldParams(rule);
+  const color = p.kind === 'LineSymbolizer' ? p.stroke : p.fill || p.stroke;
+  if (!/^#[0-9a-f]{6}$/i.test(color || '')) return null;
+  const opacity = p.kind === 'PolygonSymbolizer' ? +(p['stroke-opacity'] ?? NaN) : +(p['fill-opacity'] ?? p['stroke-opacity'] ?? NaN);
+  const out = { color: color.toLowerCase(), opacity, title: xmlText(rule, 'Title') || xmlText(rule, 'Name') };
+  if (rule.getElementsByTagNameNS('*', 'ElseFilter').length) return { ...out, other: true };
+  const filter = rule.getElementsByTagNameNS('*', 'Filter')[0];
+  if (!filter) return out;
+  for (const el of filter.getElementsByTagNameNS('*', '*')) {
+    const op = el.localName;
+    if (op === 'Or' || op === 'Not') throw new Error(`${op} filters can't be imported`);
+    if (!op.startsWith('PropertyIs')) continue;
+    out.col = xmlText(el, 'PropertyName');
+    if (op === 'PropertyIsEqualTo') out.value = xmlText(el, 'Literal');
+    else if (op === 'PropertyIsBetween') {
+      out.min = +xmlText(el.getElementsByTagNameNS('*', 'LowerBoundary')[0], 'Literal');
+      out.max = +xmlText(el.getElementsByTagNameNS('*', 'UpperBoundary')[0], 'Literal');
+    } else if (op.startsWith('PropertyIsGreaterThan')) out.min = +xmlText(el, 'Literal');
+    else if (op.startsWith('PropertyIsLessThan')) out.max = +xmlText(el, 'Literal');
+    else throw new Error(`${op} filters can't be imported`);
+  }
+  return out;
+}
+
+async function importSLD(file) {
+  try {
+    if (!lastMapData) throw new Error('run a query that returns geometry first');
+    const doc = new DOMParser().parseFromString(await file.text(), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('not well-formed XML');
+    const rules = [...doc.getElementsByTagNameNS('*', 'Rule')].map(parseSLDRule).filter(Boolean);
+    const classes = rules.filter(r => !r.other);
+    if (!classes.length) throw new Error('no rules with a fill or stroke colour');
+
+    const next = { ...styleSettings, catColors: null };
+    const opacity = classes.find(r => isFinite(r.opacity))?.opacity;
+    if (opacity != null) next.opacity = Math.round(Math.min(1, Math.max(0, opacity)) * 100);
+    const named = [...new Set(classes.map(r => r.col).filter(Boolean))];
+    if (named.length > 1) throw new Error(`rules filter on several columns (${named.join(', ')})`);
+    const col = named.length ? currentCols.find(c => c.toLowerCase() === named[0].toLowerCase()) : null;
+    if (named.length && !col) throw new Error(`this result has no "${named[0]}" column`);
+
+    if (!col) {
+      next.mode = 'single';
+      next.singleColor = classes[0].color;
+    } else if (classes.every(r => r.value !== undefined)) {
+      next.mode = 'categorical';
+      next.col = col;
+      next.catColors = Object.fromEntries(classes.map(r => [r.value, r.color]));
+    } else if (classes.every(r => r.value === undefined)) {
+      if (!isNumericColumn(col)) throw new Error(`"${col}" is not numeric, so its ranges can't be applied`);
+      // Thresholds between consecutive ranges, lowest first
+      classes.sort((a, b) => (a.min ?? -Infinity) - (b.min ?? -Infinity) || (a.max ?? Infinity) - (b.max ?? Infinity));
+      const breaks = classes.slice(1).map((r, i) => r.min ?? classes[i].max).filter(isFinite);
+      const palette = await sldPalette(col, classes.map(r => r.color));
+      Object.assign(next, {
+        mode: 'graduated', col, method: 'manual', manualBreaks: breaks, nClasses: classes.length,
+        ramp: palette.id, rampInverted: false,
+      });
+    } else throw new Error('rules mix value ranges and single values');
+
+    styleSettings = next;
+    resultLayers[activeLayerIdx].style = styleSettings;
+    syncStylePanelFromSettings();
+    applyStyle();
+    rememberLastStyle();
+    showToast(`Imported ${classes.length} ${next.mode === 'single' ? 'single-colour' : next.mode} rule${classes.length > 1 ? 's' : ''} from ${file.name}`);
+  } catch (e) {
+    showError(`Could not import ${file.name}: ${e.message}`);
+  }
+}
+
+function setupStyleExport() {
+  document.getElementById('style-export-maplibre').addEventListener('click', exportMapLibreStyle);
+  document.getElementById('style-export-qml').addEventListener('click', () => exportStyleFile('qml'));
+  document.getElementById('style-export-sld').addEventListener('click', () => exportStyleFile('sld'));
+  const input = document.getElementById('style-import-input');
+  document.getElementById('style-import-sld').addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files[0]) importSLD(input.files[0]);
+    input.value = '';
   });
 }
 
@@ -1383,7 +4847,7 @@ function renderLegendPreview() {
     title.textContent = 'Preview';
     const row = document.createElement('div');
     row.className = 'legend-break-row';
-    row.innerHTML = `
+    row.innerHTML = html`
       <div class="legend-break-swatch" style="background:${styleSettings.singleColor}"></div>
       <span class="legend-break-label">All features</span>`;
     container.append(title, row);
@@ -1395,30 +4859,47 @@ function renderLegendPreview() {
 
   if (mode === 'graduated') {
     renderGraduatedLegend(container, col);
+  } else if (mode === 'proportional' || mode === 'bivariate') {
+    const block = mode === 'proportional' ? buildSizeLegend() : buildBivariateLegend();
+    if (!block) return;
+    const title = document.createElement('div');
+    title.className = 'legend-title';
+    title.textContent = symbolLegendTitle();
+    container.append(title, block);
   } else {
     renderCategoricalLegend(container, col);
   }
 }
 
+function symbolLegendTitle(settings = styleSettings) {
+  return settings.mode === 'proportional'
+    ? `${settings.col} · ${settings.sizeScale === 'linear' ? 'linear' : '√ area'}`
+    : `${settings.col} × ${settings.col2} · tertiles`;
+}
+
 function renderGraduatedLegend(container, col) {
-  const values = currentRows.map(r => Number(r[col])).filter(v => isFinite(v));
+  const values = numericColumnValues(col);
   if (!values.length) return;
 
-  const n = styleSettings.nClasses;
-  const breaks = getBreaks(values, styleSettings.method, n);
+  const breaks = classBreaks(values);
+  const n = breaks.length - 1;
   const ramp = interpolateRampToN(getRamp(), n);
 
-  // Gradient bar
-  const gradBar = document.createElement('div');
-  gradBar.className = 'legend-gradient-bar';
-  gradBar.style.background = `linear-gradient(to right, ${ramp.join(',')})`;
+  // Distribution of the values with the class breaks marked
+  const histogram = buildHistogram(values, breaks, ramp);
 
   // Min / max labels
   const gradLabels = document.createElement('div');
   gradLabels.className = 'legend-gradient-labels';
-  gradLabels.innerHTML = `<span>${fmtNum(breaks[0])}</span><span>${fmtNum(breaks[n])}</span>`;
+  gradLabels.innerHTML = html`<span>${fmtNum(breaks[0])}</span><span>${fmtNum(breaks[n])}</span>`;
 
-  // Per-class breaks
+  // Per-class breaks — in manual mode each upper bound is an editable threshold
+  const manual = styleSettings.method === 'manual';
+  const thresholds = breaks.slice(1, -1);
+  const setThresholds = t => {
+    styleSettings.manualBreaks = [...new Set(t.filter(b => isFinite(b)))].sort((a, b) => a - b);
+    renderLegendPreview();
+  };
   const breakList = document.createElement('div');
   breakList.className = 'legend-breaks';
   for (let i = 0; i < n; i++) {
@@ -1426,44 +4907,105 @@ function renderGraduatedLegend(container, col) {
     row.className = 'legend-break-row';
     const lo = fmtNum(breaks[i]);
     const hi = fmtNum(breaks[i + 1]);
-    const label = i === n - 1 ? `${lo} – ${hi}` : `${lo} – < ${hi}`;
-    row.innerHTML = `
-      <div class="legend-break-swatch" style="background:${ramp[i]}"></div>
-      <span class="legend-break-label">${label}</span>`;
+    if (manual && i < n - 1) {
+      row.innerHTML = html`
+        <div class="legend-break-swatch" style="background:${ramp[i]}"></div>
+        <span class="legend-break-label">${lo} – &lt;</span>
+        <input type="number" class="style-num-input legend-break-input" value="${+breaks[i + 1].toPrecision(6)}" title="Upper bound of this class" />
+        <button class="icon-btn legend-break-remove" title="Remove this break">×</button>`;
+      const input = row.querySelector('input');
+      input.onchange = () => {
+        const t = [...thresholds];
+        if (input.value.trim() === '') t.splice(i, 1); else t[i] = +input.value;
+        setThresholds(t);
+      };
+      row.querySelector('button').onclick = () => setThresholds(thresholds.filter((_, j) => j !== i));
+    } else {
+      const label = i === n - 1 ? `${lo} – ${hi}` : `${lo} – < ${hi}`;
+      row.innerHTML = html`
+        <div class="legend-break-swatch" style="background:${ramp[i]}"></div>
+        <span class="legend-break-label">${label}</span>`;
+    }
     breakList.appendChild(row);
   }
+  if (manual && n < MAX_MANUAL_CLASSES) {
+    // New breaks split the widest class
+    const add = document.createElement('button');
+    add.className = 'legend-break-add';
+    add.textContent = '+ Break';
+    add.onclick = () => {
+      let w = 0;
+      for (let i = 1; i < n; i++) if (breaks[i + 1] - breaks[i] > breaks[w + 1] - breaks[w]) w = i;
+      setThresholds([...thresholds, +((breaks[w] + breaks[w + 1]) / 2).toPrecision(3)]);
+    };
+    breakList.appendChild(add);
+  }
 
   const title = document.createElement('div');
   title.className = 'legend-title';
-  title.textContent = `${col} · ${styleSettings.method} · ${n} classes`;
+  title.textContent = `${col} · ${METHOD_LABELS[styleSettings.method] || styleSettings.method} · ${n} ${n === 1 ? 'class' : 'classes'}`;
+
+  container.append(title, histogram, gradLabels, breakList);
+}
 
-  container.append(title, gradBar, gradLabels, breakList);
+// Value histogram for the legend preview: bars coloured by class, with a
+// marker at each interior break
+function buildHistogram(values, breaks, ramp) {
+  const [min, max] = valueExtent(values);
+  const lo = Math.min(min, breaks[0]);
+  const span = Math.max(max, breaks[breaks.length - 1]) - lo || 1;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  for (const v of values) counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - lo) / span * HISTOGRAM_BINS))]++;
+  const peak = counts.reduce((m, c) => Math.max(m, c), 0);
+
+  const wrap = document.createElement('div');
+  wrap.className = 'legend-histogram';
+  counts.forEach((count, i) => {
+    const from = lo + i * span / HISTOGRAM_BINS;
+    const to = from + span / HISTOGRAM_BINS;
+    const cls = breaks.slice(1, -1).filter(b => b <= (from + to) / 2).length;
+    const bar = document.createElement('div');
+    bar.className = 'legend-histogram-bar';
+    bar.style.height = count ? `${Math.max(4, count / peak * 100)}%` : '0';
+    bar.style.background = ramp[cls];
+    bar.title = `${fmtNum(from)} – ${fmtNum(to)}: ${count.toLocaleString()}`;
+    wrap.appendChild(bar);
+  });
+  breaks.slice(1, -1).forEach(b => {
+    const marker = document.createElement('div');
+    marker.className = 'legend-histogram-break';
+    marker.style.left = `${(b - lo) / span * 100}%`;
+    wrap.appendChild(marker);
+  });
+  return wrap;
 }
 
 function renderCategoricalLegend(container, col) {
-  const unique = sortedCategoricalValues(col).slice(0, 20);
+  const cats = categoryColors(col);
+  const unique = cats.values.slice(0, MAX_CATEGORIES);
   const title = document.createElement('div');
   title.className = 'legend-title';
-  title.textContent = `${col} · ${unique.length} categories${unique.length >= 20 ? ' (top 20)' : ''}`;
+  title.textContent = `${col} · ${cats.values.length} categories${cats.other ? ` (first ${MAX_CATEGORIES})` : ''}`;
 
   const list = document.createElement('div');
   list.className = 'legend-cat-list';
 
   unique.forEach((val, i) => {
-    const color = CATEGORICAL_PALETTE[i % CATEGORICAL_PALETTE.length];
+    const color = cats.colors[i];
     const row = document.createElement('div');
     row.className = 'legend-cat-row';
-    row.innerHTML = `
-      <div class="legend-cat-swatch" style="background:${color}" title="Click to change color"></div>
+    row.innerHTML = html`
+      <div class="legend-cat-swatch" style="background:${color}" title="${i >= cats.colors.length - cats.generated ? 'Generated colour — the palette ran out' : color}"></div>
       <span class="legend-cat-label" title="${val}">${val}</span>`;
     list.appendChild(row);
   });
 
   container.append(title, list);
-  if (unique.length >= 20) {
+  const colorNote = categoryColorNote(cats);
+  if (colorNote) {
     const note = document.createElement('div');
     note.style.cssText = 'font-family:var(--font-mono);font-size:9px;color:var(--text-dim);margin-top:4px';
-    note.textContent = `+ ${currentRows.length} rows, showing first 20 categories`;
+    note.textContent = colorNote;
     container.appendChild(note);
   }
 }
@@ -1477,66 +5019,117 @@ function applyStyle() {
   hiddenCategories = new Set();
   legendFilterRange = null;
 
-  const opacity = styleSettings.opacity / 100;
-  const mode = styleSettings.mode;
+  const graduated = paintLayerGroup(activeLayerPrefix(), styleSettings);
+  // Store for interactive legend
+  if (graduated) { legendAllValues = graduated.values; legendBreaks = graduated.breaks; }
+
+  if (styleSettings.mode !== 'single' && !styleSettings.col) return;
+  renderInteractiveLegend();
+}
 
-  // Clear any previous filters
-  setLayerFilter(null);
+// Paint one result layer group from a style settings object, then switch its
+// point display. Returns { values, breaks } when a graduated style was applied.
+function paintLayerGroup(prefix, settings) {
+  const graduated = paintLayerColors(prefix, settings);
+  applyPointDisplay(prefix, settings);
+  applyLabels(prefix, settings);
+  return graduated;
+}
+
+function paintLayerColors(prefix, settings) {
+  const opacity = settings.opacity / 100;
+  const mode = settings.mode;
+
+  // Clear any previous filters and data-driven sizes
+  setLayerFilter(null, prefix);
+  resetSymbolSizes(prefix);
 
   if (mode === 'single') {
-    applySingleStyle(styleSettings.singleColor, opacity);
-    renderInteractiveLegend();
-    return;
+    applySingleStyle(settings.singleColor, opacity, prefix);
+    return null;
   }
 
-  const col = styleSettings.col;
-  if (!col) return;
-
-  const sample = currentRows.find(r => r[col] !== null && r[col] !== undefined);
-  const isNumeric = sample && (typeof sample[col] === 'number' || typeof sample[col] === 'bigint');
+  const col = settings.col;
+  if (!col) return null;
 
-  if (mode === 'graduated' && isNumeric) {
-    applyGraduatedStyle(col, opacity);
-  } else {
-    applyCategoricalStyle(col, opacity);
+  if (mode === 'proportional' || mode === 'bivariate') {
+    const cols = mode === 'bivariate' ? [col, settings.col2] : [col];
+    if (!cols.every(c => c && isNumericColumn(c))) {
+      showToast(`${mode === 'bivariate' ? 'Bivariate' : 'Proportional'} styling needs numeric columns — using a single colour`);
+      applySingleStyle(settings.singleColor, opacity, prefix);
+      return null;
+    }
+    if (prefix.startsWith('query')) ensureMapColumns(cols);
+    if (mode === 'proportional') applyProportionalStyle(col, opacity, prefix, settings);
+    else applyBivariateStyle(opacity, prefix, settings);
+    return null;
   }
-  renderInteractiveLegend();
+
+  if (prefix.startsWith('query')) ensureMapColumns([col]);
+
+  if (mode === 'graduated' && isNumericColumn(col)) return applyGraduatedStyle(col, opacity, prefix, settings);
+  applyCategoricalStyle(col, opacity, prefix, settings);
+  return null;
+}
+
+// Re-paint every result layer group (after a new result or a basemap switch),
+// carrying the legend filters of each group over
+function reapplyLayerStyles() {
+  resultLayers.forEach((l, i) => {
+    if (i === activeLayerIdx || !l.style) return;
+    paintLayerGroup(l.prefix, l.style);
+    applyLayerGroupFilters(l);
+  });
+  // applyStyle() resets legend filters — restore the active group's afterwards
+  const hidden = [...hiddenCategories];
+  const range = legendFilterRange;
+  applyStyle();
+  restoreLegendFilters(hidden, range);
+}
+
+// Legend filters of a non-active group, from its stored hidden / range state
+function applyLayerGroupFilters(layer) {
+  const { style, hidden, range, prefix } = layer;
+  if (!style?.col) return;
+  if (style.mode === 'categorical' && hidden.length)
+    applyCategoricalFilter(style.col, sortedCategoricalValues(style.col), new Set(hidden), prefix);
+  else if (style.mode === 'graduated' && range)
+    applyRangeFilter(style.col, range[0], range[1], prefix);
 }
 
 // Apply or clear a MapLibre filter on all query layers
-function setLayerFilter(filter) {
-  ['query-polygons', 'query-polygon-outline', 'query-points', 'query-lines'].forEach(id => {
+function setLayerFilter(filter, prefix = activeLayerPrefix()) {
+  [...LAYER_SUFFIXES, ...LABEL_SUFFIXES, 'heatmap'].forEach(suffix => {
+    const id = `${prefix}-${suffix}`;
     if (map.getLayer(id)) map.setFilter(id, filter);
   });
 }
 
-function applySingleStyle(color, opacity) {
-  if (map.getLayer('query-polygons')) {
-    map.setPaintProperty('query-polygons', 'fill-color', color);
-    map.setPaintProperty('query-polygons', 'fill-opacity', opacity * 0.8);
-    map.setPaintProperty('query-polygon-outline', 'line-color', color);
+function applySingleStyle(color, opacity, prefix = activeLayerPrefix()) {
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.polygons)) {
+    map.setPaintProperty(L.polygons, 'fill-color', color);
+    map.setPaintProperty(L.polygons, 'fill-opacity', opacity * 0.8);
+    map.setPaintProperty(L.outline, 'line-color', color);
+    map.setPaintProperty(L.outline, 'line-opacity', opacity);
   }
-  if (map.getLayer('query-points')) {
-    map.setPaintProperty('query-points', 'circle-color', color);
-    map.setPaintProperty('query-points', 'circle-opacity', opacity);
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-color', color);
+    map.setPaintProperty(L.points, 'circle-opacity', opacity);
   }
-  if (map.getLayer('query-lines')) {
-    map.setPaintProperty('query-lines', 'line-color', color);
-    map.setPaintProperty('query-lines', 'line-opacity', opacity);
+  if (map.getLayer(L.lines)) {
+    map.setPaintProperty(L.lines, 'line-color', color);
+    map.setPaintProperty(L.lines, 'line-opacity', opacity);
   }
 }
 
-function applyGraduatedStyle(col, opacity) {
-  const values = currentRows.map(r => Number(r[col])).filter(v => isFinite(v));
-  if (!values.length) return;
-
-  const n = styleSettings.nClasses;
-  const breaks = getBreaks(values, styleSettings.method, n);
-  const ramp = interpolateRampToN(getRamp(), n);
+function applyGraduatedStyle(col, opacity, prefix = activeLayerPrefix(), settings = styleSettings) {
+  const values = numericColumnValues(col);
+  if (!values.length) return null;
 
-  // Store for interactive legend
-  legendAllValues = [...values].sort((a, b) => a - b);
-  legendBreaks = breaks;
+  const breaks = classBreaks(values, settings);
+  const n = breaks.length - 1;
+  const ramp = interpolateRampToN(getRamp(settings), n);
 
   const stepExpr = ['step', ['get', col], ramp[0]];
   for (let i = 1; i < n; i++) {
@@ -1544,26 +5137,29 @@ function applyGraduatedStyle(col, opacity) {
     stepExpr.push(ramp[i]);
   }
 
-  if (map.getLayer('query-polygons')) {
-    map.setPaintProperty('query-polygons', 'fill-color', stepExpr);
-    map.setPaintProperty('query-polygons', 'fill-opacity', opacity * 0.85);
-    map.setPaintProperty('query-polygon-outline', 'line-color', stepExpr);
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.polygons)) {
+    map.setPaintProperty(L.polygons, 'fill-color', stepExpr);
+    map.setPaintProperty(L.polygons, 'fill-opacity', opacity * 0.85);
+    map.setPaintProperty(L.outline, 'line-color', stepExpr);
+    map.setPaintProperty(L.outline, 'line-opacity', opacity);
   }
-  if (map.getLayer('query-points')) {
-    map.setPaintProperty('query-points', 'circle-color', stepExpr);
-    map.setPaintProperty('query-points', 'circle-opacity', opacity);
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-color', stepExpr);
+    map.setPaintProperty(L.points, 'circle-opacity', opacity);
   }
-  if (map.getLayer('query-lines')) {
-    map.setPaintProperty('query-lines', 'line-color', stepExpr);
-    map.setPaintProperty('query-lines', 'line-opacity', opacity);
+  if (map.getLayer(L.lines)) {
+    map.setPaintProperty(L.lines, 'line-color', stepExpr);
+    map.setPaintProperty(L.lines, 'line-opacity', opacity);
   }
+  return { values: [...values].sort((a, b) => a - b), breaks };
 }
 
 // Returns unique categorical values for a column, sorted:
 //   • All-numeric values  → ascending numeric order  (1, 2, 3 … 10, not 1, 10, 2)
 //   • Mixed / string      → case-insensitive alphabetical order
 function sortedCategoricalValues(col) {
-  const unique = [...new Set(currentRows.map(r => r[col]).filter(v => v != null))];
+  const unique = [...new Set(columnValues(col).filter(v => v != null))];
   const allNumeric = unique.every(v => typeof v === 'number' || (typeof v === 'bigint') ||
     (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))));
   if (allNumeric) {
@@ -1574,31 +5170,716 @@ function sortedCategoricalValues(col) {
   return unique;
 }
 
-function applyCategoricalStyle(col, opacity) {
-  const unique = sortedCategoricalValues(col);
+function applyCategoricalStyle(col, opacity, prefix = activeLayerPrefix(), settings = styleSettings) {
+  const { values, colors } = categoryColors(col, settings);
   // FIX: use ['to-string', ['get', col]] so numeric column values (1, 2, 3 …)
   // match their String(v) cases.  MapLibre's 'match' is strictly typed:
   // the number 1 never equals the string "1", so every feature hit #aaaaaa.
   const match = ['match', ['to-string', ['get', col]]];
-  unique.forEach((v, i) => {
-    match.push(String(v));
-    match.push(CATEGORICAL_PALETTE[i % CATEGORICAL_PALETTE.length]);
+  // Categories past the coloured ones fall through to the grey default
+  colors.forEach((color, i) => {
+    match.push(String(values[i]));
+    match.push(color);
+  });
+  match.push(OTHER_COLOR);
+
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.polygons)) {
+    map.setPaintProperty(L.polygons, 'fill-color', match);
+    map.setPaintProperty(L.polygons, 'fill-opacity', opacity * 0.85);
+    map.setPaintProperty(L.outline, 'line-color', match);
+    map.setPaintProperty(L.outline, 'line-opacity', opacity);
+  }
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-color', match);
+    map.setPaintProperty(L.points, 'circle-opacity', opacity);
+  }
+  if (map.getLayer(L.lines)) {
+    map.setPaintProperty(L.lines, 'line-color', match);
+    map.setPaintProperty(L.lines, 'line-opacity', opacity);
+  }
+}
+
+
+/* ============================================================
+   PROPORTIONAL SYMBOLS + BIVARIATE CHOROPLETH
+   ============================================================
+   Proportional: circle radius and line width grow with a numeric
+   column, anchored at zero so a value twice as large gets twice the
+   area ('sqrt') or twice the radius ('linear'). Polygons keep a flat
+   fill — size their centroids instead. Bivariate: two numeric columns
+   are split into tertiles each and crossed into a 3×3 colour grid.
+   ============================================================ */
+const DEFAULT_CIRCLE_RADIUS = ['interpolate', ['linear'], ['zoom'], 8, 4, 14, 8];
+const DEFAULT_LINE_WIDTH = 2;
+
+// 3×3 palettes, row-major from low Y; within a row X goes low → high
+const BIVARIATE_PALETTES = {
+  pinkblue: ['#e8e8e8', '#ace4e4', '#5ac8c8', '#dfb0d6', '#a5add3', '#5698b9', '#be64ac', '#8c62aa', '#3b4994'],
+  goldpurple: ['#e8e8e8', '#e4d9ac', '#c8b35a', '#cbb8d7', '#c8ada0', '#af8e53', '#9972af', '#976b82', '#804d36'],
+  greenblue: ['#e8e8e8', '#b5c0da', '#6c83b5', '#b8d6be', '#90b2b3', '#567994', '#73ae80', '#5a9178', '#2a5a5b'],
+};
+const BIVARIATE_LEVELS = ['low', 'mid', 'high'];
+
+function isNumericColumn(col) {
+  const sample = columnValues(col).find(v => v !== null && v !== undefined);
+  return typeof sample === 'number' || typeof sample === 'bigint';
+}
+
+// Undo proportional sizing when a group switches to another mode
+function resetSymbolSizes(prefix) {
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-radius', DEFAULT_CIRCLE_RADIUS);
+    map.setLayoutProperty(L.points, 'circle-sort-key', undefined);
+  }
+  if (map.getLayer(L.lines)) map.setPaintProperty(L.lines, 'line-width', DEFAULT_LINE_WIDTH);
+}
+
+// Largest value plus a radius function and round legend values; null without positive values
+function sizeScale(settings) {
+  const vmax = numericColumnValues(settings.col).reduce((m, v) => Math.max(m, v), 0);
+  if (!(vmax > 0)) return null;
+  const t = v => settings.sizeScale === 'linear' ? v / vmax : Math.sqrt(v / vmax);
+  const radius = v => Math.max(settings.sizeMin, settings.sizeMax * t(Math.max(0, v)));
+  // Legend: the max rounded down to one significant digit, then a half and a tenth of it
+  const mag = 10 ** Math.floor(Math.log10(vmax));
+  const top = Math.floor(vmax / mag) * mag;
+  const steps = [...new Set([top, top / 2, top / 10])];
+  return { vmax, radius, steps };
+}
+
+// ['get', col] scaled to [minSize, maxSize]; non-numeric values get size 0
+function sizeExpression(col, vmax, scale, minSize, maxSize) {
+  const v = ['/', ['max', 0, ['to-number', ['get', col]]], vmax];
+  const t = scale === 'linear' ? v : ['sqrt', v];
+  return ['case', ['==', ['typeof', ['get', col]], 'number'], ['max', minSize, ['*', maxSize, t]], 0];
+}
+
+function applyProportionalStyle(col, opacity, prefix = activeLayerPrefix(), settings = styleSettings) {
+  applySingleStyle(settings.singleColor, opacity, prefix);
+  const scale = sizeScale(settings);
+  if (!scale) return;
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-radius', sizeExpression(col, scale.vmax, settings.sizeScale, settings.sizeMin, settings.sizeMax));
+    map.setPaintProperty(L.points, 'circle-opacity', opacity * 0.75);
+    // Big symbols underneath, so small ones stay clickable
+    map.setLayoutProperty(L.points, 'circle-sort-key', ['-', ['to-number', ['get', col]]]);
+  }
+  if (map.getLayer(L.lines)) {
+    const maxWidth = Math.max(2, settings.sizeMax / 2);
+    map.setPaintProperty(L.lines, 'line-width', sizeExpression(col, scale.vmax, settings.sizeScale, 0.5, maxWidth));
+  }
+}
+
+// Tertile breaks of both columns + the palette; null when a column has no values
+function bivariateClasses(settings) {
+  const xs = numericColumnValues(settings.col);
+  const ys = numericColumnValues(settings.col2);
+  if (!xs.length || !ys.length) return null;
+  return {
+    x: classifyQuantile(xs, 3),
+    y: classifyQuantile(ys, 3),
+    colors: BIVARIATE_PALETTES[settings.bivariatePalette] || BIVARIATE_PALETTES.pinkblue,
+  };
+}
+
+// Class 0–2 of a column; tied tertiles collapse (step stops must strictly increase)
+function tertileExpression(col, breaks) {
+  const expr = ['step', ['get', col], 0];
+  [breaks[1], breaks[2]].forEach((b, i) => {
+    const prev = expr.length > 3 ? expr[expr.length - 2] : -Infinity;
+    if (b > prev) expr.push(b, i + 1);
   });
+  return expr;
+}
+
+function applyBivariateStyle(opacity, prefix = activeLayerPrefix(), settings = styleSettings) {
+  const classes = bivariateClasses(settings);
+  if (!classes) return;
+  const cell = ['+', ['*', tertileExpression(settings.col2, classes.y), 3], tertileExpression(settings.col, classes.x)];
+  const match = ['match', cell];
+  classes.colors.forEach((c, k) => match.push(k, c));
   match.push('#aaaaaa');
+  const isNumber = c => ['==', ['typeof', ['get', c]], 'number'];
+  const color = ['case', ['all', isNumber(settings.col), isNumber(settings.col2)], match, '#aaaaaa'];
+
+  const L = groupLayerIds(prefix);
+  if (map.getLayer(L.polygons)) {
+    map.setPaintProperty(L.polygons, 'fill-color', color);
+    map.setPaintProperty(L.polygons, 'fill-opacity', opacity * 0.9);
+    map.setPaintProperty(L.outline, 'line-color', '#ffffff');
+    map.setPaintProperty(L.outline, 'line-opacity', opacity * 0.5);
+  }
+  if (map.getLayer(L.points)) {
+    map.setPaintProperty(L.points, 'circle-color', color);
+    map.setPaintProperty(L.points, 'circle-opacity', opacity);
+  }
+  if (map.getLayer(L.lines)) {
+    map.setPaintProperty(L.lines, 'line-color', color);
+    map.setPaintProperty(L.lines, 'line-opacity', opacity);
+  }
+}
+
+/* ── Legend blocks (style pane preview + map legend) ── */
+function buildSizeLegend(settings = styleSettings) {
+  const scale = sizeScale(settings);
+  if (!scale) return null;
+  const wrap = document.createElement('div');
+  wrap.className = 'size-legend';
+  const box = 2 * scale.radius(scale.steps[0]);
+  scale.steps.forEach(v => {
+    const row = document.createElement('div');
+    row.className = 'size-legend-row';
+    const symbol = document.createElement('div');
+    symbol.className = 'size-legend-symbol';
+    symbol.style.width = symbol.style.height = `${box}px`;
+    const circle = document.createElement('div');
+    const d = 2 * scale.radius(v);
+    circle.style.width = circle.style.height = `${d}px`;
+    circle.style.background = settings.singleColor;
+    symbol.appendChild(circle);
+    const label = document.createElement('span');
+    label.className = 'size-legend-label';
+    label.textContent = fmtNum(v);
+    row.append(symbol, label);
+    wrap.appendChild(row);
+  });
+  return wrap;
+}
+
+function buildBivariateLegend(settings = styleSettings) {
+  const classes = bivariateClasses(settings);
+  if (!classes) return null;
+  const wrap = document.createElement('div');
+  wrap.className = 'bivar-legend';
+  const yAxis = document.createElement('div');
+  yAxis.className = 'bivar-axis bivar-axis-y';
+  yAxis.textContent = `${settings.col2} →`;
+  const grid = document.createElement('div');
+  grid.className = 'bivar-grid';
+  // Top row is high Y, so walk the rows downwards
+  for (let yi = 2; yi >= 0; yi--) {
+    for (let xi = 0; xi < 3; xi++) {
+      const cell = document.createElement('div');
+      cell.className = 'bivar-cell';
+      cell.style.background = classes.colors[yi * 3 + xi];
+      cell.title = `${settings.col}: ${fmtNum(classes.x[xi])} – ${fmtNum(classes.x[xi + 1])}\n`
+        + `${settings.col2}: ${fmtNum(classes.y[yi])} – ${fmtNum(classes.y[yi + 1])}`;
+      grid.appendChild(cell);
+    }
+  }
+  const xAxis = document.createElement('div');
+  xAxis.className = 'bivar-axis bivar-axis-x';
+  xAxis.textContent = `${settings.col} →`;
+  wrap.append(yAxis, grid, xAxis);
+  return wrap;
+}
+
+function renderBivariateSwatches() {
+  const container = document.getElementById('bivariate-swatches');
+  if (!container) return;
+  container.innerHTML = '';
+  Object.entries(BIVARIATE_PALETTES).forEach(([name, colors]) => {
+    const sw = document.createElement('div');
+    sw.className = `bivar-swatch${styleSettings.bivariatePalette === name ? ' active' : ''}`;
+    sw.title = name;
+    for (let yi = 2; yi >= 0; yi--) {
+      for (let xi = 0; xi < 3; xi++) {
+        const c = document.createElement('div');
+        c.style.background = colors[yi * 3 + xi];
+        sw.appendChild(c);
+      }
+    }
+    sw.onclick = () => {
+      styleSettings.bivariatePalette = name;
+      renderBivariateSwatches();
+      renderLegendPreview();
+    };
+    container.appendChild(sw);
+  });
+}
+
+
+/* ============================================================
+   POINT DISPLAYS — heatmap / hexbin / clusters
+   ============================================================
+   Alternatives to plain circles for dense point results, switched from
+   the Map Style pane on the current result. Heatmap and clusters read
+   the group's own point source (clusters need GeoJSON rendering);
+   hexbins are aggregated in DuckDB from the result SQL — H3 cells when
+   the community extension loads, a hexagonal grid in Web Mercator
+   otherwise — and re-binned when the zoom level changes.
+   ============================================================ */
+const POINT_DISPLAY_SUFFIXES = ['heatmap', 'hexbins', 'clusters', 'cluster-points', 'cluster-count'];
+const EARTH_RADIUS = 6378137;
+// Mean H3 edge length (km) per resolution 0–15
+const H3_EDGE_KM = [1281.256, 483.0568, 182.513, 68.9792, 26.0718, 9.85409, 3.72453, 1.40648,
+  0.531414, 0.200786, 0.0758638, 0.0286639, 0.0108302, 0.00409201, 0.0015461, 0.000584169];
+
+const pointDisplays = new Map(); // prefix → display applied to that group
+const hexbinCache = new Map();   // prefix → { key, zoom, fc, weight } of the current result
+const hexbinPending = new Map(); // prefix → token of the newest aggregation
+let h3Available = null;          // null until the first hexbin tries to load the extension
+
+function applyPointDisplay(prefix, settings) {
+  removePointDisplayLayers(prefix);
+  let display = settings.pointDisplay || 'points';
+  if (display === 'cluster' && lastMapData?.tiled) {
+    showToast('Clustering needs GeoJSON rendering — switch MAP to GeoJSON to cluster this result');
+    display = 'points';
+  }
+  if (!map.getLayer(`${prefix}-points`)) display = 'points';
+  pointDisplays.set(prefix, display);
+  if (display === 'heatmap') addHeatmapLayer(prefix, settings);
+  else if (display === 'cluster') addClusterLayers(prefix, settings);
+  else if (display === 'hexbin') showHexbins(prefix, settings);
+  setLayerGroupVisibility(prefix, resultLayers.find(l => l.prefix === prefix)?.visible !== false);
+  if (prefix === activeLayerPrefix()) renderPointDisplayLegend();
+}
+
+function removePointDisplayLayers(prefix) {
+  POINT_DISPLAY_SUFFIXES.forEach(s => { if (map.getLayer(`${prefix}-${s}`)) map.removeLayer(`${prefix}-${s}`); });
+  ['hex-src', 'cluster-src'].forEach(s => { if (map.getSource(`${prefix}-${s}`)) map.removeSource(`${prefix}-${s}`); });
+}
+
+// Visible heatmap / hexbin / cluster layers with the given suffixes
+function pointDisplayLayerIds(suffixes) {
+  if (!map?.isStyleLoaded()) return [];
+  return resultLayers.filter(l => l.visible)
+    .flatMap(l => suffixes.map(s => `${l.prefix}-${s}`))
+    .filter(id => map.getLayer(id));
+}
+
+// Extra layers go under the selection highlight
+function beforeSelectionLayer() {
+  return map.getStyle().layers.find(l => l.id.startsWith('selected-'))?.id;
+}
+
+// Source of one of a group's layers — GeoJSON, or a source-layer of its tiles
+function layerSourceOf(layerId) {
+  const layer = map.getLayer(layerId);
+  return layer.sourceLayer ? { source: layer.source, 'source-layer': layer.sourceLayer } : { source: layer.source };
+}
 
-  if (map.getLayer('query-polygons')) {
-    map.setPaintProperty('query-polygons', 'fill-color', match);
-    map.setPaintProperty('query-polygons', 'fill-opacity', opacity * 0.85);
-    map.setPaintProperty('query-polygon-outline', 'line-color', match);
+function weightColumn(settings) {
+  return settings.pointWeight && currentCols.includes(settings.pointWeight) ? settings.pointWeight : null;
+}
+
+function addHeatmapLayer(prefix, settings) {
+  const ramp = interpolateRampToN(getRamp(settings), 5);
+  const w = weightColumn(settings);
+  let weight = 1;
+  if (w) {
+    if (prefix.startsWith('query')) ensureMapColumns([w]);
+    const wmax = numericColumnValues(w).reduce((m, v) => Math.max(m, v), 0);
+    if (wmax > 0) weight = ['interpolate', ['linear'], ['to-number', ['get', w], 0], 0, 0, wmax, 1];
+  }
+  map.addLayer({
+    id: `${prefix}-heatmap`, type: 'heatmap', ...layerSourceOf(`${prefix}-points`),
+    paint: {
+      'heatmap-weight': weight,
+      'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 0, 1, 14, 3],
+      'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 0, 6, 14, 30],
+      'heatmap-color': ['interpolate', ['linear'], ['heatmap-density'], 0, 'rgba(0,0,0,0)', ...ramp.flatMap((c, i) => [0.2 * (i + 1), c])],
+      'heatmap-opacity': settings.opacity / 100,
+    },
+  }, beforeSelectionLayer());
+}
+
+function addClusterLayers(prefix, settings) {
+  const group = lastMapData?.groups.find(g => g.prefix === prefix);
+  if (!group) return;
+  const source = `${prefix}-cluster-src`;
+  map.addSource(source, { type: 'geojson', data: group.pts, cluster: true, clusterRadius: 50, clusterMaxZoom: 14 });
+  const ramp = interpolateRampToN(getRamp(settings), 3);
+  const before = beforeSelectionLayer();
+  map.addLayer({
+    id: `${prefix}-clusters`, type: 'circle', source, filter: ['has', 'point_count'],
+    paint: {
+      'circle-color': ['step', ['get', 'point_count'], ramp[0], 100, ramp[1], 1000, ramp[2]],
+      'circle-radius': ['step', ['get', 'point_count'], 14, 100, 20, 1000, 28],
+      'circle-opacity': settings.opacity / 100,
+      'circle-stroke-width': 1.5, 'circle-stroke-color': '#fff',
+    },
+  }, before);
+  // Points outside any cluster keep the group's own circle paint
+  const paint = {};
+  PINNED_PAINT_PROPS.circle.forEach(p => {
+    const v = map.getPaintProperty(`${prefix}-points`, p);
+    if (v !== undefined) paint[p] = v;
+  });
+  map.addLayer({ id: `${prefix}-cluster-points`, type: 'circle', source, filter: ['!', ['has', 'point_count']], paint }, before);
+  map.addLayer({
+    id: `${prefix}-cluster-count`, type: 'symbol', source, filter: ['has', 'point_count'],
+    layout: { 'text-field': ['get', 'point_count_abbreviated'], 'text-font': LABEL_FONT, 'text-size': 11, 'text-allow-overlap': true },
+    paint: { 'text-color': '#111', 'text-halo-color': '#fff', 'text-halo-width': 1.2 },
+  }, before);
+}
+
+async function showHexbins(prefix, settings) {
+  const group = lastMapData?.groups.find(g => g.prefix === prefix);
+  if (!group) return;
+  const zoom = Math.max(0, Math.round(map.getZoom()));
+  const weight = weightColumn(settings);
+  const key = `${weight || ''}|${settings.hexSize}|${zoom}`;
+  let cached = hexbinCache.get(prefix);
+  if (cached?.key !== key) {
+    const token = {};
+    hexbinPending.set(prefix, token);
+    let fc;
+    try { fc = await computeHexbins(group.col, settings, weight, zoom); }
+    catch (e) {
+      // The next result drops the table this was reading
+      if (hexbinPending.get(prefix) === token) showError(`Hexbin aggregation failed: ${e.message}`);
+      return;
+    }
+    // A newer aggregation, display switch or result superseded this one
+    if (hexbinPending.get(prefix) !== token || pointDisplays.get(prefix) !== 'hexbin') return;
+    cached = { key, zoom, fc, weight };
+    hexbinCache.set(prefix, cached);
+  }
+  addHexbinLayer(prefix, settings, cached.fc);
+}
+
+function addHexbinLayer(prefix, settings, fc) {
+  const id = `${prefix}-hexbins`;
+  if (map.getLayer(id)) map.removeLayer(id);
+  if (map.getSource(`${prefix}-hex-src`)) map.removeSource(`${prefix}-hex-src`);
+  map.addSource(`${prefix}-hex-src`, { type: 'geojson', data: fc });
+  const { breaks, ramp } = hexbinClasses(settings, fc);
+  const color = ramp.length
+    ? ['step', ['get', 'v'], ramp[0], ...breaks.slice(1, -1).flatMap((b, i) => [b, ramp[i + 1]])]
+    : getRamp(settings)[0];
+  map.addLayer({
+    id, type: 'fill', source: `${prefix}-hex-src`,
+    paint: { 'fill-color': color, 'fill-opacity': settings.opacity / 100 * 0.85, 'fill-outline-color': 'rgba(255,255,255,0.35)' },
+  }, beforeSelectionLayer());
+  setLayerGroupVisibility(prefix, resultLayers.find(l => l.prefix === prefix)?.visible !== false);
+  if (prefix === activeLayerPrefix()) renderPointDisplayLegend();
+}
+
+// Graduated classes of the per-cell totals, with the pane's method, class count and ramp.
+// Manual thresholds were typed for the point column, so hexbins fall back to quantiles.
+function hexbinClasses(settings, fc) {
+  const values = fc.features.map(f => f.properties.v).filter(v => v != null && isFinite(v));
+  if (!values.length) return { breaks: [], ramp: [] };
+  const method = settings.method === 'manual' ? 'quantile' : settings.method;
+  const breaks = classBreaks(values, { ...settings, method, nClasses: Math.min(settings.nClasses, new Set(values).size) });
+  return { breaks, ramp: interpolateRampToN(getRamp(settings), breaks.length - 1) };
+}
+
+async function loadH3() {
+  if (h3Available === null) {
+    try {
+      await tileConn.query(`INSTALL h3 FROM community`);
+      await tileConn.query(`LOAD h3`);
+      h3Available = true;
+    } catch (e) {
+      console.warn('H3 extension unavailable, binning on a planar hex grid:', e.message);
+      h3Available = false;
+    }
+  }
+  return h3Available;
+}
+
+// Per-cell point count (n) and weight total (v — the count when unweighted) as polygons
+// Aggregates the result's DuckDB copy, so zooming never re-runs the query
+async function computeHexbins(col, settings, weight, zoom) {
+  const table = await ensureResultTable();
+  const g = sqlIdent(col);
+  const pts = `SELECT ST_Centroid(${g}) AS c, ${weight ? `TRY_CAST(${sqlIdent(weight)} AS DOUBLE)` : '1'} AS w
+    FROM ${table} WHERE ST_GeometryType(${g}) IN ('POINT', 'MULTIPOINT')`;
+  // Cell radius in Web Mercator metres: hexSize screen pixels at this zoom
+  const r = settings.hexSize * 2 * Math.PI * EARTH_RADIUS / (512 * 2 ** zoom);
+  const features = [];
+
+  if (await loadH3()) {
+    const groundKm = r * Math.cos(map.getCenter().lat * Math.PI / 180) / 1000;
+    const res = H3_EDGE_KM.reduce((best, km, i) =>
+      Math.abs(Math.log(km / groundKm)) < Math.abs(Math.log(H3_EDGE_KM[best] / groundKm)) ? i : best, 0);
+    const rows = await tileConn.query(`
+      SELECT ST_AsGeoJSON(ST_GeomFromText(h3_cell_to_boundary_wkt(cell))) AS geom, n, v
+      FROM (SELECT h3_latlng_to_cell(ST_Y(c), ST_X(c), ${res}) AS cell, count(*)::INTEGER AS n, sum(w)::DOUBLE AS v
+            FROM (${pts}) GROUP BY cell)`);
+    rows.toArray().forEach(row => features.push({
+      type: 'Feature', geometry: JSON.parse(row.geom), properties: { n: row.n, v: row.v },
+    }));
+    return { type: 'FeatureCollection', features };
+  }
+
+  // Hexagon centres are the union of two rectangular lattices; each point
+  // takes the nearer of its closest centre in either
+  const dx = Math.sqrt(3) * r, dy = 3 * r;
+  const rows = await tileConn.query(`
+    WITH p AS (
+      SELECT radians(ST_X(c)) * ${EARTH_RADIUS} AS x, ln(tan(pi() / 4 + radians(ST_Y(c)) / 2)) * ${EARTH_RADIUS} AS y, w
+      FROM (${pts}) WHERE abs(ST_Y(c)) < 85.05
+    ), lattice AS (
+      SELECT *, ${dx} * round(x / ${dx}) AS ax, ${dy} * round(y / ${dy}) AS ay,
+             ${dx} * (floor(x / ${dx}) + 0.5) AS bx, ${dy} * (floor(y / ${dy}) + 0.5) AS b_y
+      FROM p
+    ), nearest AS (
+      SELECT *, pow(x - ax, 2) + pow(y - ay, 2) <= pow(x - bx, 2) + pow(y - b_y, 2) AS on_a FROM lattice
+    )
+    SELECT CASE WHEN on_a THEN ax ELSE bx END AS cx, CASE WHEN on_a THEN ay ELSE b_y END AS cy,
+           count(*)::INTEGER AS n, sum(w)::DOUBLE AS v
+    FROM nearest GROUP BY ALL`);
+  const unproject = (x, y) => [
+    x / EARTH_RADIUS * 180 / Math.PI,
+    (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI,
+  ];
+  rows.toArray().forEach(row => {
+    // Pointy-top hexagon: vertices at 30°, 90°, … 330°
+    const ring = [0, 1, 2, 3, 4, 5, 0].map(k => {
+      const a = Math.PI / 6 + k * Math.PI / 3;
+      return unproject(row.cx + r * Math.cos(a), row.cy + r * Math.sin(a));
+    });
+    features.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: { n: row.n, v: row.v } });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Hexbins re-bin when a zoom level changes so cells keep their screen size
+function refreshHexbins() {
+  pointDisplays.forEach((display, prefix) => {
+    if (display !== 'hexbin') return;
+    const settings = resultLayers.find(l => l.prefix === prefix)?.style;
+    if (settings && hexbinCache.get(prefix)?.zoom !== Math.max(0, Math.round(map.getZoom()))) showHexbins(prefix, settings);
+  });
+}
+
+// Clusters zoom in on click; hexbins show their totals. Returns true when it handled the click.
+function handlePointDisplayClick(e) {
+  const layers = pointDisplayLayerIds(['clusters', 'hexbins']);
+  const f = layers.length ? map.queryRenderedFeatures(e.point, { layers })[0] : null;
+  if (!f) return false;
+  if (f.layer.id.endsWith('-clusters')) {
+    map.getSource(f.layer.source).getClusterExpansionZoom(f.properties.cluster_id)
+      .then(zoom => map.easeTo({ center: f.geometry.coordinates, zoom }))
+      .catch(err => console.warn('Cluster expansion failed:', err));
+    return true;
+  }
+  const weight = hexbinCache.get(f.layer.id.replace(/-hexbins$/, ''))?.weight;
+  const rows = [['points', f.properties.n.toLocaleString()]];
+  if (weight) rows.push([`Σ ${weight}`, formatPopupValue(f.properties.v, 'fixed2')]);
+  new maplibregl.Popup({ offset: 10, className: 'geo-popup' })
+    .setLngLat(e.lngLat).setDOMContent(popupContent(rows)).addTo(map);
+  return true;
+}
+
+// Point display block under the map legend, for the group the pane edits
+function renderPointDisplayLegend() {
+  const container = document.getElementById('map-legend-points');
+  if (!container) return;
+  container.innerHTML = '';
+  const prefix = activeLayerPrefix();
+  const display = pointDisplays.get(prefix);
+  const settings = resultLayers[activeLayerIdx]?.style || styleSettings;
+  if (!display || display === 'points') return;
+
+  const weight = weightColumn(settings);
+  const header = document.createElement('div');
+  header.className = 'ml-header';
+  document.getElementById('map-legend').style.display = 'block';
+  const title = { heatmap: 'Heatmap', hexbin: 'Hexbins', cluster: 'Clusters' }[display];
+  const subtitle = display === 'cluster' ? 'click to expand' : weight ? `Σ ${weight}` : 'point count';
+  header.innerHTML = html`<span class="ml-title">${title}</span><span class="ml-subtitle">${subtitle}</span>`;
+  container.appendChild(header);
+
+  if (display === 'heatmap') {
+    const bar = document.createElement('div');
+    bar.className = 'legend-gradient-bar';
+    bar.style.background = `linear-gradient(to right, ${interpolateRampToN(getRamp(settings), 5).join(',')})`;
+    const labels = document.createElement('div');
+    labels.className = 'legend-gradient-labels';
+    labels.innerHTML = html`<span>sparse</span><span>dense</span>`;
+    container.append(bar, labels);
+  } else if (display === 'cluster') {
+    const ramp = interpolateRampToN(getRamp(settings), 3);
+    const list = document.createElement('div');
+    list.className = 'ml-breaks';
+    ['< 100', '100 – 999', '1,000 +'].forEach((label, i) => {
+      const row = document.createElement('div');
+      row.className = 'ml-cat-row';
+      row.innerHTML = html`<div class="ml-swatch" style="background:${ramp[i]}"></div><span class="ml-label">${label} points</span>`;
+      list.appendChild(row);
+    });
+    container.appendChild(list);
+  } else if (display === 'hexbin') {
+    const fc = hexbinCache.get(prefix)?.fc;
+    if (!fc) return; // still aggregating — addHexbinLayer renders it again
+    const { breaks, ramp } = hexbinClasses(settings, fc);
+    const list = document.createElement('div');
+    list.className = 'ml-breaks';
+    ramp.forEach((color, i) => {
+      if (breaks[i + 1] === undefined) return;
+      const row = document.createElement('div');
+      row.className = 'ml-cat-row';
+      row.innerHTML = html`<div class="ml-swatch" style="background:${color}"></div>
+        <span class="ml-label">${fmtNum(breaks[i])} – ${i < ramp.length - 1 ? '< ' : ''}${fmtNum(breaks[i + 1])}</span>`;
+      list.appendChild(row);
+    });
+    container.appendChild(list);
   }
-  if (map.getLayer('query-points')) {
-    map.setPaintProperty('query-points', 'circle-color', match);
-    map.setPaintProperty('query-points', 'circle-opacity', opacity);
+}
+
+
+/* ============================================================
+   LABELS — data-driven text on result layers
+   ============================================================
+   One symbol layer per geometry kind of a group: points (anchored
+   around the circle), lines (along the line or at its middle) and
+   polygons, labelled at a point inside each polygon — worked out in JS
+   for GeoJSON results and by ST_PointOnSurface for tiles (their
+   'labels' source-layer). Labels are part of the group's style, so
+   they follow basemap switches, render modes and legend filters, and
+   MapLibre draws them into the canvas the PNG export reads.
+   ============================================================ */
+const LABEL_SUFFIXES = ['label-points', 'label-lines', 'label-polygons'];
+// Served by every basemap's glyphs (see BASEMAPS)
+const LABEL_FONT = ['Noto Sans Regular'];
+// Point placement → [text-anchor, text-offset in ems]
+const LABEL_POINT_PLACEMENTS = {
+  above: ['bottom', [0, -0.8]],
+  below: ['top', [0, 0.8]],
+  right: ['left', [0.8, 0]],
+  center: ['center', [0, 0]],
+};
+// 'auto' tries these in turn and takes the first that doesn't collide
+const LABEL_AUTO_ANCHORS = ['bottom', 'top', 'left', 'right', 'bottom-left', 'bottom-right', 'top-left', 'top-right'];
+
+const labelPointCache = new WeakMap();   // polygon feature → its label point feature
+
+function applyLabels(prefix, settings) {
+  removeLabelLayers(prefix);
+  const col = settings.labelCol;
+  if (!col || !currentCols.includes(col) || !map.getLayer(`${prefix}-points`)) return;
+  if (prefix.startsWith('query')) ensureMapColumns([col]);
+
+  const overlap = settings.labelCollision === 'overlap';
+  const layout = {
+    'text-field': labelTextExpression(col, settings.labelFormat),
+    'text-font': LABEL_FONT,
+    'text-size': settings.labelSize,
+    'text-max-width': 10,
+    'text-allow-overlap': overlap,
+    'text-ignore-placement': overlap,
+  };
+  const paint = {
+    'text-color': settings.labelColor,
+    'text-halo-color': settings.labelHaloColor,
+    'text-halo-width': settings.labelHalo,
+    'text-halo-blur': 0.5,
+  };
+  const before = beforeSelectionLayer();
+  const [anchor, offset] = LABEL_POINT_PLACEMENTS[settings.labelPointPlacement] || [];
+  map.addLayer({
+    id: `${prefix}-label-points`, type: 'symbol', ...layerSourceOf(`${prefix}-points`), paint,
+    layout: {
+      ...layout,
+      ...(anchor ? { 'text-anchor': anchor, 'text-offset': offset }
+        : { 'text-variable-anchor': LABEL_AUTO_ANCHORS, 'text-radial-offset': 0.8, 'text-justify': 'auto' }),
+    },
+  }, before);
+  map.addLayer({
+    id: `${prefix}-label-lines`, type: 'symbol', ...layerSourceOf(`${prefix}-lines`), paint,
+    layout: {
+      ...layout,
+      'symbol-placement': settings.labelLinePlacement === 'center' ? 'line-center' : 'line',
+      'symbol-spacing': 300,
+      'text-max-angle': 35,
+    },
+  }, before);
+
+  // Polygons: one label point each (a GeoJSON source of them, or the tiles' own)
+  let source;
+  if (lastMapData?.tiled) source = { source: `${prefix}-tiles`, 'source-layer': 'labels' };
+  else {
+    const group = lastMapData?.groups.find(g => g.prefix === prefix);
+    if (!group) return;
+    map.addSource(`${prefix}-labels-src`, { type: 'geojson', data: polygonLabelFC(group.pols) });
+    source = { source: `${prefix}-labels-src` };
   }
-  if (map.getLayer('query-lines')) {
-    map.setPaintProperty('query-lines', 'line-color', match);
-    map.setPaintProperty('query-lines', 'line-opacity', opacity);
+  map.addLayer({ id: `${prefix}-label-polygons`, type: 'symbol', ...source, layout, paint }, before);
+  setLayerGroupVisibility(prefix, resultLayers.find(l => l.prefix === prefix)?.visible !== false);
+}
+
+function removeLabelLayers(prefix) {
+  LABEL_SUFFIXES.forEach(s => { if (map.getLayer(`${prefix}-${s}`)) map.removeLayer(`${prefix}-${s}`); });
+  if (map.getSource(`${prefix}-labels-src`)) map.removeSource(`${prefix}-labels-src`);
+}
+
+// Label text in one of the popup NUMBER_FORMATS — numbers only, anything else as is
+function labelTextExpression(col, format) {
+  const v = ['get', col];
+  const fixed = (x, digits) => ['number-format', x, { 'min-fraction-digits': digits, 'max-fraction-digits': digits }];
+  const formats = {
+    integer: fixed(v, 0),
+    fixed1: fixed(v, 1),
+    fixed2: fixed(v, 2),
+    percent: ['concat', ['number-format', ['*', v, 100], { 'max-fraction-digits': 1 }], '%'],
+    compact: ['case',
+      ['>=', ['abs', v], 1e9], ['concat', ['number-format', ['/', v, 1e9], { 'max-fraction-digits': 1 }], 'B'],
+      ['>=', ['abs', v], 1e6], ['concat', ['number-format', ['/', v, 1e6], { 'max-fraction-digits': 1 }], 'M'],
+      ['>=', ['abs', v], 1e3], ['concat', ['number-format', ['/', v, 1e3], { 'max-fraction-digits': 1 }], 'K'],
+      ['number-format', v, { 'max-fraction-digits': 1 }]],
+  };
+  const text = ['to-string', ['coalesce', v, '']];
+  return formats[format] ? ['case', ['==', ['typeof', v], 'number'], formats[format], text] : text;
+}
+
+// Label points of a group's polygons, sharing each polygon's properties
+function polygonLabelFC(pols) {
+  const features = [];
+  pols.features.forEach(f => {
+    let point = labelPointCache.get(f);
+    if (point === undefined) {
+      const coords = polygonLabelPoint(f.geometry);
+      point = coords ? { type: 'Feature', geometry: { type: 'Point', coordinates: coords }, properties: f.properties } : null;
+      labelPointCache.set(f, point);
+    }
+    if (point) features.push(point);
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// A point inside the largest part of a polygon: its outer ring's centroid when
+// that falls inside the part, otherwise the middle of the widest span across
+// the part at the centroid's latitude
+function polygonLabelPoint(geometry) {
+  const parts = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+  let part = null, largest = 0, centroid = null;
+  parts.forEach(p => {
+    const ring = p[0] || [];
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      a += cross;
+      cx += (ring[j][0] + ring[i][0]) * cross;
+      cy += (ring[j][1] + ring[i][1]) * cross;
+    }
+    if (Math.abs(a) > largest) { largest = Math.abs(a); part = p; centroid = [cx / (3 * a), cy / (3 * a)]; }
+  });
+  if (!part) return parts[0]?.[0]?.[0] || null;
+  const inside = pointInRing(centroid, part[0]) && !part.slice(1).some(hole => pointInRing(centroid, hole));
+  if (inside) return centroid;
+  const y = centroid[1];
+  const xs = [];
+  part.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [x1, y1] = ring[j], [x2, y2] = ring[i];
+      if ((y1 > y) !== (y2 > y)) xs.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+    }
+  });
+  xs.sort((a, b) => a - b);
+  let span = null;
+  for (let k = 0; k + 1 < xs.length; k += 2) {
+    if (!span || xs[k + 1] - xs[k] > span[1] - span[0]) span = [xs[k], xs[k + 1]];
   }
+  return span ? [(span[0] + span[1]) / 2, y] : part[0][0];
 }
 
 /* ============================================================
@@ -1628,7 +5909,7 @@ function renderInteractiveLegend() {
     title.textContent = 'Features';
     const row = document.createElement('div');
     row.className = 'ml-cat-row';
-    row.innerHTML = `<div class="ml-swatch" style="background:${styleSettings.singleColor}"></div>
+    row.innerHTML = html`<div class="ml-swatch" style="background:${styleSettings.singleColor}"></div>
                      <span class="ml-label">All features</span>`;
     inner.appendChild(title);
     inner.appendChild(row);
@@ -1640,6 +5921,14 @@ function renderInteractiveLegend() {
 
   if (mode === 'graduated') {
     renderGraduatedInteractiveLegend(inner, col);
+  } else if (mode === 'proportional' || mode === 'bivariate') {
+    const block = mode === 'proportional' ? buildSizeLegend() : buildBivariateLegend();
+    if (!block) { card.style.display = 'none'; return; }
+    const header = document.createElement('div');
+    header.className = 'ml-header';
+    header.innerHTML = html`<span class="ml-title">${mode === 'proportional' ? col : `${col} × ${styleSettings.col2}`}</span>
+      <span class="ml-subtitle">${mode === 'proportional' ? (styleSettings.sizeScale === 'linear' ? 'linear' : '√ area') : 'tertiles'}</span>`;
+    inner.append(header, block);
   } else {
     renderCategoricalInteractiveLegend(inner, col);
   }
@@ -1647,17 +5936,17 @@ function renderInteractiveLegend() {
 
 /* ── Categorical: click-to-toggle rows ─────────────────────── */
 function renderCategoricalInteractiveLegend(container, col) {
-  const unique = sortedCategoricalValues(col);
+  const cats = categoryColors(col);
+  const unique = cats.values;
   // Precompute counts in one O(n) pass instead of O(n×k) repeated filters
   const countMap = new Map();
-  currentRows.forEach(r => {
-    const v = r[col];
+  columnValues(col).forEach(v => {
     if (v != null) countMap.set(v, (countMap.get(v) || 0) + 1);
   });
 
   const header = document.createElement('div');
   header.className = 'ml-header';
-  header.innerHTML = `<span class="ml-title">${col}</span>
+  header.innerHTML = html`<span class="ml-title">${col}</span>
     <button class="ml-reset" title="Show all categories">Reset</button>`;
   header.querySelector('.ml-reset').onclick = () => {
     hiddenCategories.clear();
@@ -1669,12 +5958,12 @@ function renderCategoricalInteractiveLegend(container, col) {
   list.className = 'ml-cat-list';
 
   unique.forEach((val, i) => {
-    const color = CATEGORICAL_PALETTE[i % CATEGORICAL_PALETTE.length];
+    const color = cats.colors[i] || OTHER_COLOR;
     const hidden = hiddenCategories.has(val);
     const row = document.createElement('div');
     row.className = `ml-cat-row${hidden ? ' ml-hidden' : ''}`;
     row.title = hidden ? 'Click to show' : 'Click to hide';
-    row.innerHTML = `
+    row.innerHTML = html`
       <div class="ml-swatch" style="background:${hidden ? '#555' : color}"></div>
       <span class="ml-label">${String(val)}</span>
       <span class="ml-count">${countMap.get(val) || 0}</span>`;
@@ -1692,32 +5981,33 @@ function renderCategoricalInteractiveLegend(container, col) {
   container.appendChild(header);
   container.appendChild(list);
 
-  if (unique.length > 12) {
+  const colorNote = categoryColorNote(cats);
+  if (unique.length > 12 || colorNote) {
     const note = document.createElement('div');
     note.className = 'ml-note';
-    note.textContent = `${unique.length} categories · scroll for more`;
+    note.textContent = [unique.length > 12 ? `${unique.length} categories · scroll for more` : '', colorNote].filter(Boolean).join(' · ');
     container.appendChild(note);
   }
 }
 
-function applyCategoricalFilter(col, unique) {
-  const visible = unique.filter(v => !hiddenCategories.has(v));
-  if (visible.length === unique.length) setLayerFilter(null);
-  else if (visible.length === 0) setLayerFilter(['boolean', false]);
+function applyCategoricalFilter(col, unique, hidden = hiddenCategories, prefix = activeLayerPrefix()) {
+  const visible = unique.filter(v => !hidden.has(v));
+  if (visible.length === unique.length) setLayerFilter(null, prefix);
+  else if (visible.length === 0) setLayerFilter(['boolean', false], prefix);
   // Same to-string coercion so numeric-column toggles work correctly
-  else setLayerFilter(['match', ['to-string', ['get', col]], visible.map(String), true, false]);
+  else setLayerFilter(['match', ['to-string', ['get', col]], visible.map(String), true, false], prefix);
 }
 
 /* ── Graduated: draggable range + ghost overlays ───────────── */
 function renderGraduatedInteractiveLegend(container, col) {
   const values = legendAllValues.length ? legendAllValues
-    : currentRows.map(r => Number(r[col])).filter(v => isFinite(v)).sort((a, b) => a - b);
+    : numericColumnValues(col).sort((a, b) => a - b);
   if (!values.length) return;
 
   const absMin = values[0];
   const absMax = values[values.length - 1];
-  const n = styleSettings.nClasses;
-  const breaks = legendBreaks.length ? legendBreaks : getBreaks(values, styleSettings.method, n);
+  const breaks = legendBreaks.length ? legendBreaks : classBreaks(values);
+  const n = breaks.length - 1;
   const ramp = interpolateRampToN(getRamp(), n);
 
   if (!legendFilterRange) legendFilterRange = [absMin, absMax];
@@ -1725,8 +6015,8 @@ function renderGraduatedInteractiveLegend(container, col) {
 
   const header = document.createElement('div');
   header.className = 'ml-header';
-  header.innerHTML = `<span class="ml-title">${col}</span>
-    <span class="ml-subtitle">${styleSettings.method} · ${n} classes</span>
+  header.innerHTML = html`<span class="ml-title">${col}</span>
+    <span class="ml-subtitle">${METHOD_LABELS[styleSettings.method] || styleSettings.method} · ${n} ${n === 1 ? 'class' : 'classes'}</span>
     <button class="ml-reset" title="Reset filter">Reset Filter</button>`;
   header.querySelector('.ml-reset').onclick = () => {
     legendFilterRange = [absMin, absMax];
@@ -1780,7 +6070,7 @@ function renderGraduatedInteractiveLegend(container, col) {
   // Readout
   const readout = document.createElement('div');
   readout.className = 'ml-readout';
-  readout.innerHTML = `<span class="ml-val ml-val-min">${fmtNum(selMin)}</span>
+  readout.innerHTML = html`<span class="ml-val ml-val-min">${fmtNum(selMin)}</span>
                        <span class="ml-val-sep">to</span>
                        <span class="ml-val ml-val-max">${fmtNum(selMax)}</span>`;
 
@@ -1858,7 +6148,7 @@ function renderGraduatedInteractiveLegend(container, col) {
   for (let i = 0; i < n; i++) {
     const row = document.createElement('div');
     row.className = 'ml-cat-row';
-    row.innerHTML = `<div class="ml-swatch" style="background:${ramp[i]}"></div>
+    row.innerHTML = html`<div class="ml-swatch" style="background:${ramp[i]}"></div>
                      <span class="ml-label">${fmtNum(breaks[i])} – ${i < n - 1 ? '< ' : ''}${fmtNum(breaks[i + 1])}</span>`;
     breakList.appendChild(row);
   }
@@ -1871,78 +6161,462 @@ function renderGraduatedInteractiveLegend(container, col) {
   container.appendChild(breakList);
 }
 
-function valueToPercent(val, min, max) {
-  if (max === min) return 0;
-  return Math.max(0, Math.min(100, ((val - min) / (max - min)) * 100));
+function valueToPercent(val, min, max) {
+  if (max === min) return 0;
+  return Math.max(0, Math.min(100, ((val - min) / (max - min)) * 100));
+}
+
+function applyRangeFilter(col, min, max, prefix = activeLayerPrefix()) {
+  const filter = ['all', ['>=', ['get', col], min], ['<=', ['get', col], max]];
+  setLayerFilter(filter, prefix);
+}
+
+/* ============================================================
+   SELECTION SYNC (map ↔ table)
+   ============================================================ */
+function syncSelection() {
+  if (map?.getSource('selected-src')) {
+    // Highlight the row's geometry in every visible layer group
+    const selFeats = [];
+    selectedIds.forEach(id => {
+      resultLayers.forEach(l => {
+        const gv = l.visible && getCell(id, l.col);
+        if (!gv) return;
+        try { selFeats.push({ type: 'Feature', geometry: JSON.parse(typeof gv === 'string' ? gv : String(gv)), properties: { __id: id } }); }
+        catch { }
+      });
+    });
+    map.getSource('selected-src').setData({ type: 'FeatureCollection', features: selFeats });
+  }
+  renderSelectionBar();
+  document.querySelectorAll('#results-table tbody tr[data-rid]').forEach(tr => {
+    const rid = Number(tr.dataset.rid);
+    const sel = selectedIds.has(rid);
+    tr.classList.toggle('row-selected', sel);
+    const cb = tr.querySelector('input[type=checkbox]');
+    if (cb) cb.checked = sel;
+  });
+}
+
+function selectFeatureFromMap(id) {
+  if (selectedIds.has(id)) selectedIds.delete(id); else selectedIds.add(id);
+  syncSelection();
+  scrollTableToRow(id);
+}
+
+/* ============================================================
+   BOX / LASSO SELECTION
+   ============================================================
+   Shift-drag draws a box; with the lasso tool on, a plain drag draws
+   a freehand lasso. Every live result feature in the area is added to
+   selectedIds — the box takes anything it touches, the lasso anything
+   with a vertex inside it (or that contains it).
+   ============================================================ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+let lassoActive = false;
+
+function setupAreaSelection() {
+  map.boxZoom.disable(); // shift-drag selects instead of zooming
+  const container = map.getCanvasContainer();
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.id = 'select-overlay';
+  const outline = document.createElementNS(SVG_NS, 'polygon');
+  svg.appendChild(outline);
+  container.appendChild(svg);
+
+  let pts = null, box = false;
+  const local = ev => {
+    const r = container.getBoundingClientRect();
+    return [ev.clientX - r.left, ev.clientY - r.top];
+  };
+  const ring = () => box ? boxRing(pts[0], pts[pts.length - 1]) : pts;
+  const move = ev => {
+    pts.push(local(ev));
+    outline.setAttribute('points', ring().map(p => p.join(',')).join(' '));
+  };
+  const up = () => {
+    document.removeEventListener('mousemove', move);
+    svg.style.display = 'none';
+    outline.setAttribute('points', '');
+    const area = ring();
+    pts = null;
+    const xs = area.map(p => p[0]), ys = area.map(p => p[1]);
+    if (Math.max(...xs) - Math.min(...xs) > 3 || Math.max(...ys) - Math.min(...ys) > 3) selectInArea(area, box);
+  };
+
+  map.on('mousedown', e => {
+    const ev = e.originalEvent;
+    if (drawMode || ev.button !== 0 || !(ev.shiftKey || lassoActive)) return;
+    e.preventDefault(); // keeps drag-pan from taking the gesture
+    box = ev.shiftKey;
+    pts = [[e.point.x, e.point.y]];
+    svg.style.display = 'block';
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', up, { once: true });
+  });
+
+  document.getElementById('lasso-tool').addEventListener('click', () => setLassoActive(!lassoActive));
+  document.getElementById('sel-invert-btn').addEventListener('click', invertSelection);
+  document.getElementById('sel-clear-btn').addEventListener('click', () => { selectedIds = new Set(); syncSelection(); });
+  document.getElementById('sel-table-btn').addEventListener('click', createTableFromSelection);
+}
+
+function setLassoActive(on) {
+  lassoActive = on;
+  if (on) setDrawMode(null);
+  document.getElementById('lasso-tool').classList.toggle('active', on);
+  document.getElementById('draw-hint').textContent = on ? 'Drag to lasso features · Shift-drag for a box' : '';
+  map.getCanvas().style.cursor = on ? 'crosshair' : '';
+}
+
+function boxRing([x0, y0], [x1, y1]) {
+  return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
 }
 
-function applyRangeFilter(col, min, max) {
-  const filter = ['all', ['>=', ['get', col], min], ['<=', ['get', col], max]];
-  setLayerFilter(filter);
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
 }
 
-/* ============================================================
-   SELECTION SYNC (map ↔ table)
-   ============================================================ */
-function syncSelection() {
-  if (map?.getSource('selected-src')) {
-    const selFeats = currentRows.filter(r => selectedIds.has(r.__id)).map(r => {
-      const gv = r[currentGeomCol];
-      if (!gv) return null;
-      try { return { type: 'Feature', geometry: JSON.parse(typeof gv === 'string' ? gv : String(gv)), properties: { __id: r.__id } }; }
-      catch { return null; }
-    }).filter(Boolean);
-    map.getSource('selected-src').setData({ type: 'FeatureCollection', features: selFeats });
+// Screen-space test of a rendered feature against the lasso
+function featureInLasso(geometry, lasso) {
+  const rings = [];
+  const stack = [geometry.coordinates];
+  while (stack.length) {
+    const item = stack.pop();
+    if (typeof item[0] === 'number') {
+      const p = map.project(item);
+      if (pointInRing([p.x, p.y], lasso)) return true;
+    } else if (typeof item[0]?.[0] === 'number') {
+      rings.push(item);
+      stack.push(...item);
+    } else stack.push(...item);
   }
-  document.querySelectorAll('#results-table tbody tr').forEach(tr => {
-    const rid = Number(tr.dataset.rid);
-    const sel = selectedIds.has(rid);
-    tr.classList.toggle('row-selected', sel);
-    const cb = tr.querySelector('input[type=checkbox]');
-    if (cb) cb.checked = sel;
+  // A polygon bigger than the lasso holds it without a vertex inside it
+  if (!geometry.type.includes('Polygon')) return false;
+  return rings.some(r => pointInRing(lasso[0], r.map(c => { const p = map.project(c); return [p.x, p.y]; })));
+}
+
+function selectInArea(area, isBox) {
+  const layers = queryLayerIds();
+  if (!layers.length) return;
+  const xs = area.map(p => p[0]), ys = area.map(p => p[1]);
+  const bbox = [[Math.min(...xs), Math.min(...ys)], [Math.max(...xs), Math.max(...ys)]];
+  let added = 0;
+  map.queryRenderedFeatures(bbox, { layers }).forEach(f => {
+    const id = f.properties.__id;
+    if (selectedIds.has(id) || (!isBox && !featureInLasso(f.geometry, area))) return;
+    selectedIds.add(id);
+    added++;
   });
+  syncSelection();
+  showToast(`${added.toLocaleString()} feature${added === 1 ? '' : 's'} added to the selection`);
 }
 
-function selectFeatureFromMap(id) {
-  if (selectedIds.has(id)) selectedIds.delete(id); else selectedIds.add(id);
+// Flip the selection within the rows the table currently shows (filters apply)
+function invertSelection() {
+  const shown = new Set(tableIds);
+  const next = new Set();
+  tableIds.forEach(id => { if (!selectedIds.has(id)) next.add(id); });
+  selectedIds.forEach(id => { if (!shown.has(id)) next.add(id); });
+  selectedIds = next;
   syncSelection();
-  const tr = document.querySelector(`#results-table tbody tr[data-rid="${id}"]`);
-  if (tr) tr.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+function renderSelectionBar() {
+  const bar = document.getElementById('selection-bar');
+  if (!bar) return;
+  bar.style.display = currentResult.numRows ? '' : 'none';
+  document.getElementById('selection-count').textContent = `${selectedIds.size.toLocaleString()} selected`;
+  document.getElementById('sel-clear-btn').disabled = !selectedIds.size;
+  document.getElementById('sel-table-btn').disabled = !selectedIds.size;
+}
+
+// Materialise the selected rows as a new table, stored like an imported GeoParquet file
+async function createTableFromSelection() {
+  if (!selectedIds.size || !conn || activeQuery) return;
+  const tableName = promptTableName('Name for the new table:', 'selection');
+  if (!tableName) return;
+  await runAsActiveQuery(async query => {
+    try {
+      const select = resultRowsSql(await ensureResultTable(), [...selectedIds].sort((a, b) => a - b));
+      const buf = await geoParquetBytes(select, `${tableName}_selection.parquet`, query);
+      await registerParquet(buf, tableName, true, {});
+      showToast(`Created "${tableName}" from ${selectedIds.size.toLocaleString()} selected rows`);
+    } catch (e) {
+      showError(query.cancelled ? 'Table creation cancelled.' : `Could not create table: ${e.message}`);
+    }
+  });
 }
 
 /* ============================================================
    QUERY HISTORY
    ============================================================ */
-function addToHistory(sql, success, rowCount, elapsed) {
-  queryHistory.unshift({ sql, success, rowCount, elapsed, timestamp: new Date() });
-  if (queryHistory.length > 20) queryHistory.pop();
+const HISTORY_RETENTION = [20, 100, 500, 1000, 5000, 0];   // entries kept; 0 = all
+const HISTORY_PAGE = 100;          // entries rendered at a time
+
+let historyRetention = 500;
+let historyFilter = { text: '', status: 'all', table: '', favorites: false };
+let historyShown = HISTORY_PAGE;
+let historyOpen = null;            // entry showing its full SQL
+const historySaves = new WeakMap(); // entry → its first idbPut, resolving to the id
+
+// Records from the 'history' store, moving over a pre-v2 list from the state store
+async function loadHistory() {
+  const retention = await idbGet('state', 'historyRetention');
+  if (HISTORY_RETENTION.includes(retention?.value)) historyRetention = retention.value;
+  document.getElementById('history-retention').value = historyRetention;
+  const legacy = await idbGet('state', 'history');
+  if (legacy?.value) {
+    for (const h of [...legacy.value].reverse()) {
+      await idbPut('history', {
+        sql: h.sql, status: h.status || (h.success ? 'success' : 'error'), rowCount: h.rowCount, elapsed: h.elapsed,
+        timestamp: new Date(h.timestamp).getTime(), tables: referencedTables(h.sql), favorite: false, message: null,
+      });
+    }
+    await idbDelete('state', 'history');
+  }
+  queryHistory = (await idbGetAll('history')).reverse();
+  renderHistory();
+}
+
+// status: 'success' | 'error' | 'cancelled'; message: the error text
+async function addToHistory(sql, status, rowCount, elapsed, message = null) {
+  const entry = { sql, status, rowCount, elapsed, timestamp: Date.now(), tables: referencedTables(sql), favorite: false, message };
+  queryHistory.unshift(entry);
+  const saving = idbPut('history', entry).then(id => (entry.id = id));
+  historySaves.set(entry, saving);
+  try { await saving; }
+  catch (e) { console.warn('Could not save history:', e); }
+  await pruneHistory();
   renderHistory();
-  idbPut('state', { key: 'history', value: queryHistory });
+}
+
+// The entry's key once its first save has settled — undefined when that failed
+async function historyId(entry) {
+  await historySaves.get(entry)?.catch(() => {});
+  return entry.id;
+}
+
+// Oldest entries past the retention go; favorites always stay
+async function pruneHistory() {
+  if (!historyRetention) return;
+  let kept = 0;
+  const drop = queryHistory.filter(h => !h.favorite && ++kept > historyRetention);
+  if (!drop.length) return;
+  queryHistory = queryHistory.filter(h => !drop.includes(h));
+  try {
+    for (const h of drop) {
+      const id = await historyId(h);
+      if (id != null) await idbDelete('history', id);
+    }
+  } catch (e) { console.warn('Could not prune history:', e); }
+}
+
+function historyStatus(entry) {
+  // Entries saved before 'status' existed only carry the success flag
+  return entry.status || (entry.success ? 'success' : 'error');
+}
+
+// Entries matching the search (every word, anywhere in the SQL, error or tables) and filters
+function filteredHistory() {
+  const words = historyFilter.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const table = historyFilter.table.toLowerCase();
+  return queryHistory.filter(h => {
+    if (historyFilter.favorites && !h.favorite) return false;
+    if (historyFilter.status !== 'all' && historyStatus(h) !== historyFilter.status) return false;
+    if (table && !(h.tables || []).some(t => t.toLowerCase() === table)) return false;
+    if (!words.length) return true;
+    const text = `${h.sql}\n${h.message || ''}\n${(h.tables || []).join(' ')}`.toLowerCase();
+    return words.every(w => text.includes(w));
+  });
 }
 
 function renderHistory() {
-  const container = document.getElementById('query-history');
-  if (!container) return;
-  Array.from(container.children).forEach(c => { if (!c.classList.contains('section-label')) c.remove(); });
-  queryHistory.forEach(entry => {
+  const list = document.getElementById('history-list');
+  if (!list) return;
+  renderHistoryTableFilter();
+  const entries = filteredHistory();
+  document.getElementById('history-count').textContent = entries.length === queryHistory.length
+    ? `${queryHistory.length}` : `${entries.length} / ${queryHistory.length}`;
+  list.innerHTML = '';
+  if (!entries.length) {
+    list.innerHTML = html`<div class="registry-empty">${queryHistory.length ? 'No queries match.' : 'Queries you run appear here.'}</div>`;
+    return;
+  }
+  const today = new Date().toDateString();
+  entries.slice(0, historyShown).forEach(entry => {
+    const status = historyStatus(entry);
+    const open = entry === historyOpen;
     const item = document.createElement('div');
-    item.className = `history-item ${entry.success ? 'success' : 'error'}`;
-    const timeStr = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    item.className = `history-item ${status}${open ? ' open' : ''}`;
+    const time = new Date(entry.timestamp);
+    const timeStr = time.toDateString() === today
+      ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+      : time.toLocaleDateString([], { month: 'short', day: 'numeric', year: '2-digit' });
     const preview = entry.sql.replace(/\s+/g, ' ').substring(0, 60);
-    item.innerHTML = `
+    item.innerHTML = html`
       <div class="history-status">
-        <div class="history-dot ${entry.success ? 'success' : 'error'}"></div>
+        <div class="history-dot ${status}"></div>
         <span style="font-family:var(--font-mono);font-size:9px;color:var(--text-secondary)">
-          ${entry.success ? `${entry.rowCount} rows · ${entry.elapsed}s` : 'ERROR'}
+          ${status === 'success' ? `${entry.rowCount} rows · ${entry.elapsed}s` : status === 'cancelled' ? `CANCELLED · ${entry.elapsed}s` : 'ERROR'}
         </span>
-        <span class="history-timestamp">${timeStr}</span>
+        <span class="history-timestamp" title="${time.toLocaleString()}">${timeStr}</span>
+        <button class="history-star${entry.favorite ? ' on' : ''}" title="${entry.favorite ? 'Remove from favorites' : 'Add to favorites — kept whatever the retention'}">${entry.favorite ? '★' : '☆'}</button>
       </div>
       <div class="history-preview">${preview}${entry.sql.length > 60 ? '…' : ''}</div>`;
+    if (open) {
+      const detail = document.createElement('div');
+      detail.className = 'history-detail';
+      detail.innerHTML = html`
+        <pre class="history-sql"></pre>
+        <div class="history-error"></div>
+        <div class="history-actions">
+          <button class="icon-btn" data-act="edit" title="Put this SQL in the editor">↩ Edit</button>
+          <button class="icon-btn" data-act="run" title="Put this SQL in the editor and run it">▶ Run again</button>
+          <button class="icon-btn danger" data-act="delete" title="Remove from history">✕</button>
+        </div>`;
+      detail.querySelector('.history-sql').textContent = entry.sql;
+      const error = detail.querySelector('.history-error');
+      if (entry.message) error.textContent = entry.message; else error.remove();
+      detail.addEventListener('click', e => {
+        e.stopPropagation();
+        const act = e.target.closest('[data-act]')?.dataset.act;
+        if (act === 'edit') loadHistorySql(entry);
+        else if (act === 'run') { loadHistorySql(entry); runQuery(); }
+        else if (act === 'delete') deleteHistoryEntry(entry);
+      });
+      item.appendChild(detail);
+    }
+    item.querySelector('.history-star').addEventListener('click', e => {
+      e.stopPropagation();
+      toggleHistoryFavorite(entry);
+    });
     item.addEventListener('click', () => {
-      editorView.dispatch({ changes: { from: 0, to: editorView.state.doc.length, insert: entry.sql } });
+      historyOpen = open ? null : entry;
+      renderHistory();
     });
-    container.appendChild(item);
+    item.addEventListener('dblclick', () => loadHistorySql(entry));
+    list.appendChild(item);
+  });
+  if (entries.length > historyShown) {
+    const more = document.createElement('button');
+    more.className = 'icon-btn history-more';
+    more.textContent = `Show ${Math.min(HISTORY_PAGE, entries.length - historyShown)} more of ${entries.length - historyShown}`;
+    more.addEventListener('click', () => { historyShown += HISTORY_PAGE; renderHistory(); });
+    list.appendChild(more);
+  }
+}
+
+// Table filter: every table any entry reads
+function renderHistoryTableFilter() {
+  const sel = document.getElementById('history-table');
+  const names = [...new Set(queryHistory.flatMap(h => h.tables || []))].sort((a, b) => a.localeCompare(b));
+  if (sel.dataset.names === names.join('\n')) return;
+  sel.dataset.names = names.join('\n');
+  sel.innerHTML = '';
+  sel.add(new Option('all tables', ''));
+  names.forEach(n => sel.add(new Option(n, n)));
+  sel.value = names.includes(historyFilter.table) ? historyFilter.table : '';
+  historyFilter.table = sel.value;
+}
+
+function loadHistorySql(entry) {
+  editorView.dispatch({ changes: { from: 0, to: editorView.state.doc.length, insert: entry.sql } });
+}
+
+async function toggleHistoryFavorite(entry) {
+  entry.favorite = !entry.favorite;
+  renderHistory();
+  try {
+    // Starred right after the run: wait for the first save to get the id
+    if (await historyId(entry) != null) await idbPut('history', entry);
+  } catch (e) { console.warn('Could not save history:', e); }
+  // Unstarring can push an old entry past the retention
+  if (!entry.favorite) { await pruneHistory(); renderHistory(); }
+}
+
+async function deleteHistoryEntry(entry) {
+  queryHistory = queryHistory.filter(h => h !== entry);
+  historyOpen = null;
+  renderHistory();
+  try {
+    const id = await historyId(entry);
+    if (id != null) await idbDelete('history', id);
+  } catch (e) { console.warn('Could not delete history entry:', e); }
+}
+
+// The entries shown, oldest first, as a runnable script
+function exportHistorySql() {
+  const entries = filteredHistory().reverse();
+  if (!entries.length) { showToast('No queries to export.'); return; }
+  const script = entries.map(h => {
+    const status = historyStatus(h);
+    const meta = [new Date(h.timestamp).toISOString(), status];
+    if (status === 'success') meta.push(`${h.rowCount} rows`, `${h.elapsed}s`);
+    if (h.favorite) meta.push('★');
+    const lines = [`-- ${meta.join(' · ')}`];
+    if (h.message) lines.push(`-- error: ${h.message.split('\n')[0]}`);
+    const sql = h.sql.trim();
+    lines.push(/;$/.test(sql) ? sql : `${sql};`);
+    return lines.join('\n');
+  }).join('\n\n');
+  downloadBlob(`${script}\n`, 'query_history.sql', 'application/sql');
+}
+
+function setupHistory() {
+  const search = document.getElementById('history-search');
+  search.addEventListener('input', () => {
+    historyFilter.text = search.value;
+    historyShown = HISTORY_PAGE;
+    renderHistory();
   });
+  const status = document.getElementById('history-status');
+  status.addEventListener('change', () => { historyFilter.status = status.value; historyShown = HISTORY_PAGE; renderHistory(); });
+  const table = document.getElementById('history-table');
+  table.addEventListener('change', () => { historyFilter.table = table.value; historyShown = HISTORY_PAGE; renderHistory(); });
+  const favs = document.getElementById('history-favorites');
+  favs.addEventListener('click', () => {
+    historyFilter.favorites = !historyFilter.favorites;
+    favs.classList.toggle('active', historyFilter.favorites);
+    favs.textContent = historyFilter.favorites ? '★' : '☆';
+    historyShown = HISTORY_PAGE;
+    renderHistory();
+  });
+  const retention = document.getElementById('history-retention');
+  HISTORY_RETENTION.forEach(n => retention.add(new Option(n ? `keep ${n.toLocaleString()}` : 'keep all', n)));
+  retention.value = historyRetention;
+  retention.addEventListener('change', async () => {
+    historyRetention = +retention.value;
+    await idbPut('state', { key: 'historyRetention', value: historyRetention });
+    await pruneHistory();
+    renderHistory();
+  });
+  document.getElementById('history-export').addEventListener('click', exportHistorySql);
+  renderHistory();
+}
+
+/* ============================================================
+   SAFE RENDERING
+   ============================================================
+   Table names, column names, attribute values and SQL all come from
+   loaded files, IndexedDB or shared links, so none of it is trusted.
+   Markup that mixes them in is built with html``, which escapes every
+   interpolated value; plain text goes in through textContent.
+   ============================================================ */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+// Tagged template: html`<span title="${name}">${name}</span>` — safe in text and quoted attributes
+function html(strings, ...values) {
+  return strings.reduce((out, s, i) => out + escapeHtml(values[i - 1]) + s);
 }
 
 /* ============================================================
@@ -1950,8 +6624,10 @@ function renderHistory() {
    ============================================================ */
 function setLoading(on) {
   const btn = document.getElementById('run-btn');
+  const stop = document.getElementById('stop-btn');
   const sp = document.getElementById('query-loading');
   if (btn) btn.disabled = on;
+  if (stop) stop.style.display = on ? '' : 'none';
   if (sp) sp.classList.toggle('visible', on);
 }
 
@@ -1997,10 +6673,310 @@ function injectPopupStyles() {
     .popup-row:last-child { border-bottom:none; }
     .popup-key { color:var(--text-secondary); }
     .popup-val { color:var(--text-primary);font-weight:500;text-align:right;word-break:break-all; }
+    .geo-tooltip { pointer-events:none; }
+    .geo-tooltip .popup-content { padding:6px 9px; }
   `;
   document.head.appendChild(s);
 }
 
+
+/* ============================================================
+   POPUP TEMPLATES — click popups and hover tooltips
+   ============================================================
+   A template picks which attribute columns appear in the click popup
+   and in the hover tooltip, each with its own label and number format,
+   plus computed expressions over the row (e.g. pop / area_km2). It is
+   keyed by the first loaded table the query reads and saved to
+   IndexedDB; a result that reads no loaded table keeps its template
+   for the session only. Values only ever reach the DOM as textContent.
+   ============================================================ */
+const NUMBER_FORMATS = {
+  auto: 'As is',
+  integer: '1,235',
+  fixed1: '1,234.6',
+  fixed2: '1,234.57',
+  percent: '12.3 %',
+  compact: '1.2K',
+};
+const NUMBER_FORMAT_OPTIONS = {
+  integer: { maximumFractionDigits: 0 },
+  fixed1: { minimumFractionDigits: 1, maximumFractionDigits: 1 },
+  fixed2: { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+  percent: { style: 'percent', maximumFractionDigits: 1 },
+  compact: { notation: 'compact', maximumFractionDigits: 1 },
+};
+
+let popupTemplates = {};      // table name → { fields: [{ col, label, format, popup, tooltip }], computed: [{ expr, … }] }
+let sessionTemplate = null;   // template of a result that reads no loaded table
+let hoverPopup = null;
+let hoverRid = null;          // row the tooltip currently shows
+const compiledExprs = new Map();
+
+// Template key of the current result: the first loaded table its SQL reads
+function resultTemplateKey() {
+  for (const name of referencedTables(resultBaseSql || currentSql)) {
+    const t = loadedTablesMeta.find(m => m.name.toLowerCase() === name.toLowerCase());
+    if (t) return t.name;
+  }
+  return null;
+}
+
+function currentPopupTemplate() {
+  const key = resultTemplateKey();
+  return key ? popupTemplates[key] || null : sessionTemplate;
+}
+
+function formatPopupValue(v, format = 'auto', col = null) {
+  if (v == null) return 'null';
+  const date = col && columnKind(col) === 'date' ? dateText(v) : null;
+  if (date) return date;
+  const n = typeof v === 'number' ? v : typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN;
+  if (NUMBER_FORMAT_OPTIONS[format] && isFinite(n)) return n.toLocaleString(undefined, NUMBER_FORMAT_OPTIONS[format]);
+  return typeof v === 'object' && !(v instanceof Date) ? JSON.stringify(v, (_, x) => typeof x === 'bigint' ? x.toString() : x) : String(v);
+}
+
+// [label, text] pairs for the popup or the tooltip. No template: the popup
+// lists every attribute and there is no tooltip.
+function popupRows(props, template, target) {
+  if (!template) {
+    return target === 'popup'
+      ? Object.entries(props).filter(([k]) => k !== '__id').map(([k, v]) => [k, formatPopupValue(v, 'auto', k)])
+      : [];
+  }
+  const rows = template.fields
+    .filter(f => f[target] && f.col in props)
+    .map(f => [f.label || f.col, formatPopupValue(props[f.col], f.format, f.col)]);
+  template.computed.filter(c => c[target]).forEach(c => {
+    let text;
+    try { text = formatPopupValue(evaluateExpression(c.expr, props), c.format); }
+    catch (e) { text = `error: ${e.message}`; }
+    rows.push([c.label || c.expr, text]);
+  });
+  return rows;
+}
+
+function popupContent(rows) {
+  const content = document.createElement('div');
+  content.className = 'popup-content';
+  rows.forEach(([label, text]) => {
+    const row = document.createElement('div');
+    row.className = 'popup-row';
+    const key = document.createElement('span');
+    key.className = 'popup-key'; key.textContent = label;
+    const val = document.createElement('span');
+    val.className = 'popup-val'; val.textContent = text;
+    row.append(key, val);
+    content.appendChild(row);
+  });
+  return content;
+}
+
+// Tooltip for the live feature under the cursor — only when the template has tooltip fields
+function showHoverTooltip(feature, lngLat) {
+  const live = feature?.layer.id.startsWith('query');
+  const template = live ? currentPopupTemplate() : null;
+  if (!template?.fields.some(f => f.tooltip) && !template?.computed.some(c => c.tooltip)) {
+    hideHoverTooltip();
+    return;
+  }
+  const rid = feature.properties.__id;
+  if (!hoverPopup) {
+    hoverPopup = new maplibregl.Popup({ closeButton: false, closeOnClick: false, offset: 12, className: 'geo-popup geo-tooltip' });
+  }
+  if (rid !== hoverRid || !hoverPopup.isOpen()) {
+    hoverRid = rid;
+    hoverPopup.setDOMContent(popupContent(popupRows(getRowProps(rid), template, 'tooltip')));
+  }
+  hoverPopup.setLngLat(lngLat);
+  if (!hoverPopup.isOpen()) hoverPopup.addTo(map);
+}
+
+function hideHoverTooltip() {
+  hoverPopup?.remove();
+  hoverRid = null;
+}
+
+/* ---- computed expressions ----
+   Columns (bare or "quoted"), numbers, 'strings', + - * / %, || to join
+   text, parentheses and a few functions. Parsed into closures rather
+   than handed to eval, so a template can never run script. NULL in,
+   NULL out, as in SQL. */
+const EXPR_FUNCS = {
+  round: (x, n = 0) => x == null ? null : Math.round(Number(x) * 10 ** n) / 10 ** n,
+  abs: x => x == null ? null : Math.abs(Number(x)),
+  upper: s => s == null ? null : String(s).toUpperCase(),
+  lower: s => s == null ? null : String(s).toLowerCase(),
+  length: s => s == null ? null : String(s).length,
+  coalesce: (...args) => args.find(v => v != null) ?? null,
+};
+
+function evaluateExpression(expr, props) {
+  if (!compiledExprs.has(expr)) compiledExprs.set(expr, compileExpression(expr));
+  return compiledExprs.get(expr)(props);
+}
+
+// Parse an expression; with `cols`, unknown column names are rejected up front
+function compileExpression(src, cols = null) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|'((?:[^']|'')*)'|"((?:[^"]|"")+)"|([A-Za-z_]\w*)|(\|\||[-+*/%(),]))/iy;
+  while (re.lastIndex < src.length) {
+    if (/^\s*$/.test(src.slice(re.lastIndex))) break;
+    const at = re.lastIndex;
+    const m = re.exec(src);
+    if (!m) throw new Error(`unexpected "${src.slice(at).trim()[0]}"`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'str', value: m[2].replace(/''/g, "'") });
+    else if (m[3] !== undefined) tokens.push({ type: 'col', value: m[3].replace(/""/g, '"') });
+    else if (m[4] !== undefined) tokens.push({ type: 'name', value: m[4] });
+    else tokens.push({ type: 'op', value: m[5] });
+  }
+  let pos = 0;
+  const peek = v => tokens[pos]?.type === 'op' && tokens[pos].value === v;
+  const expect = v => { if (!peek(v)) throw new Error(`expected "${v}"`); pos++; };
+  const num = f => (a, b) => a == null || b == null ? null : f(Number(a), Number(b));
+  const BINARY = {
+    '||': (a, b) => a == null || b == null ? null : String(a) + String(b),
+    '+': num((a, b) => a + b),
+    '-': num((a, b) => a - b),
+    '*': num((a, b) => a * b),
+    '/': num((a, b) => b === 0 ? null : a / b),
+    '%': num((a, b) => b === 0 ? null : a % b),
+  };
+  const binary = (ops, next) => () => {
+    let left = next();
+    while (ops.some(peek)) {
+      const f = BINARY[tokens[pos++].value];
+      const l = left, r = next();
+      left = row => f(l(row), r(row));
+    }
+    return left;
+  };
+  const column = name => {
+    if (cols && !cols.includes(name)) throw new Error(`unknown column "${name}"`);
+    return row => mapValue(row[name] ?? null);
+  };
+  const primary = () => {
+    const t = tokens[pos++];
+    if (!t) throw new Error('unexpected end of expression');
+    if (t.type === 'num' || t.type === 'str') return () => t.value;
+    if (t.type === 'col') return column(t.value);
+    if (t.type === 'name' && peek('(')) {
+      const f = EXPR_FUNCS[t.value.toLowerCase()];
+      if (!f) throw new Error(`unknown function ${t.value}()`);
+      pos++;
+      const args = [];
+      if (!peek(')')) do { args.push(concat()); } while (peek(',') && ++pos);
+      expect(')');
+      return row => f(...args.map(a => a(row)));
+    }
+    if (t.type === 'name') return /^null$/i.test(t.value) ? () => null : column(t.value);
+    if (t.value === '(') { const inner = concat(); expect(')'); return inner; }
+    if (t.value === '-') { const operand = primary(); return row => { const v = operand(row); return v == null ? null : -Number(v); }; }
+    throw new Error(`unexpected "${t.value}"`);
+  };
+  const term = binary(['*', '/', '%'], primary);
+  const sum = binary(['+', '-'], term);
+  const concat = binary(['||'], sum);
+  if (!tokens.length) throw new Error('empty expression');
+  const fn = concat();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}"`);
+  return fn;
+}
+
+/* ---- template editor ---- */
+function openPopupTemplateEditor() {
+  if (!currentCols.length) return;
+  const key = resultTemplateKey();
+  const template = currentPopupTemplate();
+  const cols = currentCols.filter(c => !currentGeomCols.includes(c));
+  const modal = document.getElementById('popup-template-modal');
+  document.getElementById('popup-template-title').textContent = key
+    ? `Popup template · ${key}`
+    : 'Popup template · this result only (the query reads no loaded table)';
+
+  const fieldList = document.getElementById('popup-template-fields');
+  fieldList.innerHTML = '';
+  const fields = cols.map(col => {
+    const saved = template?.fields.find(f => f.col === col);
+    const name = document.createElement('span');
+    name.className = 'popup-template-col'; name.textContent = col; name.title = col;
+    const row = templateEditorRow(name, saved || { label: '', format: 'auto', popup: !template, tooltip: false });
+    fieldList.appendChild(row.el);
+    return { col, read: row.read };
+  });
+
+  const exprList = document.getElementById('popup-template-exprs');
+  exprList.innerHTML = '';
+  let exprs = [];
+  const addExpr = (c = { expr: '', label: '', format: 'auto', popup: true, tooltip: false }) => {
+    const input = document.createElement('input');
+    input.type = 'text'; input.className = 'popup-template-input popup-template-expr';
+    input.placeholder = 'pop / area_km2'; input.value = c.expr; input.spellcheck = false;
+    const row = templateEditorRow(input, c, () => { exprs = exprs.filter(x => x.input !== input); });
+    exprList.appendChild(row.el);
+    exprs.push({ input, read: row.read });
+  };
+  (template?.computed || []).forEach(addExpr);
+  document.getElementById('popup-template-add-expr').onclick = () => addExpr();
+  modal.style.display = 'flex';
+
+  const close = () => { modal.style.display = 'none'; };
+  const store = async next => {
+    if (key) {
+      if (next) popupTemplates[key] = next; else delete popupTemplates[key];
+      try { await idbPut('state', { key: 'popupTemplates', value: popupTemplates }); }
+      catch (e) { console.warn('Could not save popup templates:', e); }
+    } else sessionTemplate = next;
+    hideHoverTooltip();
+    close();
+  };
+  document.getElementById('popup-template-cancel').onclick = close;
+  document.getElementById('popup-template-reset').onclick = async () => {
+    await store(null);
+    showToast('Popup template reset — popups show every column');
+  };
+  document.getElementById('popup-template-save').onclick = async () => {
+    let valid = true;
+    const computed = exprs.filter(x => x.input.value.trim()).map(x => {
+      const expr = x.input.value.trim();
+      try { compileExpression(expr, cols); x.input.classList.remove('invalid'); x.input.title = ''; }
+      catch (e) { valid = false; x.input.classList.add('invalid'); x.input.title = e.message; }
+      return { expr, ...x.read() };
+    });
+    if (!valid) { showToast('Fix the highlighted expressions first'); return; }
+    await store({ fields: fields.map(f => ({ col: f.col, ...f.read() })), computed });
+    showToast(key ? `Popup template saved for ${key}` : 'Popup template applied to this result');
+  };
+}
+
+// One editor row: field / expression, label, format, popup + tooltip toggles
+function templateEditorRow(nameEl, settings, onRemove = null) {
+  const el = document.createElement('div');
+  el.className = 'popup-template-row';
+  const label = document.createElement('input');
+  label.type = 'text'; label.className = 'popup-template-input';
+  label.placeholder = 'label'; label.value = settings.label || '';
+  const format = document.createElement('select');
+  format.className = 'popup-template-format';
+  Object.entries(NUMBER_FORMATS).forEach(([value, text]) => format.add(new Option(text, value)));
+  format.value = settings.format || 'auto';
+  const popup = document.createElement('input');
+  popup.type = 'checkbox'; popup.checked = !!settings.popup; popup.title = 'Show in the click popup';
+  const tooltip = document.createElement('input');
+  tooltip.type = 'checkbox'; tooltip.checked = !!settings.tooltip; tooltip.title = 'Show in the hover tooltip';
+  const remove = document.createElement('button');
+  remove.className = 'icon-btn'; remove.textContent = '✕';
+  if (onRemove) {
+    remove.title = 'Remove expression';
+    remove.onclick = () => { el.remove(); onRemove(); };
+  } else remove.style.visibility = 'hidden';
+  el.append(nameEl, label, format, popup, tooltip, remove);
+  return {
+    el,
+    read: () => ({ label: label.value.trim(), format: format.value, popup: popup.checked, tooltip: tooltip.checked }),
+  };
+}
+
 /* ============================================================
    BASEMAP SWITCHER
    ============================================================ */
@@ -2023,70 +6999,100 @@ function switchBasemap(name) {
     map.setProjection({ type: 'globe' });
     if (lastMapData && currentGeomCol) {
       rehydrateMapLayers();
-      if (styleApplied) applyStyle(); // re-apply style silently
+      if (styleApplied) reapplyLayerStyles(); // re-apply styles + legend filters silently
     }
+    rehydratePinnedLayers();
+    renderDrawnShapes();
   });
 }
 
 function rehydrateMapLayers() {
   if (!lastMapData) return;
-  const { geojsonFC, pts, lns, pols } = lastMapData;
-  const empty = { type: 'FeatureCollection', features: [] };
+  lastMapData.groups.forEach(addLayerGroup);
+  addSelectionLayers();
+  resultLayers.forEach(l => setLayerGroupVisibility(l.prefix, l.visible));
+  syncSelection();
+}
 
-  map.addSource('query-result', { type: 'geojson', data: geojsonFC });
-  map.addSource('query-points-src', { type: 'geojson', data: pts });
-  map.addSource('query-lines-src', { type: 'geojson', data: lns });
-  map.addSource('query-polygons-src', { type: 'geojson', data: pols });
-  map.addSource('selected-src', { type: 'geojson', data: empty });
+/* ============================================================
+   SHARE LINKS — URL state codec
+   ============================================================
+   #state=<prefix><base64url payload>
+     'z' → deflate-raw compressed JSON (CompressionStream)
+     'j' → plain JSON, for browsers without CompressionStream
+   ============================================================ */
+function buildShareState() {
+  const c = map.getCenter();
+  // Top-level style / filters describe the primary geometry column; `layers` the extra ones
+  stashActiveLayer();
+  const [primary, ...extra] = resultLayers;
+  return {
+    v: 1,
+    sql: editorView.state.doc.toString().trim(),
+    style: styleApplied && primary ? { ...primary.style } : null,
+    hidden: primary ? primary.hidden.map(String) : [],
+    range: primary?.range ?? null,
+    layers: extra.map(l => ({
+      col: l.col, visible: l.visible, style: { ...l.style }, hidden: l.hidden.map(String), range: l.range,
+    })),
+    basemap: currentBasemap,
+    camera: {
+      center: [+c.lng.toFixed(5), +c.lat.toFixed(5)],
+      zoom: +map.getZoom().toFixed(2),
+      bearing: +map.getBearing().toFixed(1),
+      pitch: +map.getPitch().toFixed(1),
+    },
+  };
+}
 
-  map.addLayer({
-    id: 'query-polygons', type: 'fill', source: 'query-polygons-src',
-    paint: { 'fill-color': '#b45309', 'fill-opacity': 0.18 }
-  });
-  map.addLayer({
-    id: 'query-polygon-outline', type: 'line', source: 'query-polygons-src',
-    paint: { 'line-color': '#b45309', 'line-width': 1.5, 'line-opacity': 0.85 }
-  });
-  map.addLayer({
-    id: 'query-lines', type: 'line', source: 'query-lines-src',
-    paint: { 'line-color': '#3ddc84', 'line-width': 2, 'line-opacity': 0.9 }
-  });
-  map.addLayer({
-    id: 'query-points', type: 'circle', source: 'query-points-src',
-    paint: {
-      'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 4, 14, 8],
-      'circle-color': '#e8323c', 'circle-stroke-width': 1.2,
-      'circle-stroke-color': '#fff', 'circle-opacity': 0.85
-    }
-  });
-  map.addLayer({
-    id: 'selected-polygons', type: 'fill', source: 'selected-src',
-    filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
-    paint: { 'fill-color': '#f0e500', 'fill-opacity': 0.55 }
-  });
-  map.addLayer({
-    id: 'selected-polygon-outline', type: 'line', source: 'selected-src',
-    filter: ['any', ['==', ['geometry-type'], 'Polygon'], ['==', ['geometry-type'], 'MultiPolygon']],
-    paint: { 'line-color': '#ffe000', 'line-width': 2.5 }
-  });
-  map.addLayer({
-    id: 'selected-lines', type: 'line', source: 'selected-src',
-    filter: ['any', ['==', ['geometry-type'], 'LineString'], ['==', ['geometry-type'], 'MultiLineString']],
-    paint: { 'line-color': '#ffe000', 'line-width': 3.5 }
-  });
-  map.addLayer({
-    id: 'selected-points', type: 'circle', source: 'selected-src',
-    filter: ['any', ['==', ['geometry-type'], 'Point'], ['==', ['geometry-type'], 'MultiPoint']],
-    paint: {
-      'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 6, 14, 11],
-      'circle-color': '#ffe000', 'circle-stroke-width': 2,
-      'circle-stroke-color': '#000', 'circle-opacity': 1
-    }
-  });
+async function encodeShareState(state) {
+  let bytes = new TextEncoder().encode(JSON.stringify(state));
+  let prefix = 'j';
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    prefix = 'z';
+  }
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return prefix + btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decodeShareState(encoded) {
+  const prefix = encoded[0];
+  const b64 = encoded.slice(1).replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  let bytes = Uint8Array.from(bin, ch => ch.charCodeAt(0));
+  if (prefix === 'z') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else if (prefix !== 'j') {
+    throw new Error(`Unknown share encoding "${prefix}"`);
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function readShareStateFromURL() {
+  const m = /^#state=(.+)$/.exec(location.hash);
+  if (!m) return null;
+  try {
+    const state = await decodeShareState(m[1]);
+    return state?.sql ? state : null;
+  } catch (e) {
+    console.warn('Ignoring malformed share link:', e);
+    return null;
+  }
 }
 
-function copyShareURL() {
-  const url = `${location.origin}${location.pathname}`;
+async function copyShareURL() {
+  if (!map || !editorView) return;
+  let url;
+  try {
+    url = `${location.origin}${location.pathname}${location.search}#state=${await encodeShareState(buildShareState())}`;
+  } catch (e) {
+    showError(`Could not build share link: ${e.message}`);
+    return;
+  }
   navigator.clipboard.writeText(url).then(() => {
     showToast('Link copied to clipboard!');
   }).catch(() => {
@@ -2094,6 +7100,78 @@ function copyShareURL() {
   });
 }
 
+// Re-apply a shared style + legend filters once the shared query has rendered
+function applySharedView(state) {
+  (state.layers || []).forEach(saved => {
+    const l = resultLayers.find((x, i) => i > 0 && x.col === saved.col);
+    if (!l) return;
+    l.visible = saved.visible !== false;
+    if (saved.style) l.style = { ...DEFAULT_STYLE, ...saved.style };
+    const wanted = new Set((saved.hidden || []).map(String));
+    l.hidden = l.style.col ? sortedCategoricalValues(l.style.col).filter(v => wanted.has(String(v))) : [];
+    l.range = Array.isArray(saved.range) ? saved.range : null;
+    setLayerGroupVisibility(l.prefix, l.visible);
+    paintLayerGroup(l.prefix, l.style);
+    applyLayerGroupFilters(l);
+  });
+  renderLayerList();
+
+  // The primary group is the active one right after a query
+  if (state.style) {
+    styleSettings = { ...DEFAULT_STYLE, ...state.style };
+    syncStylePanelFromSettings();
+  }
+  applyStyle();
+  restoreLegendFilters(state.hidden, state.range);
+}
+
+// hidden: category values as strings; range: [min, max] or null
+function restoreLegendFilters(hidden, range) {
+  const col = styleSettings.col;
+  if (!col) return;
+  if (styleSettings.mode === 'categorical' && hidden?.length) {
+    const unique = sortedCategoricalValues(col);
+    const wanted = new Set(hidden.map(String));
+    hiddenCategories = new Set(unique.filter(v => wanted.has(String(v))));
+    applyCategoricalFilter(col, unique);
+    renderInteractiveLegend();
+  } else if (styleSettings.mode === 'graduated' && Array.isArray(range)) {
+    legendFilterRange = [range[0], range[1]];
+    applyRangeFilter(col, range[0], range[1]);
+    renderInteractiveLegend();
+  }
+}
+
+// Table names referenced after FROM / JOIN, in order (CTE names and table functions excluded)
+function referencedTables(sql) {
+  // Strip comments, string literals and FROM-taking functions (EXTRACT(YEAR FROM d) …)
+  sql = sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/\b(?:EXTRACT|TRIM|SUBSTRING|OVERLAY|POSITION)\s*\([^()]*\)/gi, '0');
+  const ctes = new Set();
+  for (const m of sql.matchAll(/(?:\bWITH|,)\s*(?:RECURSIVE\s+)?("([^"]+)"|[A-Za-z_]\w*)\s+AS\s*\(/gi))
+    ctes.add((m[2] || m[1]).toLowerCase());
+  const names = new Set();
+  for (const m of sql.matchAll(/\b(?:FROM|JOIN)\s+("([^"]+)"|[A-Za-z_][\w.]*)(\s*\()?/gi)) {
+    if (m[3]) continue; // table function, e.g. read_parquet(...)
+    const name = m[2] || m[1];
+    if (!ctes.has(name.toLowerCase()) && !name.includes('.')) names.add(name);
+  }
+  return [...names];
+}
+
+// Referenced tables that are not loaded
+function findMissingTables(sql) {
+  const loaded = new Set(loadedTablesMeta.map(t => t.name.toLowerCase()));
+  return referencedTables(sql).filter(n => !loaded.has(n.toLowerCase()));
+}
+
+function showMissingTablesPrompt(names) {
+  const list = names.map(n => `"${n}"`).join(', ');
+  showError(`Missing table${names.length > 1 ? 's' : ''} ${list} — load the matching file${names.length > 1 ? 's' : ''} from the Load Data panel, then run the query again.`);
+  showToast(`Load ${list} to run this query`);
+}
+
 function showToast(msg) {
   const existing = document.querySelector('.share-toast');
   if (existing) existing.remove();
@@ -2199,8 +7277,59 @@ function _downloadBlob(blob, filename) {
   setTimeout(() => URL.revokeObjectURL(url), 5000);
 }
 
+// Swatch + label list for a style over the current rows — used by the PNG
+// legend and frozen into pinned layers
+function legendItems(settings = styleSettings) {
+  const col = settings.col;
+  if (settings.mode === 'single')
+    return { title: 'All features', items: [{ color: settings.singleColor, label: 'All features' }] };
+  if (settings.mode === 'graduated' && col) {
+    const values = numericColumnValues(col);
+    if (!values.length) return { title: '', items: [] };
+    const breaks = classBreaks(values, settings);
+    const n = breaks.length - 1;
+    const ramp = interpolateRampToN(getRamp(settings), n);
+    return {
+      title: `${col} (${METHOD_LABELS[settings.method] || settings.method})`,
+      items: ramp.map((color, i) => ({
+        color,
+        label: `${fmtNum(breaks[i])} – ${i === n - 1 ? '' : '< '}${fmtNum(breaks[i + 1])}`
+      })),
+    };
+  }
+  if (settings.mode === 'proportional' && col) {
+    const scale = sizeScale(settings);
+    if (!scale) return { title: '', items: [] };
+    return {
+      title: symbolLegendTitle(settings), kind: 'size',
+      items: scale.steps.map(v => ({ color: settings.singleColor, label: fmtNum(v), radius: scale.radius(v) })),
+    };
+  }
+  if (settings.mode === 'bivariate' && col && settings.col2) {
+    const classes = bivariateClasses(settings);
+    if (!classes) return { title: '', items: [] };
+    return {
+      title: symbolLegendTitle(settings), kind: 'bivariate', x: col, y: settings.col2, colors: classes.colors,
+      // Flat list for pinned-layer legends: one row per cell
+      items: classes.colors.map((color, k) => ({
+        color, label: `${col} ${BIVARIATE_LEVELS[k % 3]} · ${settings.col2} ${BIVARIATE_LEVELS[Math.floor(k / 3)]}`,
+      })),
+    };
+  }
+  if (settings.mode === 'categorical' && col) {
+    const cats = categoryColors(col, settings);
+    return {
+      title: col,
+      items: cats.values.slice(0, 12).map((val, i) => ({
+        color: cats.colors[i],
+        label: String(val).slice(0, 24)
+      })),
+    };
+  }
+  return { title: '', items: [] };
+}
+
 function drawLegendOnCanvas(ctx, W, H) {
-  const mode = styleSettings.mode;
   if (!styleApplied) return;
 
   // Theme-aware colors — read from CSS custom properties
@@ -2216,42 +7345,31 @@ function drawLegendOnCanvas(ctx, W, H) {
   const PAD = 12;
   const ITEM_H = 20;
   const SWATCH = 14;
+  const CELL = 16;     // bivariate grid cell
+  const AXIS = 14;     // room for a bivariate axis label
   const FONT = '11px JetBrains Mono, monospace';
   const FONT_S = '9px JetBrains Mono, monospace';
 
-  let items = [];
-  let title = '';
-
-  if (mode === 'single') {
-    title = 'All features';
-    items = [{ color: styleSettings.singleColor, label: 'All features' }];
-  } else if (mode === 'graduated' && styleSettings.col) {
-    const values = currentRows.map(r => Number(r[styleSettings.col])).filter(v => isFinite(v));
-    if (!values.length) return;
-    const n = styleSettings.nClasses;
-    const breaks = getBreaks(values, styleSettings.method, n);
-    const ramp = interpolateRampToN(getRamp(), n);
-    title = `${styleSettings.col} (${styleSettings.method})`;
-    items = ramp.map((color, i) => ({
-      color,
-      label: `${fmtNum(breaks[i])} – ${i === n - 1 ? '' : '< '}${fmtNum(breaks[i + 1])}`
-    }));
-  } else if (mode === 'categorical' && styleSettings.col) {
-    const unique = sortedCategoricalValues(styleSettings.col).slice(0, 12);
-    title = styleSettings.col;
-    items = unique.map((val, i) => ({
-      color: CATEGORICAL_PALETTE[i % CATEGORICAL_PALETTE.length],
-      label: String(val).slice(0, 24)
-    }));
-  }
-
+  const legend = legendItems();
+  const { title, items } = legend;
   if (!items.length) return;
+  const bivariate = legend.kind === 'bivariate';
+  const sized = legend.kind === 'size';
+  const symbolW = sized ? Math.max(SWATCH, ...items.map(it => 2 * it.radius)) : SWATCH;
+  const rowH = it => sized ? Math.max(ITEM_H, 2 * it.radius + 6) : ITEM_H;
 
   // Box dimensions
-  ctx.font = FONT;
-  const maxLabelW = Math.max(...items.map(it => ctx.measureText(it.label).width), ctx.measureText(title).width);
-  const boxW = PAD * 2 + SWATCH + 8 + maxLabelW + 4;
-  const boxH = PAD + 16 + items.length * ITEM_H + PAD;
+  let boxW, boxH;
+  if (bivariate) {
+    ctx.font = FONT_S;
+    boxW = PAD * 2 + Math.max(AXIS + 3 * CELL + 60, ctx.measureText(title.toUpperCase()).width);
+    boxH = PAD + 16 + 3 * CELL + AXIS + PAD;
+  } else {
+    ctx.font = FONT;
+    const maxLabelW = Math.max(...items.map(it => ctx.measureText(it.label).width), ctx.measureText(title).width);
+    boxW = PAD * 2 + symbolW + 8 + maxLabelW + 4;
+    boxH = PAD + 16 + items.reduce((h, it) => h + rowH(it), 0) + PAD;
+  }
   const bx = PAD;
   const by = H - boxH - 36; // above attribution bar
 
@@ -2266,20 +7384,55 @@ function drawLegendOnCanvas(ctx, W, H) {
   ctx.font = FONT_S;
   ctx.fillText(title.toUpperCase(), bx + PAD, by + PAD + 9);
 
+  if (bivariate) {
+    // 3×3 grid, high Y at the top, with an axis label along each edge
+    const gx = bx + PAD + AXIS;
+    const gy = by + PAD + 16;
+    legend.colors.forEach((color, k) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(gx + (k % 3) * CELL, gy + (2 - Math.floor(k / 3)) * CELL, CELL - 1, CELL - 1);
+    });
+    ctx.fillStyle = COLORS.label;
+    ctx.font = FONT_S;
+    ctx.fillText(fitCanvasText(ctx, `${legend.x} →`, boxW - PAD * 2 - AXIS), gx, gy + 3 * CELL + 11);
+    ctx.save();
+    ctx.translate(bx + PAD + 9, gy + 3 * CELL);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(fitCanvasText(ctx, `${legend.y} →`, 3 * CELL), 0, 0);
+    ctx.restore();
+    return;
+  }
+
   // Items
-  items.forEach((item, i) => {
-    const iy = by + PAD + 16 + i * ITEM_H;
+  let iy = by + PAD + 16;
+  items.forEach(item => {
+    const h = rowH(item);
     ctx.fillStyle = item.color;
-    ctx.fillRect(bx + PAD, iy, SWATCH, SWATCH);
     ctx.strokeStyle = COLORS.border;
     ctx.lineWidth = 1;
-    ctx.strokeRect(bx + PAD, iy, SWATCH, SWATCH);
+    if (sized) {
+      ctx.beginPath();
+      ctx.arc(bx + PAD + symbolW / 2, iy + h / 2, item.radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    } else {
+      ctx.fillRect(bx + PAD, iy, SWATCH, SWATCH);
+      ctx.strokeRect(bx + PAD, iy, SWATCH, SWATCH);
+    }
     ctx.fillStyle = COLORS.label;
     ctx.font = FONT;
-    ctx.fillText(item.label, bx + PAD + SWATCH + 8, iy + 11);
+    ctx.fillText(item.label, bx + PAD + symbolW + 8, sized ? iy + h / 2 + 4 : iy + 11);
+    iy += h;
   });
 }
 
+// Shorten text with an ellipsis until it fits maxW at the current font
+function fitCanvasText(ctx, text, maxW) {
+  if (ctx.measureText(text).width <= maxW) return text;
+  while (text.length > 1 && ctx.measureText(text + '…').width > maxW) text = text.slice(0, -1);
+  return text + '…';
+}
+
 /* ============================================================
    THEME MANAGEMENT
    ============================================================ */
@@ -2409,12 +7562,24 @@ document.addEventListener('DOMContentLoaded', () => {
   injectPopupStyles();
   setupFileUpload();
   setupResizeHandles();
+  setupTableScroll();
+  maplibregl.addProtocol(TILE_PROTOCOL, loadResultTile);
+  document.getElementById('render-mode-select').addEventListener('change', applyRenderMode);
+  document.getElementById('filter-scope-btn').addEventListener('click', () => setFilterPushdown(!filterPushdown));
   document.getElementById('btn-demo').addEventListener('click', loadDemoData);
   document.getElementById('run-btn').addEventListener('click', runQuery);
+  document.getElementById('stop-btn').addEventListener('click', () => cancelQuery('stopped'));
   document.getElementById('export-csv-btn').addEventListener('click', exportCSV);
   document.getElementById('export-geojson-btn').addEventListener('click', exportGeoJSON);
-  document.getElementById('apply-style-btn').addEventListener('click', () => applyStyle());
+  document.getElementById('export-geoparquet-btn').addEventListener('click', exportGeoParquet);
+  document.getElementById('apply-style-btn').addEventListener('click', () => { applyStyle(); rememberLastStyle(); });
   document.getElementById('share-url-btn').addEventListener('click', copyShareURL);
+  document.getElementById('pin-layer-btn').addEventListener('click', pinCurrentResult);
+  document.getElementById('popup-template-btn').addEventListener('click', openPopupTemplateEditor);
+  setupPaletteManager();
+  setupStylePresets();
+  setupStyleExport();
+  setupHistory();
   document.getElementById('export-png-btn').addEventListener('click', exportMapPNG);
   document.getElementById('theme-toggle').addEventListener('click', () => {
     applyTheme(currentTheme === 'dark' ? 'light' : 'dark', true);
@@ -2423,10 +7588,29 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!confirm('Clear all saved tables and history from this browser?')) return;
     const tables = await idbGetAll('tables');
     for (const t of tables) await idbDelete('tables', t.name);
-    await idbDelete('state', 'history');
+    await idbClear('history');
+    await idbDelete('state', 'historyRetention');
     await idbDelete('state', 'lastQuery');
+    await idbDelete('state', 'pinnedLayers');
+    await idbClear('pinFeatures');
+    await idbDelete('state', 'popupTemplates');
+    await idbDelete('state', 'customPalettes');
+    await idbDelete('state', 'stylePresets');
     location.hash = '';
     location.reload();
   });
   init();
 });
+
+/* ============================================================
+   TEST SURFACE
+   ============================================================
+   The page never reads these. tests/ imports app.js under Node
+   (see tests/browser-env.mjs) and drives the renderers through
+   them with the crafted data in tests/fixtures/.
+   ============================================================ */
+export {
+  escapeHtml, html, loadedTablesMeta, renderTableRegistry, addToHistory,
+  resetResultStore, appendResultBatch, buildTableRow, renderCategoricalInteractiveLegend,
+  popupRows, popupContent,
+};
@@ -0,0 +1,103 @@
+/* ============================================================
+   BROWSER ENVIRONMENT — lets Node import js/app.js
+   ============================================================
+   app.js is a browser module: its imports are import-map bare
+   specifiers and CDN URLs, and it reaches for `document` as it
+   renders. Importing this file first (1) resolves every such
+   import to an inert stub module, and (2) installs a small DOM
+   that records each innerHTML / textContent it is handed, so a
+   test can drive the real renderers and inspect their output.
+   Needs module.register (Node 18.19 / 20.6 or later).
+   ============================================================ */
+import { register } from 'node:module';
+
+// Everything app.js imports by name from the editor packages; DuckDB is a namespace import
+const STUB = `
+export const basicSetup = [], keymap = { of: () => ({}) }, StandardSQL = {}, classHighlighter = {};
+export const sql = () => ({}), syntaxHighlighting = () => ({});
+export class EditorView {}
+export class Compartment { of() { return {}; } reconfigure() { return {}; } }
+export default {};`;
+
+const HOOKS = `
+const STUB_URL = ${JSON.stringify(`data:text/javascript,${encodeURIComponent(STUB)}`)};
+export async function resolve(specifier, context, next) {
+  const local = /^(node:|data:|file:|\\.{0,2}\\/)/.test(specifier);
+  return local ? next(specifier, context) : { url: STUB_URL, shortCircuit: true };
+}`;
+
+register(`data:text/javascript,${encodeURIComponent(HOOKS)}`);
+
+/* ---- Recording DOM ----
+   Only as much DOM as the renderers under test touch. Markup set through
+   innerHTML isn't parsed: querySelector hands out one child per selector,
+   so a renderer can fill and wire up the elements it expects to find. */
+export const markup = [];   // every innerHTML assigned, in order
+export const texts = [];    // every textContent / <option> text assigned
+
+class Element {
+  constructor(tag) {
+    this.tagName = tag.toUpperCase();
+    this.children = [];
+    this.parentElement = null;
+    this.dataset = {};
+    this.style = {};
+    this.listeners = {};
+    this.queried = new Map();
+    this.html = '';
+    this.text = '';
+    const classes = new Set();
+    this.classList = {
+      add: (...c) => c.forEach(x => classes.add(x)),
+      remove: (...c) => c.forEach(x => classes.delete(x)),
+      toggle: (c, on = !classes.has(c)) => (on ? classes.add(c) : classes.delete(c), on),
+      contains: c => classes.has(c),
+    };
+  }
+  set innerHTML(v) { this.html = String(v); this.replaceChildren(); this.queried.clear(); markup.push(this.html); }
+  get innerHTML() { return this.html; }
+  set textContent(v) { this.text = String(v); texts.push(this.text); }
+  get textContent() { return this.text; }
+  get firstElementChild() { return this.children[0] ?? null; }
+  get lastElementChild() { return this.children.at(-1) ?? null; }
+  get lastChild() { return this.lastElementChild; }
+  querySelector(sel) {
+    if (!this.queried.has(sel)) this.queried.set(sel, new Element('div'));
+    return this.queried.get(sel);
+  }
+  querySelectorAll() { return []; }
+  closest() { return null; }
+  appendChild(c) { c.parentElement = this; this.children.push(c); return c; }
+  append(...c) { c.forEach(x => this.appendChild(x)); }
+  replaceChildren(...c) { this.children = []; this.append(...c); }
+  removeChild(c) { this.children = this.children.filter(x => x !== c); return c; }
+  remove() { this.parentElement?.removeChild(this); }
+  add(option) { this.children.push(option); }   // <select>.add
+  setAttribute(name, value) { this[name] = String(value); }
+  addEventListener(type, fn) { (this.listeners[type] ??= []).push(fn); }
+  // Runs the element's own listeners, the way a user event reaching it would
+  dispatch(type) {
+    const event = { type, target: this, stopPropagation() {}, preventDefault() {} };
+    (this.listeners[type] || []).forEach(fn => fn(event));
+  }
+}
+
+class Option {
+  constructor(text = '', value = '') { this.text = String(text); this.value = value; texts.push(this.text); }
+}
+
+const byId = new Map();
+globalThis.Option = Option;
+globalThis.document = {
+  body: new Element('body'),
+  getElementById(id) {
+    if (!byId.has(id)) byId.set(id, new Element('div'));
+    return byId.get(id);
+  },
+  createElement: tag => new Element(tag),
+  createElementNS: (ns, tag) => new Element(tag),
+  createDocumentFragment: () => new Element('#fragment'),
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener() {},
+};
@@ -0,0 +1,124 @@
+/* ============================================================
+   SAFE RENDERING — regression test
+   Run: node --test tests/
+   ============================================================
+   Imports the real js/app.js (see browser-env.mjs for how its
+   browser imports and DOM are stood in for) and feeds the crafted
+   GeoJSON in fixtures/ — HTML / script payloads in its column
+   names and values — through the table registry, history,
+   results table, legend and popup renderers. Every innerHTML they
+   produce must tokenize to the renderers' own markup only.
+   DuckDB-WASM doesn't run under plain Node, so the fixture enters
+   where DuckDB hands a result over: as Arrow-shaped record batches.
+   ============================================================ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { markup, texts } from './browser-env.mjs';
+
+const app = await import('../js/app.js');
+
+const FIXTURE = JSON.parse(readFileSync(new URL('./fixtures/xss.geojson', import.meta.url), 'utf8'));
+const COLS = Object.keys(FIXTURE.features[0].properties);
+const ROWS = FIXTURE.features.map(f => f.properties);
+const PAYLOADS = [...new Set([...COLS, ...ROWS.flatMap(Object.values)])];
+const TABLE = "<img src=x onerror=alert('table')>";
+
+// Tags and attributes the renderers' templates use — anything else came from data
+const ALLOWED_TAGS = new Set(['div', 'span', 'button', 'pre']);
+const ALLOWED_ATTRS = new Set(['class', 'title', 'style', 'data-act']);
+
+// Splits markup into tags and text the way a parser would see them; a `<` left in
+// the text means something the tag pattern could not read — treated as markup too
+function tokenize(html) {
+  const TAG = /<\/?([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+  const ATTR = /([^\s"'>/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+  const tags = [];
+  for (const m of html.matchAll(TAG)) {
+    tags.push({ name: m[1].toLowerCase(), attrs: [...m[2].matchAll(ATTR)].map(a => a[1].toLowerCase()) });
+  }
+  return { tags, text: html.replace(TAG, '') };
+}
+
+function assertInert(html) {
+  const { tags, text } = tokenize(html);
+  for (const t of tags) {
+    assert.ok(ALLOWED_TAGS.has(t.name), `unexpected <${t.name}> in: ${html}`);
+    t.attrs.forEach(a => assert.ok(ALLOWED_ATTRS.has(a), `unexpected ${a}= on <${t.name}> in: ${html}`));
+  }
+  assert.ok(!text.includes('<'), `raw "<" outside a known tag in: ${html}`);
+}
+
+// Runs one render step and checks what it produced: all markup inert, and each
+// payload actually reached the page — escaped into markup or set as text
+function rendered(step, payloads) {
+  markup.length = 0;
+  texts.length = 0;
+  step();
+  markup.forEach(assertInert);
+  for (const p of payloads) {
+    const escaped = app.escapeHtml(p);
+    assert.ok(markup.some(m => m.includes(escaped)) || texts.some(t => t.includes(p)), `payload never rendered: ${p}`);
+  }
+}
+
+// The fixture as one Arrow record batch: numRows + getChild(col).get(i)
+function fixtureBatch() {
+  const vectors = new Map(COLS.map(c => [c, { get: i => ROWS[i][c] ?? null }]));
+  return { numRows: ROWS.length, getChild: c => vectors.get(c) ?? null };
+}
+
+test('the markup check rejects unescaped payloads', () => {
+  for (const p of PAYLOADS.filter(p => /[<"']/.test(p) && !p.startsWith('&'))) {
+    assert.throws(() => assertInert(`<div class="x" title="${p}">${p}</div>`));
+  }
+});
+
+test('escapeHtml and html escape every interpolated value', () => {
+  for (const p of PAYLOADS) {
+    assertInert(`<span>${app.escapeHtml(p)}</span>`);
+    assertInert(app.html`<div class="a" title="${p}"><span>${p}</span></div>`);
+  }
+  assert.equal(app.escapeHtml(`<&>"'`), '&lt;&amp;&gt;&quot;&#39;');
+});
+
+test('table registry', () => {
+  app.loadedTablesMeta.push({ name: TABLE, rowCount: ROWS.length, colCount: COLS.length, columns: COLS, crs: COLS[0], outOfBounds: true });
+  rendered(() => app.renderTableRegistry(), [TABLE, COLS[0]]);
+});
+
+test('results table', () => {
+  app.resetResultStore();
+  app.appendResultBatch(fixtureBatch());
+  rendered(() => ROWS.forEach((_, rid) => app.buildTableRow(rid, COLS)), ROWS.flatMap(Object.values));
+});
+
+test('categorical legend', () => {
+  rendered(() => {
+    for (const col of COLS) {
+      const container = document.createElement('div');
+      container.appendChild(document.createElement('button'));
+      app.renderCategoricalInteractiveLegend(container, col);
+    }
+  }, PAYLOADS);
+});
+
+test('popups, with and without a template', () => {
+  const template = { fields: COLS.map(col => ({ col, label: col, format: 'auto', popup: true })), computed: [] };
+  rendered(() => {
+    for (const props of ROWS) {
+      for (const rows of [app.popupRows(props, null, 'popup'), app.popupRows(props, template, 'popup')]) {
+        assert.equal(app.popupContent(rows).children.length, COLS.length);
+      }
+    }
+  }, PAYLOADS);
+});
+
+test('query history, folded and opened', async () => {
+  const sql = `SELECT ${COLS.map(c => `"${c.replace(/"/g, '""')}"`).join(', ')} FROM "${TABLE}"`;
+  const message = ROWS.flatMap(Object.values).join(' ');
+  await app.addToHistory(sql, 'success', ROWS.length, '0.012');
+  await app.addToHistory(sql, 'error', 0, '0.004', message);
+  const list = document.getElementById('history-list');
+  rendered(() => list.children.forEach(item => item.dispatch('click')), [TABLE, sql.slice(0, 40), message]);
+});